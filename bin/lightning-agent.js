@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 'use strict';
 
-const { createWallet, decodeBolt11 } = require('../lib');
+const { createWallet, createWalletRouter, decodeBolt11 } = require('../lib');
 
 const USAGE = `
 lightning-agent — Lightning payments for AI agents
@@ -11,11 +11,24 @@ Usage:
   lightning-agent invoice <sats> [description]   Create an invoice
   lightning-agent pay <bolt11>                   Pay an invoice
   lightning-agent send <address> <sats>          Pay a Lightning address
+  lightning-agent keysend <pubkey> <sats> [type=hex ...]
+                                                 Pay a node directly, with optional TLV records
   lightning-agent decode <bolt11>                Decode an invoice (offline)
   lightning-agent wait <payment_hash> [timeout]  Wait for payment
+  lightning-agent history [options]              List past transactions
+    --limit <n>          Max transactions (default 20)
+    --offset <n>         Skip the newest n
+    --type <t>           incoming | outgoing
+    --from <unix>        Created at or after (unix seconds)
+    --until <unix>       Created at or before (unix seconds)
+    --unpaid             Include unpaid invoices
+    --all                Page through the full history
+    --json               Print JSON instead of a table
 
 Environment:
-  NWC_URL   Nostr Wallet Connect URL (nostr+walletconnect://...)
+  NWC_URL        Nostr Wallet Connect URL (nostr+walletconnect://...)
+  NWC_URLS       Several NWC URLs (comma or space separated), routed as one wallet
+  NWC_STRATEGY   How NWC_URLS are used: failover (default) | balance | round-robin
 
 Examples:
   export NWC_URL="nostr+walletconnect://..."
@@ -23,7 +36,9 @@ Examples:
   lightning-agent invoice 50 "AI query fee"
   lightning-agent pay lnbc50u1p...
   lightning-agent send alice@getalby.com 100
+  lightning-agent keysend 03abc...def 21 7629169=7b7d
   lightning-agent decode lnbc50u1p...
+  lightning-agent history --type incoming --limit 50
 `.trim();
 
 async function main() {
@@ -53,7 +68,8 @@ async function main() {
   }
 
   // All other commands need a wallet
-  if (!process.env.NWC_URL) {
+  const urls = (process.env.NWC_URLS || '').split(/[\s,]+/).filter(Boolean);
+  if (!process.env.NWC_URL && urls.length === 0) {
     console.error('Error: NWC_URL environment variable not set');
     console.error('Set it: export NWC_URL="nostr+walletconnect://..."');
     process.exit(1);
@@ -61,7 +77,9 @@ async function main() {
 
   let wallet;
   try {
-    wallet = createWallet(process.env.NWC_URL);
+    wallet = urls.length > 0
+      ? createWalletRouter(urls.map(url => createWallet(url)), process.env.NWC_STRATEGY || 'failover')
+      : createWallet(process.env.NWC_URL);
   } catch (err) {
     console.error('Error creating wallet:', err.message);
     process.exit(1);
@@ -70,8 +88,12 @@ async function main() {
   try {
     switch (command) {
       case 'balance': {
-        const { balanceSats } = await wallet.getBalance();
+        const { balanceSats, wallets } = await wallet.getBalance();
         console.log(`${balanceSats} sats`);
+        // Routed wallets: one line each
+        for (const w of wallets || []) {
+          console.log(`  wallet ${w.index}: ${w.error ? 'unavailable (' + w.error.message + ')' : w.balanceSats + ' sats'}`);
+        }
         break;
       }
 
@@ -118,6 +140,32 @@ async function main() {
         break;
       }
 
+      case 'keysend': {
+        const pubkey = args[1];
+        const sats = parseInt(args[2], 10);
+        if (!pubkey) {
+          console.error('Error: node pubkey required');
+          process.exit(1);
+        }
+        if (!sats || sats <= 0) {
+          console.error('Error: amount in sats required (positive integer)');
+          process.exit(1);
+        }
+        const tlvRecords = [];
+        for (const arg of args.slice(3)) {
+          const [type, value] = arg.split('=');
+          if (!/^\d+$/.test(type) || value === undefined) {
+            console.error(`Error: TLV record must be <type>=<hex value>, got: ${arg}`);
+            process.exit(1);
+          }
+          tlvRecords.push({ type: parseInt(type, 10), value });
+        }
+        console.error(`Sending ${sats} sats to ${pubkey}...`);
+        const result = await wallet.payKeysend(pubkey, { amountSats: sats, tlvRecords });
+        console.log(`Paid! Preimage: ${result.preimage}`);
+        break;
+      }
+
       case 'wait': {
         const paymentHash = args[1];
         if (!paymentHash) {
@@ -136,6 +184,36 @@ async function main() {
         break;
       }
 
+      case 'history': {
+        const flags = parseFlags(args.slice(1));
+        const filters = {
+          from: flags.from !== undefined ? parseInt(flags.from, 10) : undefined,
+          until: flags.until !== undefined ? parseInt(flags.until, 10) : undefined,
+          type: flags.type,
+          unpaid: flags.unpaid === true
+        };
+
+        let transactions = [];
+        if (flags.all) {
+          for await (const tx of wallet.transactions(filters)) transactions.push(tx);
+        } else {
+          ({ transactions } = await wallet.listTransactions({
+            ...filters,
+            limit: parseInt(flags.limit, 10) || 20,
+            offset: parseInt(flags.offset, 10) || 0
+          }));
+        }
+
+        if (flags.json) {
+          console.log(JSON.stringify(transactions, null, 2));
+        } else if (transactions.length === 0) {
+          console.log('No transactions');
+        } else {
+          printTransactions(transactions);
+        }
+        break;
+      }
+
       default:
         console.error(`Unknown command: ${command}`);
         console.log(USAGE);
@@ -149,4 +227,39 @@ async function main() {
   }
 }
 
+// --name value / --flag → { name: value, flag: true }
+function parseFlags(argv) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const name = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next !== undefined && !next.startsWith('--')) {
+      flags[name] = next;
+      i++;
+    } else {
+      flags[name] = true;
+    }
+  }
+  return flags;
+}
+
+function printTransactions(transactions) {
+  const rows = transactions.map(tx => [
+    tx.createdAt ? new Date(tx.createdAt * 1000).toISOString().replace('T', ' ').slice(0, 19) : '',
+    tx.type === 'outgoing' ? 'out' : 'in',
+    (tx.type === 'outgoing' ? '-' : '+') + tx.amountSats,
+    tx.feesPaidSats ? String(tx.feesPaidSats) : '',
+    tx.state,
+    tx.description || (tx.paymentHash || '').slice(0, 16)
+  ]);
+  const header = ['Date', 'Dir', 'Sats', 'Fees', 'State', 'Description'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+  const line = (cols) => cols.map((c, i) => i === 2 || i === 3 ? c.padStart(widths[i]) : c.padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(line(header));
+  console.log(widths.map(w => '─'.repeat(w)).join('  '));
+  for (const r of rows) console.log(line(r));
+}
+
 main();
@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * AbortSignal helpers. Every async method that takes opts.signal stops
+ * waiting, closes what it opened (relay subscriptions, sockets, timers)
+ * and rejects with AbortError once the signal aborts.
+ */
+
+const { AbortError } = require('./errors');
+
+/**
+ * @param {AbortSignal} [signal]
+ * @param {object} [details]
+ * @returns {AbortError}
+ */
+function abortError(signal, details) {
+  return new AbortError(signal ? signal.reason : undefined, details);
+}
+
+/**
+ * Throw AbortError if the signal has already aborted.
+ * @param {AbortSignal} [signal]
+ * @param {object} [details]
+ */
+function throwIfAborted(signal, details) {
+  if (signal && signal.aborted) throw abortError(signal, details);
+}
+
+/**
+ * Call fn once when the signal aborts (at once if it already has).
+ * @param {AbortSignal} [signal]
+ * @param {function} fn
+ * @returns {function} Stops listening
+ */
+function onAbort(signal, fn) {
+  if (!signal) return () => {};
+  if (signal.aborted) {
+    fn();
+    return () => {};
+  }
+  signal.addEventListener('abort', fn, { once: true });
+  return () => signal.removeEventListener('abort', fn);
+}
+
+/**
+ * Wait ms, or reject with AbortError as soon as the signal aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      stop();
+      resolve();
+    }, ms);
+    const stop = onAbort(signal, () => {
+      clearTimeout(timer);
+      reject(abortError(signal));
+    });
+  });
+}
+
+module.exports = { abortError, throwIfAborted, onAbort, sleep };
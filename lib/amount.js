@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * Millisatoshi amounts.
+ *
+ * Amounts travel as integer msats internally; every public API takes
+ * either `<name>Sats` (whole sats) or `<name>Msats` and reports both.
+ * Fractional sats are refused rather than rounded — pass msats instead.
+ * `amountSats` in results is rounded down for sub-sat amounts; the
+ * `amountMsats` next to it is exact.
+ *
+ * @example
+ * readMsats({ amountSats: 2 });          // 2000
+ * readMsats({ amountMsats: 1500 });      // 1500
+ * readMsats({ amountSats: 1.5 });        // throws — use amountMsats: 1500
+ * amountFields(1500);                    // { amountSats: 1, amountMsats: 1500 }
+ */
+
+const { ValidationError } = require('./errors');
+
+const MSATS_PER_SAT = 1000;
+
+/**
+ * Read an amount given as `<name>Sats` or `<name>Msats`.
+ * @param {object} opts - Options object holding the amount
+ * @param {string} [name='amount'] - Key prefix, e.g. 'maxAmount' reads maxAmountSats / maxAmountMsats
+ * @returns {number|undefined} Integer msats, or undefined when neither is set
+ * @throws {ValidationError} INVALID_AMOUNT on fractional sats, non-integer msats or conflicting values
+ */
+function readMsats(opts, name = 'amount') {
+  const sats = opts ? opts[name + 'Sats'] : undefined;
+  const msats = opts ? opts[name + 'Msats'] : undefined;
+
+  let fromSats;
+  if (sats !== undefined && sats !== null) {
+    if (typeof sats !== 'number' || !Number.isFinite(sats)) {
+      throw new ValidationError('INVALID_AMOUNT', `${name}Sats must be a number`, { [name + 'Sats']: sats });
+    }
+    if (!Number.isInteger(sats)) {
+      throw new ValidationError(
+        'INVALID_AMOUNT',
+        `${name}Sats must be a whole number of sats; pass ${name}Msats for fractions`,
+        { [name + 'Sats']: sats }
+      );
+    }
+    fromSats = satsToMsats(sats);
+  }
+
+  if (msats !== undefined && msats !== null) {
+    if (!Number.isSafeInteger(msats)) {
+      throw new ValidationError('INVALID_AMOUNT', `${name}Msats must be an integer`, { [name + 'Msats']: msats });
+    }
+    if (fromSats !== undefined && fromSats !== msats) {
+      throw new ValidationError(
+        'INVALID_AMOUNT',
+        `${name}Sats and ${name}Msats disagree (${sats} sats vs ${msats} msats)`,
+        { [name + 'Sats']: sats, [name + 'Msats']: msats }
+      );
+    }
+    return msats;
+  }
+  return fromSats;
+}
+
+/**
+ * Whole sats to msats.
+ * @param {number} sats
+ * @returns {number}
+ */
+function satsToMsats(sats) {
+  const msats = sats * MSATS_PER_SAT;
+  if (!Number.isSafeInteger(msats)) {
+    throw new ValidationError('INVALID_AMOUNT', `Amount out of range: ${sats} sats`, { sats });
+  }
+  return msats;
+}
+
+/**
+ * Msats to whole sats, rounded down. Null stays null.
+ * @param {number|null} msats
+ * @returns {number|null}
+ */
+function msatsToSats(msats) {
+  if (msats === null || msats === undefined) return null;
+  return Math.floor(msats / MSATS_PER_SAT);
+}
+
+/**
+ * Both representations of an msat amount, for results.
+ * @param {number|null} msats
+ * @param {string} [name='amount']
+ * @returns {object} e.g. { amountSats, amountMsats }
+ */
+function amountFields(msats, name = 'amount') {
+  const value = msats === undefined ? null : msats;
+  return { [name + 'Sats']: msatsToSats(value), [name + 'Msats']: value };
+}
+
+/**
+ * Amount options for a wallet call: whole amounts go as amountSats, which
+ * every wallet understands; only sub-sat amounts need amountMsats.
+ * @param {number} msats
+ * @returns {{ amountSats: number }|{ amountMsats: number }}
+ */
+function walletAmount(msats) {
+  return msats % MSATS_PER_SAT === 0 ? { amountSats: msats / MSATS_PER_SAT } : { amountMsats: msats };
+}
+
+/**
+ * Format msats for messages: '21 sats', '1.5 sats'.
+ * @param {number} msats
+ * @returns {string}
+ */
+function formatMsats(msats) {
+  const whole = Math.floor(msats / MSATS_PER_SAT);
+  const frac = msats % MSATS_PER_SAT;
+  if (frac === 0) return `${whole} sats`;
+  return `${whole}.${String(frac).padStart(3, '0').replace(/0+$/, '')} sats`;
+}
+
+module.exports = {
+  MSATS_PER_SAT,
+  readMsats,
+  satsToMsats,
+  msatsToSats,
+  amountFields,
+  walletAmount,
+  formatMsats
+};
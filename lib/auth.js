@@ -11,6 +11,8 @@
  */
 
 const crypto = require('crypto');
+const { LnurlError } = require('./errors');
+const { encodeLnurl, decodeLnurl } = require('./lnurl');
 
 // ─── Server-side: challenge management ───
 
@@ -19,6 +21,8 @@ const crypto = require('crypto');
  * 
  * @param {object} [opts]
  * @param {number} [opts.challengeTtlMs=300000] - Challenge validity (default 5 min)
+ * @param {number} [opts.maxChallenges=10000] - Most challenges kept; beyond it the
+ *   oldest are dropped, so unauthenticated requests can't grow memory without bound
  * @param {string} [opts.callbackUrl] - Full callback URL for LNURL generation
  * @returns {AuthServer}
  * 
@@ -30,8 +34,9 @@ const crypto = require('crypto');
  */
 function createAuthServer(opts = {}) {
   const ttl = opts.challengeTtlMs || 5 * 60 * 1000;
+  const maxChallenges = opts.maxChallenges || 10000;
   const callbackUrl = opts.callbackUrl || null;
-  const challenges = new Map(); // k1 → { createdAt, used }
+  const challenges = new Map(); // k1 → { createdAt, used }, oldest first
 
   return {
     /**
@@ -39,10 +44,11 @@ function createAuthServer(opts = {}) {
      * @returns {{ k1: string, lnurl?: string, expiresAt: number }}
      */
     createChallenge() {
-      // Purge expired
+      // Purge expired, then the oldest beyond the cap
       const now = Date.now();
       for (const [k, v] of challenges) {
-        if (now - v.createdAt > ttl) challenges.delete(k);
+        if (now - v.createdAt <= ttl && challenges.size < maxChallenges) break;
+        challenges.delete(k);
       }
 
       const k1 = crypto.randomBytes(32).toString('hex');
@@ -57,7 +63,7 @@ function createAuthServer(opts = {}) {
       if (callbackUrl) {
         const sep = callbackUrl.includes('?') ? '&' : '?';
         const fullUrl = `${callbackUrl}${sep}tag=login&k1=${k1}&action=login`;
-        result.lnurl = bech32Encode('lnurl', fullUrl);
+        result.lnurl = encodeLnurl(fullUrl);
         result.callbackUrl = fullUrl;
       }
 
@@ -222,10 +228,7 @@ function signAuth(k1, privateKey) {
  */
 async function authenticate(lnurlOrUrl, privateKey) {
   // Decode LNURL if needed
-  let url = lnurlOrUrl;
-  if (lnurlOrUrl.toLowerCase().startsWith('lnurl')) {
-    url = bech32Decode(lnurlOrUrl);
-  }
+  const url = decodeLnurl(lnurlOrUrl);
 
   // Parse URL to extract k1
   const parsed = new URL(url);
@@ -239,8 +242,14 @@ async function authenticate(lnurlOrUrl, privateKey) {
   parsed.searchParams.set('sig', sig);
   parsed.searchParams.set('key', key);
 
-  const res = await fetch(parsed.toString());
-  const data = await res.json();
+  let data;
+  try {
+    const res = await fetch(parsed.toString());
+    data = await res.json();
+  } catch (err) {
+    const code = err instanceof SyntaxError ? 'INVALID_RESPONSE' : 'FETCH_FAILED';
+    throw new LnurlError(code, 'LNURL-auth request failed: ' + err.message, { url: parsed.origin });
+  }
 
   if (data.status === 'OK') {
     return { success: true, pubkey: key };
@@ -332,88 +341,6 @@ function derToCompact(derHex) {
   return Uint8Array.from(Buffer.concat([rPad, sPad]));
 }
 
-// Minimal bech32 encode (for LNURL generation)
-const BECH32_ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
-
-function bech32Encode(prefix, data) {
-  const bytes = Buffer.from(data, 'utf8');
-  const words = toWords(bytes);
-  const checksum = bech32Checksum(prefix, words);
-  return prefix + '1' + [...words, ...checksum].map(w => BECH32_ALPHABET[w]).join('');
-}
-
-function bech32Decode(str) {
-  const lower = str.toLowerCase();
-  const sepIdx = lower.lastIndexOf('1');
-  const data = lower.slice(sepIdx + 1);
-  const words = [];
-  for (let i = 0; i < data.length - 6; i++) {
-    words.push(BECH32_ALPHABET.indexOf(data[i]));
-  }
-  const bytes = fromWords(words);
-  return Buffer.from(bytes).toString('utf8');
-}
-
-function toWords(bytes) {
-  const words = [];
-  let acc = 0, bits = 0;
-  for (const b of bytes) {
-    acc = (acc << 8) | b;
-    bits += 8;
-    while (bits >= 5) {
-      bits -= 5;
-      words.push((acc >> bits) & 31);
-    }
-  }
-  if (bits > 0) words.push((acc << (5 - bits)) & 31);
-  return words;
-}
-
-function fromWords(words) {
-  const bytes = [];
-  let acc = 0, bits = 0;
-  for (const w of words) {
-    acc = (acc << 5) | w;
-    bits += 5;
-    while (bits >= 8) {
-      bits -= 8;
-      bytes.push((acc >> bits) & 255);
-    }
-  }
-  return bytes;
-}
-
-function bech32Polymod(values) {
-  const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
-  let chk = 1;
-  for (const v of values) {
-    const b = chk >> 25;
-    chk = ((chk & 0x1ffffff) << 5) ^ v;
-    for (let i = 0; i < 5; i++) {
-      if ((b >> i) & 1) chk ^= GEN[i];
-    }
-  }
-  return chk;
-}
-
-function bech32Checksum(prefix, words) {
-  const prefixExpanded = [];
-  for (const c of prefix) {
-    prefixExpanded.push(c.charCodeAt(0) >> 5);
-  }
-  prefixExpanded.push(0);
-  for (const c of prefix) {
-    prefixExpanded.push(c.charCodeAt(0) & 31);
-  }
-  const values = [...prefixExpanded, ...words, 0, 0, 0, 0, 0, 0];
-  const poly = bech32Polymod(values) ^ 1;
-  const checksum = [];
-  for (let i = 0; i < 6; i++) {
-    checksum.push((poly >> (5 * (5 - i))) & 31);
-  }
-  return checksum;
-}
-
 module.exports = {
   createAuthServer,
   signAuth,
@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * Minimal bech32 / bech32m codec (BIP-173, BIP-350).
+ *
+ * Shared by bolt11 decoding (wallet), LNURL encoding (lnurl) and
+ * fallback address rendering. No length limit — bolt11 invoices and
+ * LNURLs routinely exceed the 90-char cap from BIP-173.
+ */
+
+const ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+function polymod(values) {
+  const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  for (const v of values) {
+    const b = chk >> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) {
+      if ((b >> i) & 1) chk ^= GEN[i];
+    }
+  }
+  return chk;
+}
+
+function expandPrefix(prefix) {
+  const out = [];
+  for (const c of prefix) out.push(c.charCodeAt(0) >> 5);
+  out.push(0);
+  for (const c of prefix) out.push(c.charCodeAt(0) & 31);
+  return out;
+}
+
+function checksum(prefix, words, constant) {
+  const values = [...expandPrefix(prefix), ...words, 0, 0, 0, 0, 0, 0];
+  const poly = polymod(values) ^ constant;
+  const out = [];
+  for (let i = 0; i < 6; i++) {
+    out.push((poly >> (5 * (5 - i))) & 31);
+  }
+  return out;
+}
+
+/**
+ * Encode 5-bit words under a prefix.
+ * @param {string} prefix - Human-readable part
+ * @param {number[]} words - 5-bit words
+ * @param {boolean} [m=false] - Use the bech32m constant
+ * @returns {string}
+ */
+function encode(prefix, words, m = false) {
+  const sum = checksum(prefix, words, m ? BECH32M_CONST : BECH32_CONST);
+  return prefix + '1' + [...words, ...sum].map(w => ALPHABET[w]).join('');
+}
+
+/**
+ * Decode a bech32 string and verify its checksum.
+ * @param {string} str
+ * @param {'bech32'|'bech32m'} [encoding] - Accept only this checksum;
+ *   either is accepted when omitted. Bolt11 and LNURL are plain bech32.
+ * @returns {{ prefix: string, words: number[], m: boolean }}
+ */
+function decode(str, encoding) {
+  if (typeof str !== 'string') throw new Error('bech32: input must be a string');
+  if (str !== str.toLowerCase() && str !== str.toUpperCase()) {
+    throw new Error('bech32: mixed case');
+  }
+
+  const lower = str.toLowerCase();
+  const sepIdx = lower.lastIndexOf('1');
+  if (sepIdx < 1 || sepIdx + 7 > lower.length) {
+    throw new Error('bech32: missing separator or checksum');
+  }
+
+  const prefix = lower.slice(0, sepIdx);
+  const words = [];
+  for (const c of lower.slice(sepIdx + 1)) {
+    const w = ALPHABET.indexOf(c);
+    if (w === -1) throw new Error(`bech32: invalid character '${c}'`);
+    words.push(w);
+  }
+
+  const poly = polymod([...expandPrefix(prefix), ...words]);
+  const allowed = encoding === 'bech32' ? [BECH32_CONST]
+    : encoding === 'bech32m' ? [BECH32M_CONST]
+    : [BECH32_CONST, BECH32M_CONST];
+  if (!allowed.includes(poly)) {
+    throw new Error('bech32: invalid checksum');
+  }
+
+  return { prefix, words: words.slice(0, -6), m: poly === BECH32M_CONST };
+}
+
+/**
+ * Convert bytes to 5-bit words (pads the final word with zeros).
+ * @param {Uint8Array|Buffer|number[]} bytes
+ * @returns {number[]}
+ */
+function toWords(bytes) {
+  const words = [];
+  let acc = 0, bits = 0;
+  for (const b of bytes) {
+    acc = ((acc << 8) | b) & 0xfff;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      words.push((acc >> bits) & 31);
+    }
+  }
+  if (bits > 0) words.push((acc << (5 - bits)) & 31);
+  return words;
+}
+
+/**
+ * Convert 5-bit words to bytes.
+ * Trailing bits that don't fill a byte are dropped, or zero-padded into a
+ * final byte when `pad` is set (bolt11 signs the padded form).
+ * @param {number[]} words
+ * @param {boolean} [pad=false]
+ * @returns {Buffer}
+ */
+function fromWords(words, pad = false) {
+  const bytes = [];
+  let acc = 0, bits = 0;
+  for (const w of words) {
+    acc = ((acc << 5) | w) & 0xfff;
+    bits += 5;
+    while (bits >= 8) {
+      bits -= 8;
+      bytes.push((acc >> bits) & 255);
+    }
+  }
+  if (pad && bits > 0) bytes.push((acc << (8 - bits)) & 255);
+  return Buffer.from(bytes);
+}
+
+module.exports = {
+  ALPHABET,
+  encode,
+  decode,
+  toWords,
+  fromWords
+};
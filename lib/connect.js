@@ -0,0 +1,306 @@
+'use strict';
+
+/**
+ * NWC connection provisioning (NIP-47).
+ *
+ * Build connection strings instead of only reading them:
+ *   - generateNwcKeypair() — a fresh client key for a connection
+ *   - createNwcUrl() — nostr+walletconnect:// with one or more relays and
+ *     an optional lud16
+ *   - createWalletAuthRequest() — the client-initiated flow: the agent shows
+ *     a nostr+walletauth:// link, the human approves it in their wallet with
+ *     the methods, budget and expiry it asked for, and the agent picks up the
+ *     connection from the wallet's info event. No secret is ever pasted.
+ *
+ * @example
+ * const request = createWalletAuthRequest({
+ *   relays: ['wss://relay.getalby.com/v1'],
+ *   name: 'research-agent',
+ *   requestMethods: ['pay_invoice', 'get_balance'],
+ *   budgetSats: 10000,
+ *   budgetRenewal: 'monthly'
+ * });
+ * console.log('Approve in your wallet:', request.url);
+ * const { connected, nwcUrl } = await request.waitForConnection({ timeoutMs: 600000 });
+ * if (connected) wallet = createWallet(nwcUrl);
+ */
+
+const crypto = require('crypto');
+const { getPublicKey } = require('nostr-tools');
+const { Relay } = require('nostr-tools/relay');
+const { parseInfoEvent } = require('./wallet');
+const { readMsats, msatsToSats, amountFields } = require('./amount');
+const { NwcConnectionError } = require('./errors');
+const { abortError, throwIfAborted, onAbort } = require('./abort');
+
+const HEX_KEY = /^[0-9a-f]{64}$/;
+const BUDGET_RENEWALS = ['never', 'daily', 'weekly', 'monthly', 'yearly'];
+
+/**
+ * Generate a client keypair for a new connection.
+ * @returns {{ secret: string, pubkey: string }} Hex secret key and its pubkey
+ */
+function generateNwcKeypair() {
+  const secret = crypto.randomBytes(32);
+  return { secret: secret.toString('hex'), pubkey: getPublicKey(secret) };
+}
+
+/**
+ * Build a nostr+walletconnect:// connection string.
+ * @param {object} opts
+ * @param {string} opts.walletPubkey - Hex pubkey of the wallet service
+ * @param {string|string[]} opts.relays - Relay URL(s) the wallet service listens on
+ * @param {string} [opts.secret] - Hex client secret (default a fresh one)
+ * @param {string} [opts.lud16] - Lightning address of the wallet, for receiving
+ * @returns {{ nwcUrl: string, secret: string, clientPubkey: string }}
+ */
+function createNwcUrl(opts = {}) {
+  const walletPubkey = String(opts.walletPubkey || '').toLowerCase();
+  if (!HEX_KEY.test(walletPubkey)) {
+    throw new Error('walletPubkey must be a 64-character hex pubkey');
+  }
+  const relays = readRelays(opts.relays);
+  const secret = opts.secret !== undefined ? readSecret(opts.secret) : generateNwcKeypair().secret;
+  if (opts.lud16 !== undefined && !String(opts.lud16).includes('@')) {
+    throw new Error('lud16 must be a Lightning address (user@domain)');
+  }
+
+  const params = relays.map(r => 'relay=' + encodeURIComponent(r));
+  params.push('secret=' + secret);
+  if (opts.lud16) params.push('lud16=' + encodeURIComponent(opts.lud16));
+  return {
+    nwcUrl: `nostr+walletconnect://${walletPubkey}?${params.join('&')}`,
+    secret,
+    clientPubkey: getPublicKey(Buffer.from(secret, 'hex'))
+  };
+}
+
+/**
+ * Start a client-initiated connection (nostr+walletauth://). Show `url` to
+ * the wallet's owner, as a link or QR code; their wallet creates a
+ * connection for the client key with the requested limits and announces it
+ * with a kind 13194 info event tagged with that key.
+ *
+ * @param {object} opts
+ * @param {string|string[]} opts.relays - Relays the wallet should use for the connection
+ * @param {string} [opts.name] - App name shown to the wallet owner
+ * @param {string} [opts.icon] - App icon URL
+ * @param {string} [opts.returnTo] - Where the wallet sends the owner after approving
+ * @param {string[]} [opts.requestMethods] - NIP-47 methods asked for (default: the wallet decides)
+ * @param {string[]} [opts.notificationTypes] - Notifications asked for
+ * @param {number} [opts.budgetSats] - Spending budget per renewal period (or budgetMsats);
+ *   sent in whole sats, rounded down
+ * @param {string} [opts.budgetRenewal] - 'never' | 'daily' | 'weekly' | 'monthly' | 'yearly'
+ * @param {number|Date} [opts.expiresAt] - When the connection stops working (unix seconds or Date)
+ * @param {boolean} [opts.isolated] - Ask for a sub-wallet with its own balance
+ * @param {object} [opts.metadata] - App metadata, sent as JSON
+ * @param {string} [opts.secret] - Hex client secret (default a fresh one)
+ * @param {string} [opts.walletPubkey] - Only accept a connection announced by this
+ *   wallet key. Without it the first announcement is trusted: the client key is
+ *   public in the link, so anyone who sees it can announce a wallet of their own
+ * @returns {WalletAuthRequest}
+ */
+function createWalletAuthRequest(opts = {}) {
+  const relays = readRelays(opts.relays);
+  const secret = opts.secret !== undefined ? readSecret(opts.secret) : generateNwcKeypair().secret;
+  const clientPubkey = getPublicKey(Buffer.from(secret, 'hex'));
+  const walletPubkey = opts.walletPubkey !== undefined ? String(opts.walletPubkey).toLowerCase() : null;
+  if (walletPubkey !== null && !HEX_KEY.test(walletPubkey)) {
+    throw new Error('walletPubkey must be a 64-character hex pubkey');
+  }
+  // Announcements from before the request can't be answers to it
+  const requestedAt = Math.floor(Date.now() / 1000);
+
+  // Built by hand: URLSearchParams would encode the spaces in method lists as '+'
+  const params = relays.map(r => ['relay', r]);
+  if (opts.name) params.push(['name', opts.name]);
+  if (opts.icon) params.push(['icon', opts.icon]);
+  if (opts.returnTo) params.push(['return_to', opts.returnTo]);
+  if (opts.requestMethods) params.push(['request_methods', readNames(opts.requestMethods, 'requestMethods')]);
+  if (opts.notificationTypes) params.push(['notification_types', readNames(opts.notificationTypes, 'notificationTypes')]);
+
+  const budgetMsats = readMsats(opts, 'budget');
+  if (budgetMsats !== undefined) {
+    if (!(budgetMsats >= 1000)) throw new Error('budget must be at least 1 sat');
+    params.push(['max_amount', msatsToSats(budgetMsats)]);
+  }
+  if (opts.budgetRenewal !== undefined) {
+    if (!BUDGET_RENEWALS.includes(opts.budgetRenewal)) {
+      throw new Error(`budgetRenewal must be one of ${BUDGET_RENEWALS.join(', ')}`);
+    }
+    params.push(['budget_renewal', opts.budgetRenewal]);
+  }
+  if (opts.expiresAt !== undefined) params.push(['expires_at', toUnixSeconds(opts.expiresAt)]);
+  if (opts.isolated) params.push(['isolated', 'true']);
+  if (opts.metadata) params.push(['metadata', JSON.stringify(opts.metadata)]);
+  const query = params.map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join('&');
+
+  return {
+    /** The nostr+walletauth:// link to show the wallet owner */
+    url: `nostr+walletauth://${clientPubkey}?${query}`,
+    clientPubkey,
+    /** Hex client secret: keep it, it is half of the connection */
+    secret,
+    relays,
+
+    /**
+     * Wait for the wallet owner to approve the request.
+     * @param {object} [waitOpts]
+     * @param {number} [waitOpts.timeoutMs=300000] - How long to wait (approving takes a human)
+     * @param {AbortSignal} [waitOpts.signal] - Stop waiting; rejects with AbortError
+     * @returns {Promise<{ connected: boolean, nwcUrl: string|null, walletPubkey: string|null,
+     *   methods: string[]|null, notifications: string[], encryptions: string[] }>}
+     *   connected is false when the time ran out
+     * @throws {NwcConnectionError} CONNECT_FAILED when no relay could be reached
+     */
+    async waitForConnection(waitOpts = {}) {
+      const timeoutMs = waitOpts.timeoutMs || 300000;
+      const signal = waitOpts.signal;
+      throwIfAborted(signal);
+
+      const info = await waitForInfoEvent(relays, clientPubkey, { since: requestedAt, walletPubkey }, timeoutMs, signal);
+      if (!info) {
+        return { connected: false, nwcUrl: null, walletPubkey: null, methods: null, notifications: [], encryptions: [] };
+      }
+      return {
+        connected: true,
+        nwcUrl: createNwcUrl({ walletPubkey: info.pubkey, relays, secret }).nwcUrl,
+        walletPubkey: info.pubkey,
+        ...parseInfoEvent(info)
+      };
+    }
+  };
+}
+
+/**
+ * Read a nostr+walletauth:// link: the wallet's side of
+ * createWalletAuthRequest().
+ * @param {string} url
+ * @returns {{ clientPubkey: string, relays: string[], name: string|null, icon: string|null,
+ *   returnTo: string|null, requestMethods: string[]|null, notificationTypes: string[]|null,
+ *   budgetSats: number|null, budgetMsats: number|null, budgetRenewal: string|null,
+ *   expiresAt: number|null, isolated: boolean, metadata: object|null }}
+ */
+function parseWalletAuthUrl(url) {
+  if (!url || typeof url !== 'string' || !url.startsWith('nostr+walletauth://')) {
+    throw new Error('Invalid walletauth URL: must start with nostr+walletauth://');
+  }
+  const parsed = new URL(url);
+  const clientPubkey = (parsed.hostname || parsed.pathname.replace('//', '')).toLowerCase();
+  if (!HEX_KEY.test(clientPubkey)) throw new Error('Invalid walletauth URL: bad client pubkey');
+  const relays = parsed.searchParams.getAll('relay');
+  if (relays.length === 0) throw new Error('Invalid walletauth URL: missing relay parameter');
+
+  const get = (name) => parsed.searchParams.get(name);
+  const names = (name) => get(name) ? get(name).trim().split(/\s+/) : null;
+  const maxAmount = get('max_amount');
+  const budgetSats = maxAmount !== null && /^\d+$/.test(maxAmount) ? Number(maxAmount) : null;
+  const expiresAt = get('expires_at');
+  let metadata = null;
+  try {
+    metadata = get('metadata') ? JSON.parse(get('metadata')) : null;
+  } catch (_) {
+    // Unreadable metadata is only cosmetic
+  }
+
+  return {
+    clientPubkey,
+    relays,
+    name: get('name'),
+    icon: get('icon'),
+    returnTo: get('return_to'),
+    requestMethods: names('request_methods'),
+    notificationTypes: names('notification_types'),
+    ...(budgetSats !== null ? amountFields(budgetSats * 1000, 'budget') : { budgetSats: null, budgetMsats: null }),
+    budgetRenewal: BUDGET_RENEWALS.includes(get('budget_renewal')) ? get('budget_renewal') : null,
+    expiresAt: expiresAt !== null && /^\d+$/.test(expiresAt) ? Number(expiresAt) : null,
+    isolated: get('isolated') === 'true',
+    metadata
+  };
+}
+
+// ─── Helpers ───
+
+// The first kind 13194 info event tagged with the client key, from any of
+// the relays, published since the request and, when pinned, signed by
+// walletPubkey; null on timeout
+async function waitForInfoEvent(relayUrls, clientPubkey, { since, walletPubkey }, timeoutMs, signal) {
+  const relays = (await Promise.all(relayUrls.map(url => Relay.connect(url).catch(() => null)))).filter(Boolean);
+  if (relays.length === 0) {
+    throw new NwcConnectionError('CONNECT_FAILED', 'Could not connect to any relay', { relays: relayUrls });
+  }
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const subs = [];
+      let settled = false;
+      let stopAbort = () => {};
+      const finish = (fn) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        stopAbort();
+        for (const sub of subs) sub.close();
+        fn();
+      };
+      const timer = setTimeout(() => finish(() => resolve(null)), timeoutMs);
+      stopAbort = onAbort(signal, () => finish(() => reject(abortError(signal))));
+
+      const filter = { kinds: [13194], '#p': [clientPubkey], since };
+      if (walletPubkey) filter.authors = [walletPubkey];
+      for (const relay of relays) {
+        if (settled) break;
+        subs.push(relay.subscribe([filter], {
+          onevent: (event) => {
+            // Not every relay applies the whole filter
+            if (event.created_at < since || (walletPubkey && event.pubkey !== walletPubkey)) return;
+            finish(() => resolve(event));
+          }
+        }));
+      }
+    });
+  } finally {
+    for (const relay of relays) {
+      try { relay.close(); } catch (_) {}
+    }
+  }
+}
+
+function readRelays(relays) {
+  const list = Array.isArray(relays) ? relays : [relays];
+  if (list.length === 0 || !list.every(r => typeof r === 'string' && /^wss?:\/\/./.test(r))) {
+    throw new Error('relays must be one or more ws:// or wss:// URLs');
+  }
+  return list.slice();
+}
+
+function readSecret(secret) {
+  const hex = Buffer.isBuffer(secret) || secret instanceof Uint8Array
+    ? Buffer.from(secret).toString('hex')
+    : String(secret).toLowerCase();
+  if (!HEX_KEY.test(hex)) throw new Error('secret must be 32 bytes (64 hex characters)');
+  return hex;
+}
+
+// NIP-47 method and notification lists are space-separated
+function readNames(names, what) {
+  if (!Array.isArray(names) || names.length === 0 || !names.every(n => typeof n === 'string' && /^[a-z_]+$/.test(n))) {
+    throw new Error(`${what} must be a non-empty array of NIP-47 names`);
+  }
+  return names.join(' ');
+}
+
+function toUnixSeconds(t) {
+  if (t instanceof Date) return Math.floor(t.getTime() / 1000);
+  if (typeof t !== 'number' || !Number.isFinite(t) || t < 0) {
+    throw new Error('expiresAt must be unix seconds or a Date');
+  }
+  return Math.floor(t);
+}
+
+module.exports = {
+  generateNwcKeypair,
+  createNwcUrl,
+  createWalletAuthRequest,
+  parseWalletAuthUrl
+};
@@ -0,0 +1,232 @@
+'use strict';
+
+/**
+ * Error classes thrown across lightning-agent.
+ *
+ * Every error carries:
+ *   - code      — stable, machine-readable (e.g. 'INSUFFICIENT_BALANCE')
+ *   - retryable — whether trying the same call again later can succeed
+ *   - details   — structured context (method, paymentHash, escrow id, ...)
+ *
+ * @example
+ * try {
+ *   await wallet.payInvoice(invoice);
+ * } catch (err) {
+ *   if (err instanceof NwcError && err.code === 'INSUFFICIENT_BALANCE') topUp();
+ *   else if (err.retryable) retryLater();
+ * }
+ */
+
+class LightningAgentError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [opts]
+   * @param {string} [opts.code='ERROR']
+   * @param {boolean} [opts.retryable=false]
+   * @param {object} [opts.details]
+   * @param {Error} [opts.cause]
+   */
+  constructor(message, opts = {}) {
+    super(message, opts.cause ? { cause: opts.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = opts.code || 'ERROR';
+    this.retryable = opts.retryable === true;
+    this.details = opts.details || {};
+  }
+}
+
+// NIP-47 codes where the same request can succeed later
+const RETRYABLE_NWC_CODES = ['RATE_LIMITED', 'INTERNAL'];
+
+/**
+ * An error reply from the wallet service. `code` is the NIP-47 code:
+ * RATE_LIMITED, NOT_IMPLEMENTED, INSUFFICIENT_BALANCE, QUOTA_EXCEEDED,
+ * RESTRICTED, UNAUTHORIZED, INTERNAL, PAYMENT_FAILED, NOT_FOUND, OTHER.
+ */
+class NwcError extends LightningAgentError {
+  /**
+   * @param {string} code - NIP-47 error code
+   * @param {string} message - Message from the wallet service
+   * @param {object} [details] - e.g. { method }
+   */
+  constructor(code, message, details = {}) {
+    super(`NWC error (${code}): ${message}`, {
+      code,
+      retryable: RETRYABLE_NWC_CODES.includes(code),
+      details
+    });
+  }
+}
+
+/**
+ * No response within the timeout. The request may still have been
+ * carried out — a timed-out payment can settle later.
+ */
+class NwcTimeoutError extends LightningAgentError {
+  /**
+   * @param {number} timeoutMs
+   * @param {object} [details] - e.g. { method }
+   */
+  constructor(timeoutMs, details = {}) {
+    super(`NWC request timed out after ${timeoutMs}ms`, {
+      code: 'TIMEOUT',
+      retryable: true,
+      details: { timeoutMs, ...details }
+    });
+  }
+}
+
+/**
+ * The request couldn't be sent or its response couldn't be read:
+ * relay publish failures, undecryptable responses, closed wallets.
+ */
+class NwcConnectionError extends LightningAgentError {
+  /**
+   * @param {string} code - CONNECT_FAILED | PUBLISH_FAILED | DECRYPT_FAILED | CLOSED
+   * @param {string} message
+   * @param {object} [details]
+   */
+  constructor(code, message, details = {}) {
+    super(message, { code, retryable: code !== 'CLOSED', details });
+  }
+}
+
+/**
+ * An invoice refused before paying it. `code` is one of INVALID_INVOICE,
+ * INVOICE_EXPIRED, WRONG_NETWORK, AMOUNT_REQUIRED, AMOUNT_MISMATCH,
+ * AMOUNT_TOO_LARGE.
+ */
+class InvoiceError extends LightningAgentError {
+  constructor(code, message, details = {}) {
+    super(message, { code, details });
+  }
+}
+
+/**
+ * An argument refused before anything is sent. `code` is INVALID_AMOUNT
+ * (missing, non-positive, fractional sats or conflicting amounts) or
+ * INVALID_ARGUMENT.
+ */
+class ValidationError extends LightningAgentError {
+  constructor(code, message, details = {}) {
+    super(message, { code, details });
+  }
+}
+
+/**
+ * A payment whose outcome is still unknown, usually after a timeout.
+ * It may yet settle; look it up before paying again.
+ */
+class PaymentPendingError extends LightningAgentError {
+  /**
+   * @param {string|null} paymentHash
+   * @param {Error} [cause] - Why the outcome is unknown
+   */
+  constructor(paymentHash, cause) {
+    super(
+      `Payment ${paymentHash || ''} is still pending` +
+      (cause ? ` (${cause.message})` : '') +
+      '; it may yet settle, so check it before paying again',
+      { code: 'PAYMENT_PENDING', retryable: true, details: { paymentHash }, cause }
+    );
+  }
+}
+
+/**
+ * LNURL / Lightning address failures. `code` is one of INVALID_ADDRESS,
+ * INVALID_LNURL, FETCH_FAILED, SERVICE_ERROR (the service returned status
+ * ERROR), INVALID_RESPONSE, AMOUNT_OUT_OF_RANGE, COMMENT_NOT_ALLOWED,
+ * PAYER_DATA_REQUIRED (details.missing lists the fields), ZAPS_NOT_SUPPORTED.
+ */
+class LnurlError extends LightningAgentError {
+  constructor(code, message, details = {}) {
+    super(message, { code, retryable: code === 'FETCH_FAILED', details });
+  }
+}
+
+/**
+ * An escrow operation that isn't allowed right now. `code` is
+ * INVALID_STATE (with details.state and details.action), NOT_FOUND or
+ * NOT_FUNDED.
+ */
+class EscrowStateError extends LightningAgentError {
+  constructor(code, message, details = {}) {
+    super(message, { code, retryable: code === 'NOT_FUNDED', details });
+  }
+}
+
+/**
+ * Stream failures: the provider reported an error (STREAM_ERROR) or the
+ * request was refused (REQUEST_FAILED, with details.status).
+ */
+class StreamError extends LightningAgentError {
+  constructor(code, message, details = {}) {
+    super(message, { code, retryable: code === 'REQUEST_FAILED', details });
+  }
+}
+
+/**
+ * The stream client hit its sats budget and stopped paying.
+ * details: { spentSats, budgetSats, invoiceSats } and the same in msats
+ */
+class StreamBudgetError extends StreamError {
+  constructor(details = {}) {
+    super(
+      'BUDGET_EXHAUSTED',
+      `Stream budget exhausted (${details.spentSats}/${details.budgetSats} sats)`,
+      details
+    );
+  }
+}
+
+/**
+ * A payment refused by the spending policy. `code` is one of
+ * MAX_PER_PAYMENT, HOURLY_LIMIT, DAILY_LIMIT, DESTINATION_DENIED,
+ * DESTINATION_NOT_ALLOWED, UNKNOWN_AMOUNT, APPROVAL_DENIED.
+ */
+class PolicyError extends LightningAgentError {
+  /**
+   * @param {string} code
+   * @param {string} message
+   * @param {object} [details]
+   */
+  constructor(code, message, details = {}) {
+    // Hourly and daily caps free up as the window rolls
+    super(message, { code, retryable: code === 'HOURLY_LIMIT' || code === 'DAILY_LIMIT', details });
+  }
+}
+
+/**
+ * The caller aborted the operation through its AbortSignal; `cause` is
+ * the signal's reason. An aborted payment may still settle: when one was
+ * in flight, details.paymentHash names it and details.pending is true.
+ */
+class AbortError extends LightningAgentError {
+  /**
+   * @param {*} [reason] - The signal's reason
+   * @param {object} [details]
+   */
+  constructor(reason, details = {}) {
+    // The default reason is a DOMException that only says "aborted" again
+    const why = reason && reason.name !== 'AbortError'
+      ? `: ${reason.message || reason}`
+      : '';
+    super('Operation aborted' + why, { code: 'ABORTED', details, cause: reason });
+  }
+}
+
+module.exports = {
+  LightningAgentError,
+  NwcError,
+  NwcTimeoutError,
+  NwcConnectionError,
+  InvoiceError,
+  ValidationError,
+  PaymentPendingError,
+  LnurlError,
+  EscrowStateError,
+  StreamError,
+  StreamBudgetError,
+  PolicyError,
+  AbortError
+};
@@ -9,8 +9,11 @@
  *   3. Worker delivers work + proof
  *   4. Escrow releases payment to worker (or refunds on timeout/dispute)
  * 
- * The escrow wallet is custodial — it holds funds between funding and release.
- * This is the practical tradeoff: real escrow without hold invoices.
+ * By default the escrow wallet is custodial — it holds funds between funding
+ * and release. With { hold: true } the client pays a hold invoice instead:
+ * the funds stay locked in the client's payment until release settles it
+ * (and pays the worker), and a refund or expiry cancels it, handing them
+ * straight back. This needs a wallet service with hold invoice support.
  * 
  * @example
  * const mgr = createEscrowManager(escrowWallet);
@@ -27,6 +30,11 @@
  */
 
 const crypto = require('crypto');
+const {
+  LightningAgentError, ValidationError, EscrowStateError, PaymentPendingError, AbortError
+} = require('./errors');
+const { throwIfAborted } = require('./abort');
+const { readMsats, amountFields, walletAmount } = require('./amount');
 
 // Escrow states
 const State = {
@@ -42,46 +50,85 @@ const State = {
 /**
  * Create an escrow manager backed by an NWC wallet.
  * 
- * @param {NWCWallet} wallet - Wallet that holds escrowed funds
+ * @param {NWCWallet|WalletRouter} wallet - Wallet that holds escrowed funds
  * @param {object} [opts]
  * @param {function} [opts.onStateChange] - Called with (escrowId, oldState, newState, escrow)
  * @param {number} [opts.defaultDeadlineMs=3600000] - Default deadline (1 hour)
+ * @param {Ledger} [opts.ledger] - Where state changes are recorded (default the wallet's ledger)
+ * @param {boolean} [opts.hold=false] - Fund escrows with hold invoices instead of taking custody
  * @returns {EscrowManager}
  */
 function createEscrowManager(wallet, opts = {}) {
-  if (!wallet) throw new Error('Escrow wallet is required');
+  if (!wallet) throw new ValidationError('INVALID_ARGUMENT', 'Escrow wallet is required');
 
   const defaultDeadlineMs = opts.defaultDeadlineMs || 60 * 60 * 1000;
   const onStateChange = opts.onStateChange || null;
+  const ledger = opts.ledger || wallet.ledger || null;
+  const holdDefault = opts.hold === true;
   const escrows = new Map();
   const timers = new Map();
+  const preimages = new Map(); // escrow id → preimage of its hold invoice, never handed out
 
-  function transition(id, newState) {
+  function lookup(id) {
     const e = escrows.get(id);
-    if (!e) throw new Error('Unknown escrow: ' + id);
+    if (!e) throw new EscrowStateError('NOT_FOUND', 'Unknown escrow: ' + id, { id });
+    return e;
+  }
+
+  function invalidState(e, action, message) {
+    return new EscrowStateError('INVALID_STATE', message, { id: e.id, state: e.state, action });
+  }
+
+  function transition(id, newState) {
+    const e = lookup(id);
     const old = e.state;
     e.state = newState;
     e.updatedAt = Date.now();
     e.history.push({ from: old, to: newState, at: e.updatedAt });
     if (onStateChange) onStateChange(id, old, newState, e);
+    record(e, newState, { from: old });
     return e;
   }
 
+  // State changes move no money themselves; the escrow's history stays authoritative
+  function record(e, state, metadata) {
+    if (!ledger) return;
+    Promise.resolve(ledger.record({
+      type: 'escrow',
+      status: state,
+      amountMsats: e.amountMsats,
+      paymentHash: e.paymentHash,
+      purpose: 'escrow',
+      metadata: { escrowId: e.id, ...metadata }
+    })).catch(() => {});
+  }
+
+  // Ledger fields for the escrow's own payments
+  function entry(e, counterparty) {
+    return { counterparty, purpose: 'escrow', metadata: { escrowId: e.id } };
+  }
+
+  // Hand a hold escrow's locked funds back to the client
+  async function cancelHold(e, signal) {
+    await wallet.cancelHoldInvoice(e.paymentHash, { signal });
+    e.holdCancelledAt = Date.now();
+    preimages.delete(e.id);
+  }
+
+  function expire(id) {
+    const e = escrows.get(id);
+    if (!e || (e.state !== State.FUNDED && e.state !== State.CREATED)) return;
+    transition(id, State.EXPIRED);
+    if (e.hold && !e.holdSettledAt) cancelHold(e).catch(() => {});
+  }
+
   function startDeadlineTimer(id) {
     const e = escrows.get(id);
     if (!e || !e.deadline) return;
     const remaining = e.deadline - Date.now();
-    if (remaining <= 0) {
-      if (e.state === State.FUNDED || e.state === State.CREATED) {
-        transition(id, State.EXPIRED);
-      }
-      return;
-    }
+    if (remaining <= 0) return expire(id);
     const timer = setTimeout(() => {
-      const current = escrows.get(id);
-      if (current && (current.state === State.FUNDED || current.state === State.CREATED)) {
-        transition(id, State.EXPIRED);
-      }
+      expire(id);
       timers.delete(id);
     }, remaining);
     timer.unref(); // Don't keep process alive
@@ -97,6 +144,7 @@ function createEscrowManager(wallet, opts = {}) {
      * 
      * @param {object} config
      * @param {number} config.amountSats - Escrow amount
+     * @param {number} [config.amountMsats] - Or the amount in millisats
      * @param {string} config.workerAddress - Worker's Lightning address (user@domain)
      * @param {string} [config.workerInvoice] - Or a specific bolt11 invoice to pay on release
      * @param {string} [config.description] - Work description
@@ -104,14 +152,17 @@ function createEscrowManager(wallet, opts = {}) {
      * @param {string} [config.clientPubkey] - Client identifier
      * @param {string} [config.workerPubkey] - Worker identifier
      * @param {object} [config.metadata] - Arbitrary metadata
+     * @param {boolean} [config.hold] - Use a hold invoice (default the manager's opts.hold)
+     * @param {AbortSignal} [config.signal] - Give up creating the invoice; no escrow is created
      * @returns {Promise<Escrow>}
      */
     async create(config) {
-      if (!config.amountSats || config.amountSats <= 0) {
-        throw new Error('amountSats must be positive');
+      const amountMsats = readMsats(config);
+      if (!amountMsats || amountMsats <= 0) {
+        throw new ValidationError('INVALID_AMOUNT', 'amountSats must be positive');
       }
       if (!config.workerAddress && !config.workerInvoice) {
-        throw new Error('workerAddress or workerInvoice required');
+        throw new ValidationError('INVALID_ARGUMENT', 'workerAddress or workerInvoice required');
       }
 
       const id = crypto.randomBytes(16).toString('hex');
@@ -119,16 +170,30 @@ function createEscrowManager(wallet, opts = {}) {
       const deadlineMs = config.deadlineMs || defaultDeadlineMs;
 
       // Create invoice for client to pay
-      const inv = await wallet.createInvoice({
-        amountSats: config.amountSats,
+      const hold = config.hold !== undefined ? config.hold === true : holdDefault;
+      const invoiceOpts = {
+        ...walletAmount(amountMsats),
         description: `Escrow: ${config.description || id}`,
-        expiry: Math.ceil(deadlineMs / 1000)
-      });
+        expiry: Math.ceil(deadlineMs / 1000),
+        ...entry({ id }, config.clientPubkey || null),
+        signal: config.signal
+      };
+      let inv;
+      if (hold) {
+        const preimage = crypto.randomBytes(32);
+        inv = await wallet.createHoldInvoice({
+          ...invoiceOpts,
+          paymentHash: crypto.createHash('sha256').update(preimage).digest('hex')
+        });
+        preimages.set(id, preimage.toString('hex'));
+      } else {
+        inv = await wallet.createInvoice(invoiceOpts);
+      }
 
       const escrow = {
         id,
         state: State.CREATED,
-        amountSats: config.amountSats,
+        ...amountFields(amountMsats),
         description: config.description || null,
         workerAddress: config.workerAddress || null,
         workerInvoice: config.workerInvoice || null,
@@ -137,6 +202,9 @@ function createEscrowManager(wallet, opts = {}) {
         metadata: config.metadata || {},
         invoice: inv.invoice,
         paymentHash: inv.paymentHash,
+        hold,
+        holdSettledAt: null,
+        holdCancelledAt: null,
         deadline: now + deadlineMs,
         createdAt: now,
         updatedAt: now,
@@ -146,11 +214,14 @@ function createEscrowManager(wallet, opts = {}) {
         refundedAt: null,
         deliveryProof: null,
         releasePreimage: null,
+        releaseInvoice: null,
         refundAddress: null,
+        refundInvoice: null,
         history: [{ from: null, to: State.CREATED, at: now }]
       };
 
       escrows.set(id, escrow);
+      record(escrow, State.CREATED, { from: null });
       startDeadlineTimer(id);
 
       return { ...escrow };
@@ -158,30 +229,32 @@ function createEscrowManager(wallet, opts = {}) {
 
     /**
      * Mark escrow as funded (client payment received).
-     * Call this after confirming the client's payment landed.
+     * Call this after confirming the client's payment landed. A hold escrow
+     * is funded once the client's payment is held.
      * 
      * @param {string} id - Escrow ID
      * @param {object} [opts]
      * @param {boolean} [opts.autoDetect=true] - Poll wallet for payment confirmation
      * @param {number} [opts.timeoutMs=60000] - Payment detection timeout
+     * @param {AbortSignal} [opts.signal] - Stop waiting; the escrow stays unfunded
      * @returns {Promise<Escrow>}
      */
     async fund(id, opts = {}) {
-      const e = escrows.get(id);
-      if (!e) throw new Error('Unknown escrow: ' + id);
+      const e = lookup(id);
       if (e.state !== State.CREATED) {
-        throw new Error(`Cannot fund escrow in state: ${e.state}`);
+        throw invalidState(e, 'fund', `Cannot fund escrow in state: ${e.state}`);
       }
 
       const autoDetect = opts.autoDetect !== false;
 
       if (autoDetect && e.paymentHash) {
         // Wait for payment confirmation
-        const result = await wallet.waitForPayment(e.paymentHash, {
-          timeoutMs: opts.timeoutMs || 60000
-        });
-        if (!result.paid) {
-          throw new Error('Payment not received within timeout');
+        const waitOpts = { timeoutMs: opts.timeoutMs || 60000, signal: opts.signal };
+        const result = e.hold
+          ? await wallet.waitForHeld(e.paymentHash, waitOpts)
+          : await wallet.waitForPayment(e.paymentHash, waitOpts);
+        if (!(e.hold ? result.held : result.paid)) {
+          throw new EscrowStateError('NOT_FUNDED', 'Payment not received within timeout', { id });
         }
       }
 
@@ -197,10 +270,9 @@ function createEscrowManager(wallet, opts = {}) {
      * @returns {Escrow}
      */
     deliver(id, proof) {
-      const e = escrows.get(id);
-      if (!e) throw new Error('Unknown escrow: ' + id);
+      const e = lookup(id);
       if (e.state !== State.FUNDED) {
-        throw new Error(`Cannot deliver on escrow in state: ${e.state}`);
+        throw invalidState(e, 'deliver', `Cannot deliver on escrow in state: ${e.state}`);
       }
 
       e.deliveryProof = proof;
@@ -212,26 +284,71 @@ function createEscrowManager(wallet, opts = {}) {
      * Release escrowed funds to the worker.
      * Pays the worker's Lightning address or invoice.
      * 
+     * If the payment's outcome is unknown (e.g. a timeout) this throws and
+     * the escrow keeps its state; calling release again checks the same
+     * payment instead of paying twice.
+     *
+     * A hold escrow first settles the client's payment into the escrow
+     * wallet, once, then pays the worker from it.
+     * 
      * @param {string} id - Escrow ID
+     * @param {object} [opts]
+     * @param {AbortSignal} [opts.signal] - Stop waiting. Like a timeout, an aborted
+     *   payment leaves the escrow as it was, and calling release again checks it
      * @returns {Promise<Escrow>}
      */
-    async release(id) {
-      const e = escrows.get(id);
-      if (!e) throw new Error('Unknown escrow: ' + id);
+    async release(id, opts = {}) {
+      const e = lookup(id);
       if (e.state !== State.FUNDED && e.state !== State.DELIVERED) {
-        throw new Error(`Cannot release escrow in state: ${e.state}`);
+        throw invalidState(e, 'release', `Cannot release escrow in state: ${e.state}`);
+      }
+
+      if (e.hold && !e.holdSettledAt) {
+        try {
+          await wallet.settleHoldInvoice(preimages.get(id), { signal: opts.signal });
+        } catch (err) {
+          if (err instanceof AbortError) throw err;
+          // An earlier settle may have gone through without an answer; a
+          // failed lookup leaves the escrow as it was and reaches the caller
+          const tx = await wallet.lookupInvoice(e.paymentHash, { signal: opts.signal });
+          if (tx.state !== 'settled') throw err;
+        }
+        e.holdSettledAt = Date.now();
+        preimages.delete(id);
       }
 
       let payResult;
-      if (e.workerInvoice) {
-        payResult = await wallet.payInvoice(e.workerInvoice);
+      if (e.workerInvoice || e.releaseInvoice) {
+        // Same invoice as any earlier attempt, so the wallet can guard it
+        payResult = await wallet.payInvoice(e.workerInvoice || e.releaseInvoice, {
+          safe: true,
+          signal: opts.signal,
+          ...entry(e, e.workerPubkey || e.workerAddress)
+        });
       } else if (e.workerAddress) {
         payResult = await wallet.payAddress(e.workerAddress, {
-          amountSats: e.amountSats,
-          comment: `Escrow release: ${e.description || e.id}`
+          ...walletAmount(e.amountMsats),
+          comment: `Escrow release: ${e.description || e.id}`,
+          safe: true,
+          signal: opts.signal,
+          ...entry(e, e.workerPubkey || e.workerAddress)
         });
+        e.releaseInvoice = payResult.invoice || null;
       } else {
-        throw new Error('No worker payment destination');
+        throw new ValidationError('INVALID_ARGUMENT', 'No worker payment destination', { escrowId: id });
+      }
+
+      if (payResult.status === 'pending') {
+        throwIfAborted(opts.signal, { paymentHash: payResult.paymentHash || null, pending: true, escrowId: id });
+        const err = new PaymentPendingError(payResult.paymentHash || null, asError(payResult.error));
+        err.details.escrowId = id;
+        throw err;
+      }
+      if (payResult.status === 'failed') {
+        // Definitely unpaid: a retry may resolve a fresh invoice
+        e.releaseInvoice = null;
+        throw asError(payResult.error) ||
+          new LightningAgentError('Release payment failed', { code: 'PAYMENT_FAILED', details: { escrowId: id } });
       }
 
       e.releasePreimage = payResult.preimage;
@@ -246,30 +363,66 @@ function createEscrowManager(wallet, opts = {}) {
 
     /**
      * Refund escrowed funds to the client.
+     * A hold escrow not yet settled cancels the client's held payment
+     * instead, and needs no refund address.
+     *
+     * Like release, a refund whose outcome is unknown throws and leaves the
+     * escrow's state; calling refund again checks the same payment.
      * 
      * @param {string} id - Escrow ID
-     * @param {string} refundAddress - Client's Lightning address for refund
+     * @param {string} refundAddress - Client's Lightning address for refund. A retry
+     *   after a pending refund pays the earlier invoice, whatever the address
      * @param {string} [reason] - Refund reason
+     * @param {object} [opts]
+     * @param {AbortSignal} [opts.signal] - Stop waiting; the escrow keeps its state
      * @returns {Promise<Escrow>}
      */
-    async refund(id, refundAddress, reason) {
-      const e = escrows.get(id);
-      if (!e) throw new Error('Unknown escrow: ' + id);
+    async refund(id, refundAddress, reason, opts = {}) {
+      const e = lookup(id);
       if (e.state === State.RELEASED) {
-        throw new Error('Cannot refund — already released');
+        throw invalidState(e, 'refund', 'Cannot refund — already released');
       }
       if (e.state === State.REFUNDED) {
-        throw new Error('Already refunded');
+        throw invalidState(e, 'refund', 'Already refunded');
       }
 
-      if (refundAddress) {
-        await wallet.payAddress(refundAddress, {
-          amountSats: e.amountSats,
-          comment: `Escrow refund: ${reason || e.id}`
-        });
+      if (e.hold && !e.holdSettledAt) {
+        if (!e.holdCancelledAt) await cancelHold(e, opts.signal);
+      } else if (e.refundInvoice || refundAddress) {
+        let payResult;
+        if (e.refundInvoice) {
+          // Same invoice as the earlier attempt, so the wallet can guard it
+          payResult = await wallet.payInvoice(e.refundInvoice, {
+            safe: true,
+            signal: opts.signal,
+            ...entry(e, e.clientPubkey || e.refundAddress)
+          });
+        } else {
+          payResult = await wallet.payAddress(refundAddress, {
+            ...walletAmount(e.amountMsats),
+            comment: `Escrow refund: ${reason || e.id}`,
+            safe: true,
+            signal: opts.signal,
+            ...entry(e, e.clientPubkey || refundAddress)
+          });
+          e.refundInvoice = payResult.invoice || null;
+          e.refundAddress = refundAddress;
+        }
+
+        if (payResult.status === 'pending') {
+          throwIfAborted(opts.signal, { paymentHash: payResult.paymentHash || null, pending: true, escrowId: id });
+          const err = new PaymentPendingError(payResult.paymentHash || null, asError(payResult.error));
+          err.details.escrowId = id;
+          throw err;
+        }
+        if (payResult.status === 'failed') {
+          e.refundInvoice = null;
+          throw asError(payResult.error) ||
+            new LightningAgentError('Refund payment failed', { code: 'PAYMENT_FAILED', details: { escrowId: id } });
+        }
       }
 
-      e.refundAddress = refundAddress;
+      e.refundAddress = e.refundAddress || refundAddress || null;
       e.refundedAt = Date.now();
       e.metadata.refundReason = reason || 'manual';
 
@@ -288,10 +441,9 @@ function createEscrowManager(wallet, opts = {}) {
      * @returns {Escrow}
      */
     dispute(id, reason, raisedBy) {
-      const e = escrows.get(id);
-      if (!e) throw new Error('Unknown escrow: ' + id);
+      const e = lookup(id);
       if (e.state === State.RELEASED || e.state === State.REFUNDED) {
-        throw new Error(`Cannot dispute — escrow already ${e.state}`);
+        throw invalidState(e, 'dispute', `Cannot dispute — escrow already ${e.state}`);
       }
 
       e.metadata.dispute = { reason, raisedBy, at: Date.now() };
@@ -329,4 +481,10 @@ function createEscrowManager(wallet, opts = {}) {
   };
 }
 
+// Payment results carry Error objects; older wallets may hand back strings
+function asError(error) {
+  if (!error) return null;
+  return error instanceof Error ? error : new LightningAgentError(String(error), { code: 'PAYMENT_FAILED' });
+}
+
 module.exports = { createEscrowManager, State };
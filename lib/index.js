@@ -1,9 +1,34 @@
 'use strict';
 
 const { createWallet, parseNwcUrl, decodeBolt11, resolveLightningAddress, NWCWallet } = require('./wallet');
+const { createWalletRouter, WalletRouter } = require('./router');
 const { createAuthServer, signAuth, authenticate } = require('./auth');
+const { encodeLnurl, decodeLnurl } = require('./lnurl');
+const { createWithdrawServer, withdrawLnurl } = require('./withdraw');
+const { createLnurlPayServer } = require('./lnurl-pay');
+const { verifyZapReceipt, createZapReceipt } = require('./zap');
 const { createEscrowManager, State: EscrowState } = require('./escrow');
 const { createStreamProvider, createStreamClient } = require('./stream');
+const { createSpendingPolicy } = require('./policy');
+const { createLedger, createFileStore, createMemoryStore } = require('./ledger');
+const { createRequestScheduler } = require('./scheduler');
+const { generateNwcKeypair, createNwcUrl, createWalletAuthRequest, parseWalletAuthUrl } = require('./connect');
+const { createLocalWalletService, createLocalRelay } = require('./local-wallet');
+const {
+  LightningAgentError,
+  NwcError,
+  NwcTimeoutError,
+  NwcConnectionError,
+  InvoiceError,
+  ValidationError,
+  PaymentPendingError,
+  LnurlError,
+  EscrowStateError,
+  StreamError,
+  StreamBudgetError,
+  PolicyError,
+  AbortError
+} = require('./errors');
 
 module.exports = {
   // Wallet (v0.1.0)
@@ -13,16 +38,67 @@ module.exports = {
   resolveLightningAddress,
   NWCWallet,
 
+  // Several wallets behind one interface
+  createWalletRouter,
+  WalletRouter,
+
   // Auth (v0.3.0)
   createAuthServer,
   signAuth,
   authenticate,
 
+  // LNURL
+  encodeLnurl,
+  decodeLnurl,
+  createWithdrawServer,
+  withdrawLnurl,
+  createLnurlPayServer,
+
+  // Zaps (NIP-57)
+  verifyZapReceipt,
+  createZapReceipt,
+
   // Escrow (v0.3.0)
   createEscrowManager,
   EscrowState,
 
   // Streaming payments (v0.3.0)
   createStreamProvider,
-  createStreamClient
+  createStreamClient,
+
+  // Spending policy
+  createSpendingPolicy,
+
+  // Ledger
+  createLedger,
+  createFileStore,
+  createMemoryStore,
+
+  // Request scheduling
+  createRequestScheduler,
+
+  // Connection provisioning
+  generateNwcKeypair,
+  createNwcUrl,
+  createWalletAuthRequest,
+  parseWalletAuthUrl,
+
+  // Local wallet service (testing / offline)
+  createLocalWalletService,
+  createLocalRelay,
+
+  // Errors
+  LightningAgentError,
+  NwcError,
+  NwcTimeoutError,
+  NwcConnectionError,
+  InvoiceError,
+  ValidationError,
+  PaymentPendingError,
+  LnurlError,
+  EscrowStateError,
+  StreamError,
+  StreamBudgetError,
+  PolicyError,
+  AbortError
 };
@@ -0,0 +1,264 @@
+'use strict';
+
+/**
+ * Append-only payment ledger.
+ *
+ * Answers "how much did this agent pay that one this week?". Attach one
+ * to a wallet and it records every invoice created, payment sent and
+ * invoice paid, each with an optional counterparty, purpose, tags and
+ * metadata passed to the call. Escrow managers add their state changes
+ * and stream providers their batch charges.
+ *
+ * Entries are only ever appended. The default store is a JSONL file;
+ * anything with append(entry) and read() can stand in for it.
+ *
+ * @example
+ * const wallet = createWallet(nwcUrl, { ledger: { path: './payments.jsonl' } });
+ * await wallet.payInvoice(invoice, { counterparty: 'agent-y', purpose: 'translation', tags: ['work'] });
+ * await wallet.ledger.balances({ from: Date.now() - 7 * 86400000 });
+ * // { 'agent-y': { sentSats: 500, receivedSats: 0, netSats: -500, count: 1, ... } }
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { readMsats, amountFields } = require('./amount');
+
+const CSV_COLUMNS = [
+  'id', 'at', 'type', 'direction', 'status', 'amountSats', 'amountMsats',
+  'counterparty', 'purpose', 'tags', 'paymentHash', 'metadata'
+];
+
+// ─── Stores ───
+
+/**
+ * JSONL file store: one entry per line, appended in order.
+ * @param {string} path
+ * @returns {{ path: string, append(entry): Promise, read(): Promise<object[]> }}
+ */
+function createFileStore(path) {
+  if (!path) throw new Error('Ledger file path is required');
+  let queue = Promise.resolve();
+
+  return {
+    path,
+
+    append(entry) {
+      // One write at a time keeps lines whole and in order
+      const write = queue.then(() => fs.promises.appendFile(path, JSON.stringify(entry) + '\n', 'utf8'));
+      queue = write.catch(() => {});
+      return write;
+    },
+
+    async read() {
+      await queue;
+      let text;
+      try {
+        text = await fs.promises.readFile(path, 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      const entries = [];
+      for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (_) {
+          // A line cut short by a crash; the rest are still good
+        }
+      }
+      return entries;
+    }
+  };
+}
+
+/**
+ * In-memory store, for tests and short-lived agents.
+ * @returns {{ entries: object[], append(entry): void, read(): object[] }}
+ */
+function createMemoryStore() {
+  const entries = [];
+  return {
+    entries,
+    append(entry) { entries.push(entry); },
+    read() { return entries.slice(); }
+  };
+}
+
+// ─── Ledger ───
+
+/**
+ * Create a ledger.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.path] - JSONL file to append to
+ * @param {object} [opts.store] - Or a store: { append(entry), read() }, either may be async
+ * @returns {Ledger}
+ */
+function createLedger(opts = {}) {
+  const store = opts.store || (opts.path ? createFileStore(opts.path) : null);
+  if (!store || typeof store.append !== 'function' || typeof store.read !== 'function') {
+    throw new Error('Ledger needs a path or a store with append() and read()');
+  }
+
+  async function select(filter = {}) {
+    const from = filter.from !== undefined ? toMs(filter.from) : null;
+    const until = filter.until !== undefined ? toMs(filter.until) : null;
+    return (await store.read()).filter(e =>
+      (from === null || e.at >= from) &&
+      (until === null || e.at <= until) &&
+      (!filter.type || e.type === filter.type) &&
+      (!filter.counterparty || e.counterparty === filter.counterparty) &&
+      (!filter.purpose || e.purpose === filter.purpose) &&
+      (!filter.tag || (e.tags || []).includes(filter.tag)) &&
+      (!filter.paymentHash || e.paymentHash === filter.paymentHash)
+    );
+  }
+
+  return {
+    store,
+
+    /**
+     * Append an entry. id, at and the sats/msats pair are filled in.
+     *
+     * @param {object} entry
+     * @param {string} entry.type - 'invoice' | 'payment' | 'receipt' | 'escrow' | 'stream_charge' | your own
+     * @param {string} [entry.direction] - 'in' | 'out'; entries without one move no money
+     * @param {string} [entry.status] - e.g. 'open', 'settled', 'failed', 'pending'
+     * @param {number} [entry.amountSats] - Or amountMsats
+     * @param {string} [entry.paymentHash]
+     * @param {string} [entry.counterparty] - Who the money went to or came from
+     * @param {string} [entry.purpose] - What it was for
+     * @param {string[]} [entry.tags]
+     * @param {object} [entry.metadata]
+     * @returns {Promise<object>} The stored entry
+     */
+    async record(entry) {
+      if (!entry || !entry.type) throw new Error('Ledger entry type is required');
+      const amountMsats = readMsats(entry);
+      const stored = {
+        ...entry,
+        id: crypto.randomBytes(8).toString('hex'),
+        at: Date.now(),
+        direction: entry.direction || null,
+        status: entry.status || null,
+        ...amountFields(amountMsats !== undefined ? amountMsats : null),
+        paymentHash: entry.paymentHash || null,
+        counterparty: entry.counterparty || null,
+        purpose: entry.purpose || null,
+        tags: entry.tags || [],
+        metadata: entry.metadata || {}
+      };
+      await store.append(stored);
+      return stored;
+    },
+
+    /**
+     * Entries in the order they were recorded.
+     * @param {object} [filter]
+     * @param {number|Date} [filter.from] - Recorded at or after (ms or Date)
+     * @param {number|Date} [filter.until] - Recorded at or before
+     * @param {string} [filter.type]
+     * @param {string} [filter.counterparty]
+     * @param {string} [filter.purpose]
+     * @param {string} [filter.tag]
+     * @param {string} [filter.paymentHash]
+     * @returns {Promise<object[]>}
+     */
+    entries(filter) {
+      return select(filter);
+    },
+
+    /**
+     * Money moved per counterparty (or per tag). Only settled entries with
+     * a direction count, each payment hash once per direction.
+     *
+     * @param {object} [opts] - Any entries() filter, plus:
+     * @param {string} [opts.by='counterparty'] - 'counterparty' | 'tag' | 'purpose'
+     * @returns {Promise<Object<string, { sentSats, sentMsats, receivedSats, receivedMsats, netSats, netMsats, count }>>}
+     *   Entries without a counterparty (or purpose) are under ''; by tag, an entry counts toward each of its tags
+     */
+    async balances(opts = {}) {
+      const by = opts.by || 'counterparty';
+      if (!['counterparty', 'tag', 'purpose'].includes(by)) {
+        throw new Error("by must be 'counterparty', 'tag' or 'purpose'");
+      }
+
+      const totals = {};
+      const seen = new Set();
+      for (const e of await select(opts)) {
+        if (e.status !== 'settled' || (e.direction !== 'in' && e.direction !== 'out')) continue;
+        if (e.paymentHash) {
+          const key = e.direction + ':' + e.paymentHash;
+          if (seen.has(key)) continue;
+          seen.add(key);
+        }
+        const keys = by === 'tag' ? (e.tags || []) : [e[by] || ''];
+        for (const key of keys) {
+          const t = totals[key] || (totals[key] = { sent: 0, received: 0, count: 0 });
+          if (e.direction === 'out') t.sent += e.amountMsats || 0;
+          else t.received += e.amountMsats || 0;
+          t.count++;
+        }
+      }
+
+      const result = {};
+      for (const [key, t] of Object.entries(totals)) {
+        result[key] = {
+          ...amountFields(t.sent, 'sent'),
+          ...amountFields(t.received, 'received'),
+          ...amountFields(t.received - t.sent, 'net'),
+          count: t.count
+        };
+      }
+      return result;
+    },
+
+    /**
+     * Entries as CSV, one row each, with a header row. tags are joined
+     * with ';' and metadata is JSON.
+     * @param {object} [filter] - See entries()
+     * @returns {Promise<string>}
+     */
+    async toCSV(filter) {
+      const rows = (await select(filter)).map(e => CSV_COLUMNS.map((col) => {
+        if (col === 'at') return new Date(e.at).toISOString();
+        if (col === 'tags') return (e.tags || []).join(';');
+        if (col === 'metadata') return JSON.stringify(e.metadata || {});
+        return e[col] === null || e[col] === undefined ? '' : String(e[col]);
+      }));
+      return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+    }
+  };
+}
+
+/**
+ * The ledger fields of a wallet call's options.
+ * @param {object} opts - { counterparty, purpose, tags, metadata }
+ * @returns {{ counterparty, purpose, tags, metadata }}
+ */
+function entryFields(opts = {}) {
+  return {
+    counterparty: opts.counterparty || null,
+    purpose: opts.purpose || null,
+    tags: opts.tags || [],
+    metadata: opts.metadata || {}
+  };
+}
+
+// ─── Helpers ───
+
+function toMs(t) {
+  return t instanceof Date ? t.getTime() : t;
+}
+
+function csvField(value) {
+  return /[",\n\r]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+}
+
+module.exports = {
+  createLedger,
+  createFileStore,
+  createMemoryStore,
+  entryFields
+};
@@ -0,0 +1,298 @@
+'use strict';
+
+/**
+ * LNURL-pay server (LUD-06) with a Lightning address (LUD-16).
+ *
+ * The receiving side of resolveLightningAddress(): serves
+ * /.well-known/lnurlp/<username> and a callback that creates invoices
+ * through the agent's own wallet, committing to the metadata with
+ * description_hash. Any agent can then be paid at name@its-domain
+ * without a custodial provider. Payers can be asked who they are
+ * (LUD-18), with auth proving they hold a key, and Nostr users can zap
+ * the address (NIP-57) once it has a nostr key.
+ *
+ * @example
+ * const payServer = createLnurlPayServer(wallet, { username: 'agent', domain: 'example.com' });
+ * http.createServer(payServer.middleware()).listen(443);
+ * // → payable at agent@example.com
+ */
+
+const crypto = require('crypto');
+const { getPublicKey } = require('nostr-tools');
+const { createAuthServer } = require('./auth');
+const { checkZapRequest, createZapReceipt } = require('./zap');
+const { readMsats, amountFields, walletAmount, formatMsats } = require('./amount');
+
+/**
+ * Create an LNURL-pay server for one Lightning address.
+ *
+ * @param {NWCWallet|WalletRouter} wallet - Wallet that issues the invoices
+ * @param {object} opts
+ * @param {string} opts.username - Name part of the address (name@domain)
+ * @param {string} opts.domain - Domain the server is reachable at
+ * @param {number} [opts.minSendable=1000] - Smallest payment in msats (or minSats / minMsats)
+ * @param {number} [opts.maxSendable=100000000] - Largest payment in msats (or maxSats / maxMsats)
+ * @param {number} [opts.commentAllowed=0] - Longest payer comment accepted (LUD-12); 0 disables comments
+ * @param {string} [opts.description] - text/plain metadata (default 'Pay to <username>@<domain>')
+ * @param {string} [opts.callbackUrl] - Invoice callback URL (default https://<domain>/lnurlp/<username>/callback)
+ * @param {number} [opts.invoiceExpiry] - Invoice expiry in seconds
+ * @param {object} [opts.successAction] - LUD-09 action sent with every invoice, e.g.
+ *   { tag: 'message', message: 'Thanks!' } or { tag: 'url', description, url }
+ * @param {object} [opts.payerData] - LUD-18 fields to ask payers for, each { mandatory: boolean }:
+ *   name, pubkey, identifier, email, auth (a signed k1, checked before the invoice is issued)
+ * @param {number} [opts.authTtlMs=600000] - How long an auth k1 from payRequest() stays valid
+ * @param {number} [opts.maxAuthChallenges=1000] - Most auth k1s outstanding at once; every
+ *   payRequest() hands one out, so the oldest are dropped beyond this
+ * @param {string} [opts.nostrSecretKey] - Hex key that signs zap receipts; accepts zaps (NIP-57) when set
+ * @param {function} [opts.onInvoice] - Called with ({ invoice, paymentHash, amountSats, amountMsats, comment,
+ *   payerData, zapRequest }) after each invoice is issued
+ * @returns {LnurlPayServer}
+ */
+function createLnurlPayServer(wallet, opts = {}) {
+  if (!wallet) throw new Error('LNURL-pay wallet is required');
+  const username = opts.username;
+  const domain = opts.domain;
+  if (!username || !/^[a-z0-9\-_.+]+$/.test(username)) {
+    throw new Error('username is required and may only contain a-z, 0-9, -, _, . and +');
+  }
+  if (!domain) throw new Error('domain is required');
+
+  const address = `${username}@${domain}`;
+  const minMsats = opts.minSendable !== undefined ? opts.minSendable : (readMsats(opts, 'min') || 1000);
+  const maxMsats = opts.maxSendable !== undefined ? opts.maxSendable : (readMsats(opts, 'max') || 100000000);
+  if (!Number.isSafeInteger(minMsats) || !Number.isSafeInteger(maxMsats) || minMsats <= 0 || minMsats > maxMsats) {
+    throw new Error('minSendable and maxSendable must be positive integer msats with min <= max');
+  }
+  const commentAllowed = opts.commentAllowed || 0;
+  const callbackUrl = opts.callbackUrl || `https://${domain}/lnurlp/${username}/callback`;
+  const callbackPath = new URL(callbackUrl).pathname;
+  const wellKnownPath = `/.well-known/lnurlp/${username}`;
+  const onInvoice = opts.onInvoice || null;
+  const payerSpec = opts.payerData || null;
+  // auth k1s are handed out and checked like LNURL-auth challenges
+  const authChallenges = payerSpec && payerSpec.auth
+    ? createAuthServer({
+      challengeTtlMs: opts.authTtlMs || 10 * 60 * 1000,
+      maxChallenges: opts.maxAuthChallenges || 1000
+    })
+    : null;
+  const nostrSecretKey = opts.nostrSecretKey ? Uint8Array.from(Buffer.from(opts.nostrSecretKey, 'hex')) : null;
+  const nostrPubkey = nostrSecretKey ? getPublicKey(nostrSecretKey) : null;
+
+  // LUD-06: the metadata string is served verbatim and its hash goes in the invoice
+  const metadata = JSON.stringify([
+    ['text/plain', opts.description || `Pay to ${address}`],
+    ['text/identifier', address]
+  ]);
+  const metadataHash = crypto.createHash('sha256').update(metadata, 'utf8').digest('hex');
+
+  // Why the payer data falls short of what payRequest() asked for, or null
+  function checkPayerData(data) {
+    if (!payerSpec) return null;
+    for (const [field, rule] of Object.entries(payerSpec)) {
+      if (rule && rule.mandatory && !data[field]) return `payerdata.${field} is required`;
+    }
+    if (data.auth) {
+      if (!authChallenges) return 'payerdata.auth was not requested';
+      const { k1, sig, key } = data.auth;
+      const result = authChallenges.verify(k1, sig, key);
+      if (!result.valid) return 'payerdata.auth: ' + result.error;
+    }
+    return null;
+  }
+
+  // NIP-57: an invoice committing to the zap request; comment and payer data live in the request
+  async function zapInvoice(amountMsats, json) {
+    if (!nostrPubkey) return { status: 'ERROR', reason: 'Zaps are not accepted' };
+    const check = checkZapRequest(json, amountMsats);
+    if (!check.valid) return { status: 'ERROR', reason: check.error };
+
+    let inv;
+    try {
+      inv = await wallet.createInvoice({
+        ...walletAmount(amountMsats),
+        descriptionHash: crypto.createHash('sha256').update(json, 'utf8').digest('hex'),
+        expiry: opts.invoiceExpiry
+      });
+    } catch (err) {
+      return { status: 'ERROR', reason: 'Could not create invoice: ' + err.message };
+    }
+
+    if (onInvoice) {
+      onInvoice({
+        invoice: inv.invoice,
+        paymentHash: inv.paymentHash,
+        ...amountFields(amountMsats),
+        comment: check.zapRequest.content || null,
+        payerData: null,
+        zapRequest: check.zapRequest
+      });
+    }
+    return { pr: inv.invoice, routes: [] };
+  }
+
+  return {
+    /** The Lightning address this server answers for */
+    address,
+
+    /** Metadata string, exactly as served */
+    metadata,
+
+    /** Hex SHA-256 of the metadata, committed to by every invoice */
+    metadataHash,
+
+    /** Pubkey zap receipts are signed with, or null when zaps are off */
+    nostrPubkey,
+
+    /**
+     * The LUD-06 payRequest served at /.well-known/lnurlp/<username>.
+     * @returns {object}
+     */
+    payRequest() {
+      const request = {
+        tag: 'payRequest',
+        callback: callbackUrl,
+        minSendable: minMsats,
+        maxSendable: maxMsats,
+        metadata
+      };
+      if (commentAllowed > 0) request.commentAllowed = commentAllowed;
+      if (nostrPubkey) {
+        request.allowsNostr = true;
+        request.nostrPubkey = nostrPubkey;
+      }
+      if (payerSpec) {
+        request.payerData = {};
+        for (const [field, rule] of Object.entries(payerSpec)) {
+          request.payerData[field] = { mandatory: Boolean(rule && rule.mandatory) };
+        }
+        if (authChallenges) request.payerData.auth.k1 = authChallenges.createChallenge().k1;
+      }
+      return request;
+    },
+
+    /**
+     * Issue an invoice for the callback.
+     *
+     * @param {object} params
+     * @param {number} params.amountMsats - Requested amount (the callback's `amount`)
+     * @param {string} [params.comment] - Payer comment
+     * @param {string} [params.payerData] - LUD-18 payerdata JSON, exactly as sent (it is hashed)
+     * @param {string} [params.nostr] - NIP-57 zap request JSON, exactly as sent; the invoice
+     *   then commits to it instead of the metadata
+     * @returns {Promise<{ pr: string, routes: Array, successAction?: object }|{ status: 'ERROR', reason: string }>}
+     *   LUD-06 callback body; errors are returned, not thrown
+     */
+    async callback(params = {}) {
+      const amountMsats = params.amountMsats;
+      if (!Number.isSafeInteger(amountMsats) || amountMsats <= 0) {
+        return { status: 'ERROR', reason: 'amount must be a positive integer (msats)' };
+      }
+      if (amountMsats < minMsats || amountMsats > maxMsats) {
+        return {
+          status: 'ERROR',
+          reason: `Amount ${formatMsats(amountMsats)} outside ${formatMsats(minMsats)}–${formatMsats(maxMsats)}`
+        };
+      }
+      const comment = params.comment || null;
+      if (comment && comment.length > commentAllowed) {
+        return {
+          status: 'ERROR',
+          reason: commentAllowed > 0 ? `Comment longer than ${commentAllowed} characters` : 'Comments are not accepted'
+        };
+      }
+
+      if (params.nostr) return zapInvoice(amountMsats, params.nostr);
+
+      let payerData = null;
+      if (params.payerData) {
+        try {
+          payerData = JSON.parse(params.payerData);
+        } catch (_) {
+          return { status: 'ERROR', reason: 'payerdata is not valid JSON' };
+        }
+        if (!payerData || typeof payerData !== 'object' || Array.isArray(payerData)) {
+          return { status: 'ERROR', reason: 'payerdata must be an object' };
+        }
+      }
+      const payerProblem = checkPayerData(payerData || {});
+      if (payerProblem) return { status: 'ERROR', reason: payerProblem };
+
+      // LUD-18: the invoice commits to metadata + payerdata as sent
+      const descriptionHash = params.payerData
+        ? crypto.createHash('sha256').update(metadata + params.payerData, 'utf8').digest('hex')
+        : metadataHash;
+
+      let inv;
+      try {
+        inv = await wallet.createInvoice({
+          ...walletAmount(amountMsats),
+          descriptionHash,
+          expiry: opts.invoiceExpiry
+        });
+      } catch (err) {
+        return { status: 'ERROR', reason: 'Could not create invoice: ' + err.message };
+      }
+
+      if (onInvoice) {
+        onInvoice({
+          invoice: inv.invoice,
+          paymentHash: inv.paymentHash,
+          ...amountFields(amountMsats),
+          comment,
+          payerData,
+          zapRequest: null
+        });
+      }
+      const body = { pr: inv.invoice, routes: [] };
+      if (opts.successAction) body.successAction = opts.successAction;
+      return body;
+    },
+
+    /**
+     * Sign the kind 9735 receipt for a paid zap invoice, to publish to the
+     * relays in its zap request.
+     * @param {{ zapRequest: object, invoice: string, preimage?: string, paidAt?: number }} zap
+     * @returns {object} Signed kind 9735 event
+     */
+    createZapReceipt(zap) {
+      if (!nostrSecretKey) throw new Error('nostrSecretKey is required to sign zap receipts');
+      return createZapReceipt(zap, nostrSecretKey);
+    },
+
+    /**
+     * HTTP handler for both LNURL-pay endpoints:
+     *   GET /.well-known/lnurlp/<username>    → payRequest
+     *   GET <callback path>?amount=<msats>    → { pr, routes }
+     * Other paths get a 404.
+     * @returns {function} (req, res) handler
+     */
+    middleware() {
+      return async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const reply = (status, body) => {
+          res.writeHead(status, {
+            'Content-Type': 'application/json',
+            // LUD-16: wallets in browsers fetch the address cross-origin
+            'Access-Control-Allow-Origin': '*'
+          });
+          res.end(JSON.stringify(body));
+        };
+
+        if (url.pathname === wellKnownPath) return reply(200, this.payRequest());
+        if (url.pathname !== callbackPath) return reply(404, { status: 'ERROR', reason: 'Unknown user' });
+
+        const amount = url.searchParams.get('amount');
+        const body = await this.callback({
+          amountMsats: /^\d+$/.test(amount || '') ? Number(amount) : NaN,
+          comment: url.searchParams.get('comment') || undefined,
+          payerData: url.searchParams.get('payerdata') || undefined,
+          nostr: url.searchParams.get('nostr') || undefined
+        });
+        reply(body.status === 'ERROR' ? 400 : 200, body);
+      };
+    }
+  };
+}
+
+module.exports = { createLnurlPayServer };
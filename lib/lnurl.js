@@ -0,0 +1,225 @@
+'use strict';
+
+/**
+ * Shared LNURL plumbing (LUD-01, LUD-17).
+ *
+ * Encoding and decoding of LNURL strings plus the GET helper every
+ * LNURL flow uses (pay, withdraw, auth), so they all fail the same way.
+ * Also LNURL-pay success actions (LUD-09, LUD-10).
+ *
+ * @example
+ * const lnurl = encodeLnurl('https://api.example.com/withdraw?k1=...');
+ * decodeLnurl(lnurl);                                // 'https://api.example.com/withdraw?k1=...'
+ * decodeLnurl('lnurlw://api.example.com/w?k1=...');  // 'https://api.example.com/w?k1=...'
+ */
+
+const crypto = require('crypto');
+const bech32 = require('./bech32');
+const { LnurlError } = require('./errors');
+const { throwIfAborted } = require('./abort');
+
+// LUD-17 schemes stand in for https (http for onion services)
+const LUD17_SCHEMES = ['lnurlc', 'lnurlw', 'lnurlp', 'keyauth'];
+
+/**
+ * Encode a URL as a bech32 LNURL ('lnurl1...').
+ * @param {string} url
+ * @returns {string}
+ */
+function encodeLnurl(url) {
+  return bech32.encode('lnurl', bech32.toWords(Buffer.from(url, 'utf8')));
+}
+
+/**
+ * Turn a bech32 LNURL, a LUD-17 URL (lnurlw://...) or a plain URL into
+ * the https URL to fetch.
+ * @param {string} lnurl
+ * @returns {string}
+ * @throws {LnurlError} INVALID_LNURL
+ */
+function decodeLnurl(lnurl) {
+  if (!lnurl || typeof lnurl !== 'string') {
+    throw new LnurlError('INVALID_LNURL', 'LNURL is required', {});
+  }
+  let str = lnurl.trim();
+  if (str.toLowerCase().startsWith('lightning:')) str = str.slice(10);
+
+  let url = str;
+  if (str.toLowerCase().startsWith('lnurl1')) {
+    try {
+      url = bech32.fromWords(bech32.decode(str, 'bech32').words).toString('utf8');
+    } catch (err) {
+      throw new LnurlError('INVALID_LNURL', 'Invalid LNURL: ' + err.message, { lnurl });
+    }
+  } else {
+    const scheme = str.slice(0, str.indexOf('://')).toLowerCase();
+    if (LUD17_SCHEMES.includes(scheme)) {
+      const rest = str.slice(scheme.length + 3);
+      const host = rest.split(/[/?#]/)[0];
+      url = (host.endsWith('.onion') ? 'http://' : 'https://') + rest;
+    }
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    throw new LnurlError('INVALID_LNURL', 'Invalid LNURL: not a URL', { lnurl });
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new LnurlError('INVALID_LNURL', `Invalid LNURL: unsupported scheme ${parsed.protocol}`, { lnurl });
+  }
+  return parsed.toString();
+}
+
+/**
+ * GET an LNURL endpoint. Network failures, HTTP errors, non-JSON bodies
+ * and { status: 'ERROR' } replies all become LnurlError; an aborted
+ * signal becomes AbortError.
+ * @param {string} url
+ * @param {string} what - Label for error messages, e.g. 'LNURL callback'
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<object>} Parsed JSON body
+ */
+async function fetchLnurl(url, what, signal) {
+  let res;
+  try {
+    res = await fetch(url, signal ? { signal } : undefined);
+  } catch (err) {
+    throwIfAborted(signal, { url });
+    throw new LnurlError('FETCH_FAILED', `${what} failed: ${err.message}`, { url });
+  }
+
+  let data;
+  try {
+    data = await res.json();
+  } catch (_) {
+    throwIfAborted(signal, { url });
+    if (!res.ok) {
+      throw new LnurlError('FETCH_FAILED', `${what} failed (${res.status}): ${url}`, { url, status: res.status });
+    }
+    throw new LnurlError('INVALID_RESPONSE', `${what} returned invalid JSON: ${url}`, { url });
+  }
+  // Services often pair { status: 'ERROR' } with a 4xx; keep their reason
+  if (data && data.status === 'ERROR') {
+    throw new LnurlError('SERVICE_ERROR', 'LNURL error: ' + (data.reason || 'unknown'), { url, reason: data.reason || null });
+  }
+  if (!res.ok) {
+    throw new LnurlError('FETCH_FAILED', `${what} failed (${res.status}): ${url}`, { url, status: res.status });
+  }
+  if (!data || typeof data !== 'object') {
+    throw new LnurlError('INVALID_RESPONSE', `${what} returned invalid JSON: ${url}`, { url });
+  }
+  return data;
+}
+
+/**
+ * Append query parameters to a URL that may already have some.
+ * @param {string} url
+ * @param {object} params - Undefined and null values are skipped
+ * @returns {string}
+ */
+function withQuery(url, params) {
+  const parsed = new URL(url);
+  for (const [k, v] of Object.entries(params)) {
+    if (v !== undefined && v !== null) parsed.searchParams.set(k, String(v));
+  }
+  return parsed.toString();
+}
+
+// ─── LNURL-pay success actions ───
+
+// LUD-09 / LUD-10 size limits
+const MAX_SUCCESS_TEXT = 144;
+const MAX_AES_CIPHERTEXT = 4096;
+
+/**
+ * Validate a successAction from an LNURL-pay callback (LUD-09, LUD-10).
+ * Done before paying, so a malformed action refuses the invoice.
+ *
+ * @param {object|null} action - successAction from the callback response
+ * @param {string} callbackUrl - The callback it came from; url actions must stay on its domain
+ * @returns {object|null} { tag: 'message', message } | { tag: 'url', description, url } |
+ *   { tag: 'aes', description, ciphertext, iv }, or null when there is none
+ * @throws {LnurlError} INVALID_RESPONSE
+ */
+function parseSuccessAction(action, callbackUrl) {
+  if (action === undefined || action === null) return null;
+  const invalid = (why) => new LnurlError('INVALID_RESPONSE', 'Invalid successAction: ' + why, { url: callbackUrl, successAction: action });
+  if (typeof action !== 'object') throw invalid('not an object');
+
+  const text = (value, field) => {
+    if (typeof value !== 'string' || value.length > MAX_SUCCESS_TEXT) {
+      throw invalid(`${field} must be a string of at most ${MAX_SUCCESS_TEXT} characters`);
+    }
+    return value;
+  };
+
+  switch (action.tag) {
+    case 'message':
+      return { tag: 'message', message: text(action.message, 'message') };
+
+    case 'url': {
+      let target;
+      try {
+        target = new URL(action.url);
+      } catch (_) {
+        throw invalid('url is not a URL');
+      }
+      if (target.hostname !== new URL(callbackUrl).hostname) throw invalid('url is not on the callback domain');
+      return { tag: 'url', description: text(action.description, 'description'), url: target.toString() };
+    }
+
+    case 'aes': {
+      const ciphertext = action.ciphertext;
+      const iv = action.iv;
+      if (typeof ciphertext !== 'string' || ciphertext.length > MAX_AES_CIPHERTEXT || !isBase64(ciphertext)) {
+        throw invalid(`ciphertext must be base64 of at most ${MAX_AES_CIPHERTEXT} characters`);
+      }
+      if (typeof iv !== 'string' || iv.length !== 24 || !isBase64(iv)) throw invalid('iv must be 16 bytes of base64');
+      return { tag: 'aes', description: text(action.description, 'description'), ciphertext, iv };
+    }
+
+    default:
+      throw invalid(`unknown tag ${JSON.stringify(action.tag)}`);
+  }
+}
+
+/**
+ * Turn a parsed successAction into what the payer shows once paid. aes
+ * actions gain `plaintext`, decrypted with the payment preimage; it is
+ * null when there is no preimage yet or decryption fails, since the
+ * payment has already gone through by then.
+ *
+ * @param {object|null} action - From parseSuccessAction()
+ * @param {string|null} preimage - Hex payment preimage
+ * @returns {object|null}
+ */
+function decodeSuccessAction(action, preimage) {
+  if (!action) return null;
+  if (action.tag !== 'aes') return { ...action };
+
+  let plaintext = null;
+  if (preimage && /^[0-9a-f]{64}$/i.test(preimage)) {
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-cbc', Buffer.from(preimage, 'hex'), Buffer.from(action.iv, 'base64'));
+      plaintext = Buffer.concat([decipher.update(Buffer.from(action.ciphertext, 'base64')), decipher.final()]).toString('utf8');
+    } catch (_) {
+      plaintext = null;
+    }
+  }
+  return { tag: 'aes', description: action.description, plaintext };
+}
+
+function isBase64(str) {
+  return /^[A-Za-z0-9+/]*={0,2}$/.test(str) && str.length % 4 === 0;
+}
+
+module.exports = {
+  encodeLnurl,
+  decodeLnurl,
+  fetchLnurl,
+  withQuery,
+  parseSuccessAction,
+  decodeSuccessAction
+};
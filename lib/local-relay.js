@@ -0,0 +1,175 @@
+'use strict';
+
+/**
+ * Minimal in-process Nostr relay (NIP-01) on 127.0.0.1.
+ *
+ * Enough of a relay for NWC: EVENT / REQ / CLOSE, signature checks,
+ * ephemeral kinds (20000–29999) delivered but never stored, replaceable
+ * kinds (0, 3, 10000–19999) keep only the latest per author.
+ *
+ * Used by the local wallet service so wallet, escrow and stream flows
+ * run end to end without network access.
+ *
+ * @example
+ * const relay = await createLocalRelay();
+ * relay.url; // 'ws://127.0.0.1:54321'
+ * await relay.close();
+ */
+
+const { WebSocketServer } = require('ws');
+const { verifyEvent, matchFilters } = require('nostr-tools');
+
+/**
+ * Start a local relay.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.port=0] - Port to listen on (0 picks a free one)
+ * @returns {Promise<LocalRelay>}
+ */
+async function createLocalRelay(opts = {}) {
+  const server = new WebSocketServer({ host: '127.0.0.1', port: opts.port || 0 });
+  await new Promise((resolve, reject) => {
+    server.once('listening', resolve);
+    server.once('error', reject);
+  });
+
+  const url = `ws://127.0.0.1:${server.address().port}`;
+  const stored = [];
+  // Live subscriptions from sockets and in-process listeners: { filters, deliver }
+  const subs = new Set();
+  let closed = false;
+
+  function store(event) {
+    if (isEphemeral(event.kind)) return;
+    if (isReplaceable(event.kind)) {
+      const i = stored.findIndex(e => e.kind === event.kind && e.pubkey === event.pubkey);
+      if (i !== -1) {
+        if (stored[i].created_at > event.created_at) return;
+        stored.splice(i, 1);
+      }
+    }
+    stored.push(event);
+  }
+
+  function query(filters) {
+    const matches = stored.filter(e => matchFilters(filters, e));
+    matches.sort((a, b) => b.created_at - a.created_at);
+    const limits = filters.map(f => f.limit).filter(n => typeof n === 'number');
+    return limits.length === filters.length ? matches.slice(0, Math.max(...limits)) : matches;
+  }
+
+  /**
+   * Accept an event: verify, store and fan out to matching subscriptions.
+   * @param {object} event - Signed Nostr event
+   * @returns {[boolean, string]} NIP-01 OK status and message
+   */
+  function publish(event) {
+    if (!verifyEvent(event)) return [false, 'invalid: bad signature'];
+    if (stored.some(e => e.id === event.id)) return [true, 'duplicate: already have this event'];
+    store(event);
+    for (const sub of subs) {
+      if (matchFilters(sub.filters, event)) sub.deliver(event);
+    }
+    return [true, ''];
+  }
+
+  /**
+   * Subscribe in-process, without a socket. Stored matches are replayed
+   * before this returns.
+   * @param {object[]} filters
+   * @param {function} onevent - Called with each matching event
+   * @returns {{ close: function }}
+   */
+  function subscribe(filters, onevent) {
+    const sub = { filters, deliver: onevent };
+    for (const e of query(filters)) onevent(e);
+    subs.add(sub);
+    return { close: () => subs.delete(sub) };
+  }
+
+  server.on('connection', (ws) => {
+    const own = new Map(); // subscription id -> sub
+    const send = (msg) => {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg));
+    };
+
+    ws.on('message', (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(raw.toString());
+      } catch (_) {
+        return send(['NOTICE', 'invalid: message is not JSON']);
+      }
+      if (!Array.isArray(msg)) return send(['NOTICE', 'invalid: message is not an array']);
+
+      const [type, ...args] = msg;
+      if (type === 'EVENT') {
+        const event = args[0];
+        let ok;
+        try {
+          ok = publish(event);
+        } catch (_) {
+          ok = [false, 'invalid: malformed event'];
+        }
+        send(['OK', event && event.id, ...ok]);
+      } else if (type === 'REQ') {
+        const [id, ...filters] = args;
+        if (own.has(id)) subs.delete(own.get(id));
+        for (const e of query(filters)) send(['EVENT', id, e]);
+        send(['EOSE', id]);
+        const sub = { filters, deliver: (e) => send(['EVENT', id, e]) };
+        own.set(id, sub);
+        subs.add(sub);
+      } else if (type === 'CLOSE') {
+        const sub = own.get(args[0]);
+        if (sub) {
+          subs.delete(sub);
+          own.delete(args[0]);
+        }
+      } else {
+        send(['NOTICE', `invalid: unknown message type ${type}`]);
+      }
+    });
+
+    ws.on('close', () => {
+      for (const sub of own.values()) subs.delete(sub);
+      own.clear();
+    });
+  });
+
+  return {
+    url,
+    publish,
+    subscribe,
+
+    /**
+     * Drop every client connection without stopping the relay —
+     * handy for exercising reconnect logic.
+     */
+    disconnectAll() {
+      for (const ws of server.clients) ws.terminate();
+    },
+
+    /**
+     * Stop the relay and disconnect all clients.
+     * @returns {Promise<void>}
+     */
+    async close() {
+      if (closed) return;
+      closed = true;
+      subs.clear();
+      for (const ws of server.clients) ws.terminate();
+      await new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+function isEphemeral(kind) {
+  return kind >= 20000 && kind < 30000;
+}
+
+function isReplaceable(kind) {
+  return kind === 0 || kind === 3 || (kind >= 10000 && kind < 20000);
+}
+
+module.exports = { createLocalRelay };
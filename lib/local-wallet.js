@@ -0,0 +1,856 @@
+'use strict';
+
+/**
+ * Local NWC wallet service — an in-memory stand-in for a real
+ * Lightning wallet, for tests and offline development.
+ *
+ * Answers NIP-47 requests over an in-process relay:
+ *   get_info, get_balance, make_invoice, pay_invoice, multi_pay_invoice,
+ *   lookup_invoice, list_transactions, make_hold_invoice,
+ *   settle_hold_invoice, cancel_hold_invoice
+ * and sends payment_received / payment_sent / hold_invoice_accepted
+ * notifications.
+ *
+ * Every connection is its own account with its own balance. Client-
+ * initiated connections (nostr+walletauth://) are approved with
+ * approveWalletAuth() and get their own wallet key, scoped to the methods,
+ * budget and expiry they asked for. Invoices
+ * are real, signed bolt11 strings; paying one settles instantly if it
+ * was issued by this service. Anything else fails with "no route".
+ * Paying a hold invoice takes the payer's funds and holds them: the
+ * payer's pay_invoice answers once the receiver settles or cancels.
+ *
+ * @example
+ * const service = await createLocalWalletService({ balanceSats: 10000 });
+ * const alice = createWallet(service.nwcUrl);
+ * const bob = createWallet(service.createConnection().nwcUrl);
+ *
+ * const { invoice } = await bob.createInvoice({ amountSats: 100 });
+ * await alice.payInvoice(invoice);
+ *
+ * service.injectFailure('pay_invoice', { code: 'INTERNAL' });
+ * await service.close();
+ */
+
+const crypto = require('crypto');
+const { finalizeEvent, getPublicKey } = require('nostr-tools');
+const nip04 = require('nostr-tools/nip04');
+const nip44 = require('nostr-tools/nip44');
+const bech32 = require('./bech32');
+const { decodeBolt11 } = require('./wallet');
+const { readMsats, msatsToSats } = require('./amount');
+const { createLocalRelay } = require('./local-relay');
+const { parseWalletAuthUrl } = require('./connect');
+
+const DEFAULT_METHODS = [
+  'get_info',
+  'get_balance',
+  'make_invoice',
+  'pay_invoice',
+  'multi_pay_invoice',
+  'lookup_invoice',
+  'list_transactions',
+  'make_hold_invoice',
+  'settle_hold_invoice',
+  'cancel_hold_invoice'
+];
+
+const NOTIFICATIONS = ['payment_received', 'payment_sent', 'hold_invoice_accepted'];
+
+// Budget periods of walletauth connections; months and years kept simple
+const BUDGET_PERIOD_MS = {
+  daily: 86400000,
+  weekly: 7 * 86400000,
+  monthly: 30 * 86400000,
+  yearly: 365 * 86400000
+};
+
+// Blocks a held payment has left before the receiver must settle
+const HOLD_SETTLE_BLOCKS = 144;
+
+const NETWORK_PREFIXES = {
+  mainnet: 'lnbc',
+  testnet: 'lntb',
+  signet: 'lntbs',
+  regtest: 'lnbcrt'
+};
+
+class ServiceError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Start a local wallet service (and its relay, unless one is given).
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.balanceSats=0] - Starting balance of the default connection (or balanceMsats)
+ * @param {string} [opts.network='regtest'] - mainnet | testnet | signet | regtest
+ * @param {string[]} [opts.methods] - NIP-47 methods to advertise and answer
+ * @param {string[]} [opts.encryptions=['nip44_v2','nip04']] - Schemes to advertise
+ * @param {number} [opts.latencyMs=0] - Delay before every response
+ * @param {LocalRelay} [opts.relay] - Reuse a running local relay
+ * @returns {Promise<LocalWalletService>}
+ */
+async function createLocalWalletService(opts = {}) {
+  const network = opts.network || 'regtest';
+  if (!NETWORK_PREFIXES[network]) throw new Error(`Unknown network: ${network}`);
+
+  const methods = opts.methods || DEFAULT_METHODS;
+  const encryptions = opts.encryptions || ['nip44_v2', 'nip04'];
+  const ownsRelay = !opts.relay;
+  const relay = opts.relay || await createLocalRelay();
+
+  const serviceSecret = crypto.randomBytes(32);
+  const servicePubkey = getPublicKey(serviceSecret);
+  const nodeSecret = crypto.randomBytes(32);
+  const nodePubkey = Buffer.from(publicKeyCompressed(nodeSecret)).toString('hex');
+
+  const accounts = new Map();  // client pubkey -> account
+  const invoices = new Map();  // payment hash -> invoice record
+  const failures = [];
+  const delays = [];
+  const requests = [];
+  let latencyMs = opts.latencyMs || 0;
+  let closed = false;
+
+  // ─── Accounts ───
+
+  // `walletSecret` is the key the service answers this client with
+  function addAccount(clientPubkey, walletSecret, connOpts) {
+    const account = {
+      clientPubkey,
+      walletSecret,
+      walletPubkey: getPublicKey(walletSecret),
+      balanceMsats: readMsats(connOpts, 'balance') || 0,
+      payments: [], // outgoing tx records
+      conversationKey: nip44.v2.utils.getConversationKey(walletSecret, clientPubkey),
+      scope: null   // walletauth limits: { methods, budgetMsats, periodMs, expiresAt, spentMsats, periodStart }
+    };
+    accounts.set(clientPubkey, account);
+    return account;
+  }
+
+  // Getters, so the object can't be spread
+  function connectionView(account, fields) {
+    return {
+      ...fields,
+      pubkey: account.clientPubkey,
+      get balanceSats() { return msatsToSats(account.balanceMsats); },
+      get balanceMsats() { return account.balanceMsats; }
+    };
+  }
+
+  function createConnection(connOpts = {}) {
+    const secret = crypto.randomBytes(32);
+    const account = addAccount(getPublicKey(secret), serviceSecret, connOpts);
+    const nwcUrl = `nostr+walletconnect://${servicePubkey}?relay=${encodeURIComponent(relay.url)}` +
+      `&secret=${secret.toString('hex')}`;
+    return connectionView(account, { nwcUrl });
+  }
+
+  // Approve a nostr+walletauth:// request: a connection with its own wallet
+  // key, announced by an info event tagged with the client's key
+  function approveWalletAuth(authUrl, approveOpts = {}) {
+    const request = parseWalletAuthUrl(authUrl);
+    if (accounts.has(request.clientPubkey)) throw new Error('This client key is already connected');
+
+    const account = addAccount(request.clientPubkey, crypto.randomBytes(32), approveOpts);
+    const granted = request.requestMethods ? methods.filter(m => request.requestMethods.includes(m)) : methods;
+    const notifications = request.notificationTypes
+      ? NOTIFICATIONS.filter(n => request.notificationTypes.includes(n))
+      : NOTIFICATIONS;
+    account.scope = {
+      methods: granted,
+      budgetMsats: request.budgetMsats,
+      periodMs: BUDGET_PERIOD_MS[request.budgetRenewal] || null,
+      expiresAt: request.expiresAt,
+      spentMsats: 0,
+      periodStart: Date.now()
+    };
+
+    subs.push(relay.subscribe([{ kinds: [23194], '#p': [account.walletPubkey] }], (e) => {
+      onRequest(e).catch(() => {});
+    }));
+    relay.publish(infoEvent(granted, notifications, account.walletSecret, [['p', request.clientPubkey]]));
+    return connectionView(account, { walletPubkey: account.walletPubkey, request });
+  }
+
+  function accountFor(nwcUrl) {
+    if (!nwcUrl) return defaultAccount;
+    const secret = new URL(nwcUrl).searchParams.get('secret');
+    const account = /^[0-9a-f]{64}$/.test(secret || '') && accounts.get(getPublicKey(Buffer.from(secret, 'hex')));
+    if (!account) throw new Error('Unknown connection');
+    return account;
+  }
+
+  // Count a payment against a walletauth budget, renewing it when its period is over
+  function chargeBudget(account, amountMsats) {
+    const scope = account.scope;
+    if (!scope || scope.budgetMsats === null) return;
+    if (scope.periodMs && Date.now() - scope.periodStart >= scope.periodMs) {
+      scope.spentMsats = 0;
+      scope.periodStart = Date.now();
+    }
+    if (scope.spentMsats + amountMsats > scope.budgetMsats) {
+      throw new ServiceError('QUOTA_EXCEEDED', 'Payment would exceed the connection budget');
+    }
+    scope.spentMsats += amountMsats;
+  }
+
+  // ─── Transactions ───
+
+  function incomingTx(inv) {
+    const now = Math.floor(Date.now() / 1000);
+    let state = 'pending';
+    if (inv.settledAt) state = 'settled';
+    else if (inv.cancelledAt) state = 'failed';
+    else if (inv.acceptedAt) state = 'accepted';
+    else if (inv.expiresAt <= now) state = 'expired';
+
+    const tx = {
+      type: 'incoming',
+      state,
+      invoice: inv.invoice,
+      description: inv.description,
+      description_hash: inv.descriptionHash,
+      payment_hash: inv.paymentHash,
+      amount: inv.amountMsats,
+      fees_paid: 0,
+      created_at: inv.createdAt,
+      expires_at: inv.expiresAt,
+      settled_at: inv.settledAt,
+      metadata: inv.metadata
+    };
+    // Only a settled invoice reveals its preimage
+    if (inv.settledAt) tx.preimage = inv.preimage;
+    if (inv.acceptedAt) tx.settle_deadline = HOLD_SETTLE_BLOCKS;
+    return tx;
+  }
+
+  function transactionsOf(account) {
+    const incoming = [...invoices.values()]
+      .filter(inv => inv.account === account)
+      .map(incomingTx);
+    return [...incoming, ...account.payments];
+  }
+
+  function settle(inv, amountMsats, payer) {
+    const now = Math.floor(Date.now() / 1000);
+    inv.settledAt = now;
+    inv.amountMsats = amountMsats;
+    if (inv.account) inv.account.balanceMsats += amountMsats;
+
+    let sent = null;
+    if (payer) {
+      payer.balanceMsats -= amountMsats;
+      sent = {
+        type: 'outgoing',
+        state: 'settled',
+        invoice: inv.invoice,
+        description: inv.description,
+        description_hash: inv.descriptionHash,
+        preimage: inv.preimage,
+        payment_hash: inv.paymentHash,
+        amount: amountMsats,
+        fees_paid: 0,
+        created_at: now,
+        expires_at: inv.expiresAt,
+        settled_at: now,
+        metadata: inv.metadata
+      };
+      payer.payments.push(sent);
+    }
+
+    if (inv.account) notify(inv.account, 'payment_received', incomingTx(inv));
+    if (payer) notify(payer, 'payment_sent', sent);
+  }
+
+  // A hold invoice is paid: the funds leave the payer but wait for the
+  // receiver's settle or cancel. Resolves with the payer's pay_invoice result.
+  function accept(inv, amountMsats, payer) {
+    const now = Math.floor(Date.now() / 1000);
+    inv.acceptedAt = now;
+    inv.amountMsats = amountMsats;
+    inv.payer = payer;
+    if (payer) {
+      payer.balanceMsats -= amountMsats;
+      inv.sent = {
+        type: 'outgoing',
+        state: 'pending',
+        invoice: inv.invoice,
+        description: inv.description,
+        description_hash: inv.descriptionHash,
+        payment_hash: inv.paymentHash,
+        amount: amountMsats,
+        fees_paid: 0,
+        created_at: now,
+        expires_at: inv.expiresAt,
+        settled_at: null,
+        metadata: inv.metadata
+      };
+      payer.payments.push(inv.sent);
+    }
+    notify(inv.account, 'hold_invoice_accepted', incomingTx(inv));
+    return new Promise((resolve, reject) => {
+      inv.release = { resolve, reject };
+    });
+  }
+
+  function ownHoldInvoice(account, paymentHash) {
+    const inv = invoices.get(paymentHash);
+    if (!inv || !inv.hold || inv.account !== account) {
+      throw new ServiceError('NOT_FOUND', 'Hold invoice not found');
+    }
+    if (inv.settledAt) throw new ServiceError('OTHER', 'Hold invoice is already settled');
+    if (inv.cancelledAt) throw new ServiceError('OTHER', 'Hold invoice is cancelled');
+    return inv;
+  }
+
+  function issueInvoice(account, params, { paymentHash, preimage, hold = false }) {
+    const amountMsats = params.amount === undefined ? null : params.amount;
+    if (amountMsats !== null && (!Number.isInteger(amountMsats) || amountMsats <= 0)) {
+      throw new ServiceError('OTHER', 'amount must be a positive integer (msats)');
+    }
+
+    const createdAt = Math.floor(Date.now() / 1000);
+    const expiry = params.expiry || 3600;
+    const inv = {
+      account,
+      invoice: encodeInvoice({
+        network,
+        amountMsats,
+        paymentHash,
+        description: params.description_hash ? null : (params.description || ''),
+        descriptionHash: params.description_hash || null,
+        timestamp: createdAt,
+        expiry,
+        privateKey: nodeSecret
+      }),
+      paymentHash,
+      preimage,
+      hold,
+      amountMsats,
+      description: params.description || null,
+      descriptionHash: params.description_hash || null,
+      metadata: params.metadata || null,
+      createdAt,
+      expiresAt: createdAt + expiry,
+      settledAt: null
+    };
+    invoices.set(paymentHash, inv);
+    return incomingTx(inv);
+  }
+
+  // ─── NIP-47 methods ───
+
+  function payInvoice(account, invoice, amount) {
+    if (!invoice || typeof invoice !== 'string') throw new ServiceError('OTHER', 'invoice is required');
+
+    const decoded = decodeBolt11(invoice);
+    const inv = decoded.paymentHash && invoices.get(decoded.paymentHash);
+    if (!inv || inv.invoice !== invoice.toLowerCase()) {
+      throw new ServiceError('PAYMENT_FAILED', 'No route to destination');
+    }
+    if (inv.settledAt || inv.acceptedAt) throw new ServiceError('PAYMENT_FAILED', 'Invoice is already paid');
+    if (inv.cancelledAt) throw new ServiceError('PAYMENT_FAILED', 'Invoice was cancelled');
+    if (inv.expiresAt <= Math.floor(Date.now() / 1000)) {
+      throw new ServiceError('PAYMENT_FAILED', 'Invoice has expired');
+    }
+
+    const amountMsats = inv.amountMsats || amount;
+    if (!Number.isInteger(amountMsats) || amountMsats <= 0) {
+      throw new ServiceError('OTHER', 'Amount is required for a zero-amount invoice');
+    }
+    if (account.balanceMsats < amountMsats) {
+      throw new ServiceError('INSUFFICIENT_BALANCE', 'Insufficient balance');
+    }
+    chargeBudget(account, amountMsats);
+
+    if (inv.hold) return accept(inv, amountMsats, account);
+    settle(inv, amountMsats, account);
+    return { preimage: inv.preimage, fees_paid: 0 };
+  }
+
+  const handlers = {
+    get_info(account) {
+      return {
+        alias: 'lightning-agent local wallet',
+        color: '#f7931a',
+        pubkey: nodePubkey,
+        network,
+        block_height: 0,
+        block_hash: '00'.repeat(32),
+        methods: account.scope ? account.scope.methods : methods,
+        notifications: NOTIFICATIONS
+      };
+    },
+
+    get_balance(account) {
+      return { balance: account.balanceMsats };
+    },
+
+    make_invoice(account, params) {
+      const preimage = crypto.randomBytes(32);
+      return issueInvoice(account, params, {
+        paymentHash: crypto.createHash('sha256').update(preimage).digest('hex'),
+        preimage: preimage.toString('hex')
+      });
+    },
+
+    make_hold_invoice(account, params) {
+      if (!/^[0-9a-f]{64}$/i.test(params.payment_hash || '')) {
+        throw new ServiceError('OTHER', 'payment_hash must be 32 bytes of hex');
+      }
+      const paymentHash = params.payment_hash.toLowerCase();
+      if (invoices.has(paymentHash)) throw new ServiceError('OTHER', 'An invoice with this payment hash exists');
+      return issueInvoice(account, params, { paymentHash, preimage: null, hold: true });
+    },
+
+    settle_hold_invoice(account, params) {
+      if (!/^[0-9a-f]{64}$/i.test(params.preimage || '')) {
+        throw new ServiceError('OTHER', 'preimage must be 32 bytes of hex');
+      }
+      const preimage = params.preimage.toLowerCase();
+      const inv = ownHoldInvoice(account, crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex'));
+      if (!inv.acceptedAt) throw new ServiceError('OTHER', 'Hold invoice has not been paid');
+
+      inv.preimage = preimage;
+      settle(inv, inv.amountMsats, null);
+      if (inv.sent) {
+        Object.assign(inv.sent, { state: 'settled', preimage, settled_at: inv.settledAt });
+        notify(inv.payer, 'payment_sent', inv.sent);
+      }
+      inv.release.resolve({ preimage, fees_paid: 0 });
+      return {};
+    },
+
+    cancel_hold_invoice(account, params) {
+      const inv = ownHoldInvoice(account, String(params.payment_hash || '').toLowerCase());
+      inv.cancelledAt = Math.floor(Date.now() / 1000);
+      if (inv.acceptedAt) {
+        if (inv.payer) inv.payer.balanceMsats += inv.amountMsats;
+        if (inv.sent) inv.sent.state = 'failed';
+        inv.release.reject(new ServiceError('PAYMENT_FAILED', 'Hold invoice was cancelled'));
+      }
+      return {};
+    },
+
+    pay_invoice(account, params) {
+      return payInvoice(account, params.invoice, params.amount);
+    },
+
+    lookup_invoice(account, params) {
+      let hash = params.payment_hash;
+      if (!hash && params.invoice) hash = decodeBolt11(params.invoice).paymentHash;
+      if (!hash) throw new ServiceError('OTHER', 'payment_hash or invoice is required');
+
+      const sent = account.payments.find(p => p.payment_hash === hash);
+      if (sent) return sent;
+      const inv = invoices.get(hash);
+      if (!inv || inv.account !== account) throw new ServiceError('NOT_FOUND', 'Invoice not found');
+      return incomingTx(inv);
+    },
+
+    list_transactions(account, params) {
+      let txs = transactionsOf(account)
+        .filter(tx => params.unpaid || tx.state === 'settled')
+        .filter(tx => !params.type || tx.type === params.type)
+        .filter(tx => params.from === undefined || tx.created_at >= params.from)
+        .filter(tx => params.until === undefined || tx.created_at <= params.until)
+        .sort((a, b) => b.created_at - a.created_at);
+      const offset = params.offset || 0;
+      txs = txs.slice(offset, params.limit ? offset + params.limit : undefined);
+      return { transactions: txs };
+    }
+  };
+
+  // ─── Transport ───
+
+  async function encryptFor(account, plaintext, encryption) {
+    if (encryption === 'nip44_v2') return nip44.v2.encrypt(plaintext, account.conversationKey);
+    return nip04.encrypt(account.walletSecret, account.clientPubkey, plaintext);
+  }
+
+  async function respond(account, request, encryption, body, extraTags = []) {
+    const event = finalizeEvent({
+      kind: 23195,
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [['p', account.clientPubkey], ['e', request.id], ...extraTags],
+      content: await encryptFor(account, JSON.stringify(body), encryption)
+    }, account.walletSecret);
+    if (!closed) relay.publish(event);
+  }
+
+  async function notify(account, type, tx) {
+    const body = JSON.stringify({ notification_type: type, notification: tx });
+    const kinds = [];
+    if (encryptions.includes('nip44_v2')) kinds.push([23197, 'nip44_v2']);
+    if (encryptions.includes('nip04')) kinds.push([23196, 'nip04']);
+
+    for (const [kind, encryption] of kinds) {
+      const event = finalizeEvent({
+        kind,
+        created_at: Math.floor(Date.now() / 1000),
+        tags: [['p', account.clientPubkey]],
+        content: await encryptFor(account, body, encryption)
+      }, account.walletSecret);
+      if (!closed) relay.publish(event);
+    }
+  }
+
+  // Take one use of the first rule matching `method`, or null
+  function takeRule(rules, method) {
+    const i = rules.findIndex(r => r.method === method || r.method === '*');
+    if (i === -1) return null;
+    const rule = rules[i];
+    if (--rule.remaining <= 0) rules.splice(i, 1);
+    return rule;
+  }
+
+  // Held payments answer once the receiver settles or cancels
+  async function run(method, account, params) {
+    try {
+      return { result_type: method, result: await handlers[method](account, params) };
+    } catch (err) {
+      const code = err instanceof ServiceError ? err.code : 'INTERNAL';
+      return { result_type: method, error: { code, message: err.message } };
+    }
+  }
+
+  async function onRequest(event) {
+    const account = accounts.get(event.pubkey);
+    // Not one of our connections, or addressed to another of our keys
+    if (!account || !event.tags.some(t => t[0] === 'p' && t[1] === account.walletPubkey)) return;
+
+    const encryption = event.content.includes('?iv=') ? 'nip04' : 'nip44_v2';
+    let request;
+    try {
+      const plaintext = encryption === 'nip04'
+        ? await nip04.decrypt(account.walletSecret, account.clientPubkey, event.content)
+        : nip44.v2.decrypt(event.content, account.conversationKey);
+      request = JSON.parse(plaintext);
+    } catch (_) {
+      return;
+    }
+
+    const { method, params = {} } = request;
+    requests.push({ method, params, pubkey: account.clientPubkey, at: Date.now() });
+    if (requests.length > 1000) requests.shift();
+
+    const delay = latencyMs + ((takeRule(delays, method) || {}).ms || 0);
+    if (delay > 0) await new Promise(r => setTimeout(r, delay));
+    if (closed) return;
+
+    if (!methods.includes(method) || (!handlers[method] && method !== 'multi_pay_invoice')) {
+      return respond(account, event, encryption, {
+        result_type: method,
+        error: { code: 'NOT_IMPLEMENTED', message: `${method} is not supported` }
+      });
+    }
+    const refusal = scopeRefusal(account, method);
+    if (refusal) return respond(account, event, encryption, { result_type: method, error: refusal });
+
+    const failure = takeRule(failures, method);
+    if (failure) {
+      // execute: the request takes effect but the caller still sees a failure
+      if (failure.execute) {
+        if (method === 'multi_pay_invoice') {
+          for (const item of params.invoices || []) run('pay_invoice', account, item);
+        } else {
+          run(method, account, params);
+        }
+      }
+      if (failure.drop) return;
+      return respond(account, event, encryption, {
+        result_type: method,
+        error: { code: failure.code, message: failure.message }
+      });
+    }
+
+    if (method === 'multi_pay_invoice') {
+      for (const item of params.invoices || []) {
+        let id = item.id;
+        if (!id) {
+          try { id = decodeBolt11(item.invoice).paymentHash; } catch (_) {}
+        }
+        const body = await run('pay_invoice', account, item);
+        body.result_type = method;
+        await respond(account, event, encryption, body, [['d', id || '']]);
+      }
+      return;
+    }
+
+    return respond(account, event, encryption, await run(method, account, params));
+  }
+
+  // A walletauth connection only answers what was granted, until it expires
+  function scopeRefusal(account, method) {
+    const scope = account.scope;
+    if (!scope) return null;
+    if (scope.expiresAt !== null && Math.floor(Date.now() / 1000) >= scope.expiresAt) {
+      return { code: 'UNAUTHORIZED', message: 'This connection has expired' };
+    }
+    if (!scope.methods.includes(method)) {
+      return { code: 'RESTRICTED', message: `${method} is not allowed for this connection` };
+    }
+    return null;
+  }
+
+  function infoEvent(advertised, notifications, secret, extraTags = []) {
+    return finalizeEvent({
+      kind: 13194,
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [
+        ['encryption', encryptions.join(' ')],
+        ['notifications', notifications.join(' ')],
+        ...extraTags
+      ],
+      content: advertised.join(' ')
+    }, secret);
+  }
+
+  const subs = [relay.subscribe([{ kinds: [23194], '#p': [servicePubkey] }], (e) => {
+    onRequest(e).catch(() => {});
+  })];
+
+  relay.publish(infoEvent(methods, NOTIFICATIONS, serviceSecret));
+
+  const defaultConnection = createConnection({ balanceSats: opts.balanceSats, balanceMsats: opts.balanceMsats });
+  const defaultAccount = accounts.get(defaultConnection.pubkey);
+
+  return {
+    /** NWC URL of the default connection */
+    nwcUrl: defaultConnection.nwcUrl,
+    relayUrl: relay.url,
+    relay,
+    /** Wallet service pubkey (NWC) */
+    pubkey: servicePubkey,
+    /** Lightning node pubkey that signs this service's invoices */
+    nodePubkey,
+    network,
+    /** Recent requests, oldest first: { method, params, pubkey, at } */
+    requests,
+
+    /**
+     * Add a connection with its own balance.
+     * @param {object} [connOpts]
+     * @param {number} [connOpts.balanceSats=0]
+     * @param {number} [connOpts.balanceMsats]
+     * @returns {{ nwcUrl: string, pubkey: string, balanceSats: number, balanceMsats: number }}
+     */
+    createConnection,
+
+    /**
+     * Approve a nostr+walletauth:// request as the wallet owner would. The
+     * connection gets the requested methods (those this service has), budget
+     * and expiry; the client learns of it from the info event.
+     * @param {string} authUrl - From createWalletAuthRequest()
+     * @param {object} [approveOpts]
+     * @param {number} [approveOpts.balanceSats=0] - Starting balance (or balanceMsats)
+     * @returns {{ walletPubkey: string, request: object, pubkey: string, balanceSats: number, balanceMsats: number }}
+     *   request is the parsed walletauth URL
+     */
+    approveWalletAuth,
+
+    /**
+     * Balance of a connection (the default one if omitted).
+     * @param {string} [nwcUrl]
+     * @returns {number} sats
+     */
+    getBalance(nwcUrl) {
+      return msatsToSats(accountFor(nwcUrl).balanceMsats);
+    },
+
+    /**
+     * Add funds to a connection out of thin air.
+     * @param {number|object} amount - Whole sats, or { amountMsats }
+     * @param {string} [nwcUrl]
+     */
+    fund(amount, nwcUrl) {
+      accountFor(nwcUrl).balanceMsats += readMsats(typeof amount === 'object' ? amount : { amountSats: amount }) || 0;
+    },
+
+    /**
+     * Issue an invoice for a connection without going through NWC.
+     * @param {object} [invOpts]
+     * @param {number} [invOpts.amountSats] - Omit for a zero-amount invoice
+     * @param {number} [invOpts.amountMsats] - Amount in millisats, instead of amountSats
+     * @param {string} [invOpts.description]
+     * @param {number} [invOpts.expiry=3600] - Seconds
+     * @param {string} [nwcUrl] - Receiving connection (default one if omitted)
+     * @returns {{ invoice: string, paymentHash: string }}
+     */
+    createInvoice(invOpts = {}, nwcUrl) {
+      const tx = handlers.make_invoice(accountFor(nwcUrl), {
+        amount: readMsats(invOpts) || undefined,
+        description: invOpts.description,
+        expiry: invOpts.expiry
+      });
+      return { invoice: tx.invoice, paymentHash: tx.payment_hash };
+    },
+
+    /**
+     * Settle one of this service's invoices as if paid from outside.
+     * A hold invoice is only accepted; its receiver settles it.
+     * @param {string} invoiceOrHash - Bolt11 invoice or payment hash
+     * @param {object} [payOpts]
+     * @param {number} [payOpts.amountSats] - For zero-amount invoices (or amountMsats)
+     * @returns {string|null} preimage (null for a hold invoice)
+     */
+    settleInvoice(invoiceOrHash, payOpts = {}) {
+      const hash = /^[0-9a-f]{64}$/i.test(invoiceOrHash)
+        ? invoiceOrHash.toLowerCase()
+        : decodeBolt11(invoiceOrHash).paymentHash;
+      const inv = invoices.get(hash);
+      if (!inv) throw new Error('Unknown invoice');
+      if (inv.settledAt || inv.acceptedAt) throw new Error('Invoice is already paid');
+      const amountMsats = inv.amountMsats || readMsats(payOpts);
+      if (!amountMsats) throw new Error('amountSats is required for a zero-amount invoice');
+      if (inv.hold) {
+        // Held until the receiver settles or cancels
+        accept(inv, amountMsats, null).catch(() => {});
+        return null;
+      }
+      settle(inv, amountMsats, null);
+      return inv.preimage;
+    },
+
+    /**
+     * Make upcoming requests fail.
+     * @param {string} method - NIP-47 method, or '*' for any
+     * @param {object} [failOpts]
+     * @param {string} [failOpts.code='INTERNAL'] - NIP-47 error code
+     * @param {string} [failOpts.message]
+     * @param {number} [failOpts.times=1] - How many requests to fail
+     * @param {boolean} [failOpts.drop=false] - Send no response at all (caller times out)
+     * @param {boolean} [failOpts.execute=false] - Carry out the request anyway
+     *   (e.g. a payment that succeeds but whose response is lost)
+     */
+    injectFailure(method, failOpts = {}) {
+      failures.push({
+        method,
+        code: failOpts.code || 'INTERNAL',
+        message: failOpts.message || `Injected ${failOpts.code || 'INTERNAL'} failure`,
+        remaining: failOpts.times || 1,
+        drop: !!failOpts.drop,
+        execute: !!failOpts.execute
+      });
+    },
+
+    /**
+     * Delay upcoming responses on top of the base latency.
+     * @param {string} method - NIP-47 method, or '*' for any
+     * @param {number} ms
+     * @param {object} [delayOpts]
+     * @param {number} [delayOpts.times=1]
+     */
+    injectDelay(method, ms, delayOpts = {}) {
+      delays.push({ method, ms, remaining: delayOpts.times || 1 });
+    },
+
+    /**
+     * Set the base delay before every response.
+     * @param {number} ms
+     */
+    setLatency(ms) {
+      latencyMs = ms;
+    },
+
+    /** Drop all pending failure and delay injections. */
+    clearInjections() {
+      failures.length = 0;
+      delays.length = 0;
+    },
+
+    /**
+     * Stop answering requests; closes the relay if the service started it.
+     * @returns {Promise<void>}
+     */
+    async close() {
+      if (closed) return;
+      closed = true;
+      for (const sub of subs) sub.close();
+      if (ownsRelay) await relay.close();
+    }
+  };
+}
+
+// ─── Bolt11 encoding ───
+
+// Shortest human-readable amount for a msat value
+function encodeAmount(msats) {
+  if (!msats) return '';
+  if (msats % 1e8 === 0) return `${msats / 1e8}m`;
+  if (msats % 1e5 === 0) return `${msats / 1e5}u`;
+  if (msats % 100 === 0) return `${msats / 100}n`;
+  return `${msats * 10}p`;
+}
+
+// Big-endian 5-bit words, left-padded to `length`
+function intToWords(n, length = 0) {
+  const words = [];
+  while (n > 0) {
+    words.unshift(n % 32);
+    n = Math.floor(n / 32);
+  }
+  while (words.length < length) words.unshift(0);
+  return words.length > 0 ? words : [0];
+}
+
+/**
+ * Build and sign a bolt11 invoice.
+ * @returns {string}
+ */
+function encodeInvoice({ network, amountMsats, paymentHash, description, descriptionHash, timestamp, expiry, privateKey }) {
+  const prefix = NETWORK_PREFIXES[network] + encodeAmount(amountMsats);
+  const words = intToWords(timestamp, 7);
+  const field = (code, data) => {
+    words.push(code, data.length >> 5, data.length & 31, ...data);
+  };
+
+  field(1, bech32.toWords(Buffer.from(paymentHash, 'hex')));
+  field(16, bech32.toWords(crypto.randomBytes(32)));
+  if (descriptionHash) {
+    field(23, bech32.toWords(Buffer.from(descriptionHash, 'hex')));
+  } else {
+    field(13, bech32.toWords(Buffer.from(description || '', 'utf8')));
+  }
+  field(6, intToWords(expiry));
+  field(24, intToWords(18));
+  field(5, [16, 8, 0]); // var_onion_optin + payment_secret, both required
+
+  const msgHash = crypto.createHash('sha256')
+    .update(Buffer.concat([Buffer.from(prefix, 'utf8'), bech32.fromWords(words, true)]))
+    .digest();
+  const { signature, recid } = signCompact(msgHash, privateKey);
+  words.push(...bech32.toWords(Buffer.concat([Buffer.from(signature), Buffer.from([recid])])));
+
+  return bech32.encode(prefix, words);
+}
+
+function publicKeyCompressed(secret) {
+  try {
+    return require('secp256k1').publicKeyCreate(Uint8Array.from(secret), true);
+  } catch (e) {
+    if (e.code !== 'MODULE_NOT_FOUND') throw e;
+  }
+  const { secp256k1 } = require('@noble/curves/secp256k1.js');
+  return secp256k1.getPublicKey(Uint8Array.from(secret), true);
+}
+
+// 64-byte compact signature plus recovery id
+function signCompact(msgHash, secret) {
+  try {
+    return require('secp256k1').ecdsaSign(Uint8Array.from(msgHash), Uint8Array.from(secret));
+  } catch (e) {
+    if (e.code !== 'MODULE_NOT_FOUND') throw e;
+  }
+  const { secp256k1 } = require('@noble/curves/secp256k1.js');
+  const sig = secp256k1.sign(Uint8Array.from(msgHash), Uint8Array.from(secret), { prehash: false, format: 'recovered' });
+  return { signature: sig.slice(1), recid: sig[0] };
+}
+
+module.exports = { createLocalWalletService, createLocalRelay };
@@ -0,0 +1,223 @@
+'use strict';
+
+/**
+ * Spending policy for autonomous agents.
+ *
+ * Sits in front of every outgoing payment and throws before any NWC
+ * request is sent when a payment would break the rules:
+ *   - max sats per payment
+ *   - rolling hourly / daily caps
+ *   - destination allow/deny lists (Lightning address domain, payee pubkey)
+ *   - async human-in-the-loop approval above a threshold
+ *
+ * Lightning addresses are matched by domain; invoices and keysend by
+ * payee node pubkey. Amounts are compared in msats, so sub-sat payments
+ * count exactly; every cap also takes an msat form (maxPerPaymentMsats, ...).
+ *
+ * @example
+ * const wallet = createWallet(nwcUrl, {
+ *   policy: {
+ *     maxPerPaymentSats: 1000,
+ *     dailyLimitSats: 20000,
+ *     denyDomains: ['*.sketchy.example'],
+ *     approvalThresholdSats: 500,
+ *     approve: async (payment) => askHuman(payment)
+ *   }
+ * });
+ * wallet.policy.usage(); // { hourly: {...}, daily: {...} }
+ */
+
+const { PolicyError } = require('./errors');
+const { readMsats, amountFields, formatMsats } = require('./amount');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Create a spending policy.
+ *
+ * @param {object} [config]
+ * @param {number} [config.maxPerPaymentSats] - Largest single payment
+ * @param {number} [config.hourlyLimitSats] - Rolling 1-hour cap
+ * @param {number} [config.dailyLimitSats] - Rolling 24-hour cap
+ * @param {string[]} [config.allowDomains] - Only these Lightning address domains ('*.x.com' matches subdomains)
+ * @param {string[]} [config.denyDomains] - Never these domains
+ * @param {string[]} [config.allowPubkeys] - Only these payee node pubkeys
+ * @param {string[]} [config.denyPubkeys] - Never these payee node pubkeys
+ * @param {number} [config.approvalThresholdSats] - Payments at or above this need approval
+ * @param {function} [config.approve] - async (payment) => boolean; without it,
+ *   payments over the threshold are denied
+ * @returns {SpendingPolicy}
+ */
+function createSpendingPolicy(config = {}) {
+  const allowDomains = normalizeList(config.allowDomains);
+  const denyDomains = normalizeList(config.denyDomains);
+  const allowPubkeys = normalizeList(config.allowPubkeys);
+  const denyPubkeys = normalizeList(config.denyPubkeys);
+  const hasAllowList = allowDomains.length > 0 || allowPubkeys.length > 0;
+  const maxPerPayment = readMsats(config, 'maxPerPayment');
+  const hourlyLimit = readMsats(config, 'hourlyLimit');
+  const dailyLimit = readMsats(config, 'dailyLimit');
+  const approvalThreshold = readMsats(config, 'approvalThreshold');
+  const hasAmountRules = maxPerPayment !== undefined ||
+    hourlyLimit !== undefined ||
+    dailyLimit !== undefined ||
+    approvalThreshold !== undefined;
+
+  // Committed and in-flight spends: { at, msats }
+  const spends = [];
+
+  function spentSince(windowMs) {
+    const cutoff = Date.now() - windowMs;
+    let total = 0;
+    for (const s of spends) {
+      if (s.at >= cutoff) total += s.msats;
+    }
+    return total;
+  }
+
+  function prune() {
+    const cutoff = Date.now() - DAY_MS;
+    while (spends.length > 0 && spends[0].at < cutoff) spends.shift();
+  }
+
+  function checkDestination(payment) {
+    const domain = payment.domain ? payment.domain.toLowerCase() : null;
+    const pubkey = payment.pubkey ? payment.pubkey.toLowerCase() : null;
+
+    if (domain && denyDomains.some(d => domainMatches(domain, d))) {
+      throw new PolicyError('DESTINATION_DENIED', `Payments to ${domain} are denied by policy`, { domain });
+    }
+    if (pubkey && denyPubkeys.includes(pubkey)) {
+      throw new PolicyError('DESTINATION_DENIED', `Payments to node ${pubkey} are denied by policy`, { pubkey });
+    }
+
+    if (hasAllowList) {
+      const allowed = (domain && allowDomains.some(d => domainMatches(domain, d))) ||
+        (pubkey && allowPubkeys.includes(pubkey));
+      if (!allowed) {
+        throw new PolicyError(
+          'DESTINATION_NOT_ALLOWED',
+          `Destination ${domain || pubkey || 'unknown'} is not on the allowlist`,
+          { domain, pubkey }
+        );
+      }
+    }
+  }
+
+  function checkAmount(msats) {
+    if (maxPerPayment !== undefined && msats > maxPerPayment) {
+      throw new PolicyError(
+        'MAX_PER_PAYMENT',
+        `Payment of ${formatMsats(msats)} exceeds the ${formatMsats(maxPerPayment)} per-payment limit`,
+        { ...amountFields(msats), ...amountFields(maxPerPayment, 'limit') }
+      );
+    }
+
+    const windows = [
+      ['HOURLY_LIMIT', 'hourly', hourlyLimit, HOUR_MS],
+      ['DAILY_LIMIT', 'daily', dailyLimit, DAY_MS]
+    ];
+    for (const [code, label, limit, windowMs] of windows) {
+      if (limit === undefined) continue;
+      const spent = spentSince(windowMs);
+      if (spent + msats > limit) {
+        throw new PolicyError(
+          code,
+          `Payment of ${formatMsats(msats)} would exceed the ${label} limit (${formatMsats(spent)} of ${formatMsats(limit)} used)`,
+          { ...amountFields(msats), ...amountFields(spent, 'spent'), ...amountFields(limit, 'limit') }
+        );
+      }
+    }
+  }
+
+  return {
+    /**
+     * Check a payment against the policy and reserve its amount.
+     * Call `release()` on the returned reservation if the payment
+     * definitely failed; otherwise the amount stays counted.
+     *
+     * @param {object} payment
+     * @param {string} payment.type - 'invoice' | 'address' | 'keysend'
+     * @param {number|null} payment.amountSats - null for zero-amount invoices
+     * @param {number|null} [payment.amountMsats] - Exact amount; takes precedence over amountSats
+     * @param {string} [payment.domain] - Lightning address domain
+     * @param {string} [payment.pubkey] - Payee node pubkey
+     * @returns {Promise<{ release: function }>}
+     * @throws {PolicyError}
+     */
+    async authorize(payment) {
+      checkDestination(payment);
+
+      const msats = readMsats(payment);
+      if (msats === undefined) {
+        if (hasAmountRules) {
+          throw new PolicyError('UNKNOWN_AMOUNT', 'Cannot check a payment with no amount against spending limits', {});
+        }
+        return { release() {} };
+      }
+
+      prune();
+      checkAmount(msats);
+
+      if (approvalThreshold !== undefined && msats >= approvalThreshold) {
+        const approved = config.approve ? await config.approve({ ...payment, ...amountFields(msats) }) : false;
+        if (!approved) {
+          throw new PolicyError(
+            'APPROVAL_DENIED',
+            `Payment of ${formatMsats(msats)} was not approved`,
+            { ...amountFields(msats), ...amountFields(approvalThreshold, 'threshold') }
+          );
+        }
+        // Caps may have moved while waiting for a human
+        checkAmount(msats);
+      }
+
+      const entry = { at: Date.now(), msats };
+      spends.push(entry);
+
+      return {
+        release() {
+          const i = spends.indexOf(entry);
+          if (i !== -1) spends.splice(i, 1);
+        }
+      };
+    },
+
+    /**
+     * Current spend against each cap, in sats and msats. `limit*` and
+     * `remaining*` are null when that cap isn't configured.
+     * @returns {{ hourly: object, daily: object, maxPerPaymentSats: number|null, maxPerPaymentMsats: number|null }}
+     */
+    usage() {
+      prune();
+      const window = (limit, windowMs) => {
+        const spent = spentSince(windowMs);
+        return {
+          ...amountFields(spent, 'spent'),
+          ...amountFields(limit, 'limit'),
+          ...amountFields(limit === undefined ? null : Math.max(0, limit - spent), 'remaining')
+        };
+      };
+      return {
+        hourly: window(hourlyLimit, HOUR_MS),
+        daily: window(dailyLimit, DAY_MS),
+        ...amountFields(maxPerPayment, 'maxPerPayment')
+      };
+    }
+  };
+}
+
+// ─── Helpers ───
+
+function normalizeList(list) {
+  return (list || []).map(x => String(x).toLowerCase());
+}
+
+// 'example.com' matches exactly; '*.example.com' matches any subdomain
+function domainMatches(domain, pattern) {
+  if (pattern.startsWith('*.')) return domain.endsWith(pattern.slice(1));
+  return domain === pattern;
+}
+
+module.exports = { createSpendingPolicy, PolicyError };
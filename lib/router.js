@@ -0,0 +1,563 @@
+'use strict';
+
+/**
+ * Wallet router — several NWC connections behind one wallet interface.
+ *
+ * Agents often hold more than one connection: a hot wallet, a reserve,
+ * one per client. A router takes their place anywhere an NWCWallet is
+ * accepted (escrow, streams, LNURL servers, the CLI) and picks which
+ * connection serves each call:
+ *   - 'failover'     try the wallets in order, moving on when one is unreachable
+ *   - 'balance'      pay from the first wallet whose balance covers the amount
+ *   - 'round-robin'  spread invoices across the wallets; pays like 'failover'
+ *   - a function     your own selector
+ *
+ * Payments only move to the next wallet when the first definitely did not
+ * pay: the service refused it, or the request never reached the relay. A
+ * payment whose outcome is unknown stays with its wallet, so the router
+ * keeps the double-payment guarantees of payInvoice.
+ *
+ * @example
+ * const router = createWalletRouter([createWallet(hotUrl), createWallet(reserveUrl)], 'balance');
+ * await router.payInvoice(invoice);           // from whichever wallet can cover it
+ * const escrow = createEscrowManager(router);
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { NWCWallet, decodeBolt11, checkInvoice, sharedRun } = require('./wallet');
+const { readMsats, amountFields } = require('./amount');
+const { NwcError, NwcTimeoutError, NwcConnectionError, InvoiceError, PaymentPendingError, AbortError } = require('./errors');
+const { abortError, throwIfAborted, onAbort } = require('./abort');
+
+const STRATEGIES = ['failover', 'balance', 'round-robin'];
+const FORWARDED_EVENTS = ['payment_received', 'payment_sent', 'hold_invoice_accepted', 'warning', 'request', 'response', 'error', 'timeout'];
+
+// The wallet couldn't be reached or answered with an error: another may do
+function isUnavailable(err) {
+  return err instanceof NwcTimeoutError || err instanceof NwcConnectionError || err instanceof NwcError;
+}
+
+// A pending payment that never left: the relay connection failed first
+function neverSent(err) {
+  return Boolean(err) && err.code === 'CONNECT_FAILED';
+}
+
+// Unwrap a routed outcome for callers that expect a throw
+function settledOrThrow(result, signal) {
+  if (result.status === 'settled') {
+    const { status, error, ...payment } = result;
+    return payment;
+  }
+  if (result.status === 'failed') throw result.error;
+  if (signal && signal.aborted) {
+    throw abortError(signal, { paymentHash: result.paymentHash, pending: true, walletIndex: result.walletIndex });
+  }
+  throw new PaymentPendingError(result.paymentHash, result.error);
+}
+
+class WalletRouter extends EventEmitter {
+  /**
+   * @param {Array<NWCWallet>} wallets - Wallets to route between, in order of preference
+   * @param {string|function} [strategy='failover'] - 'failover' | 'balance' | 'round-robin', or
+   *   a selector called with ({ operation, method, amountMsats, wallets }) returning a wallet,
+   *   its index, or an ordered array of either to try (may be async). operation is
+   *   'pay', 'receive' or 'read'
+   * @param {object} [opts]
+   * @param {number} [opts.balanceTimeoutMs=5000] - 'balance': how long to wait for each get_balance
+   */
+  constructor(wallets, strategy = 'failover', opts = {}) {
+    super();
+    if (!Array.isArray(wallets) || wallets.length === 0) {
+      throw new Error('wallets array is required');
+    }
+    if (typeof strategy !== 'function' && !STRATEGIES.includes(strategy)) {
+      throw new Error(`strategy must be one of ${STRATEGIES.join(', ')} or a function`);
+    }
+    this.wallets = wallets.slice();
+    this.strategy = strategy;
+    this.balanceTimeoutMs = opts.balanceTimeoutMs || 5000;
+
+    this._next = 0;                  // round-robin position
+    this._invoiceWallet = new Map(); // payment hash → index of the wallet that issued it
+    this._pendingWallet = new Map(); // payment hash → index of the wallet it is pending on
+    this._inFlight = new Map();      // payment hash → sharedRun of its routed outcome
+    this._forwarders = new Map();    // event → per-wallet listeners
+
+    this.on('newListener', (event) => {
+      if (FORWARDED_EVENTS.includes(event)) this._forward(event);
+    });
+    this.on('removeListener', (event) => {
+      if (FORWARDED_EVENTS.includes(event) && this.listenerCount(event) === 0) this._unforward(event);
+    });
+  }
+
+  // ─── Selection ───
+
+  // Wallets to try for one call, in order, as [{ wallet, index }]
+  async _candidates(operation, method, amountMsats = null) {
+    const all = this.wallets.map((wallet, index) => ({ wallet, index })).filter(c => !c.wallet._closed);
+
+    if (typeof this.strategy === 'function') {
+      const picked = await this.strategy({ operation, method, amountMsats, wallets: this.wallets });
+      return (Array.isArray(picked) ? picked : [picked]).map((p) => {
+        const index = typeof p === 'number' ? p : this.wallets.indexOf(p);
+        if (!this.wallets[index]) throw new Error('Wallet selector returned a wallet that is not in the router');
+        return { wallet: this.wallets[index], index };
+      });
+    }
+
+    if (this.strategy === 'round-robin' && operation === 'receive' && all.length > 0) {
+      const start = this._next % all.length;
+      this._next = start + 1;
+      return [...all.slice(start), ...all.slice(0, start)];
+    }
+
+    if (this.strategy === 'balance' && operation === 'pay' && amountMsats) {
+      // Wallets that can cover it first, then those that didn't answer;
+      // short ones last so an all-short router still gets a real error
+      const balances = await Promise.all(all.map(c => c.wallet.getBalance({ timeoutMs: this.balanceTimeoutMs })
+        .then(b => b.balanceMsats, () => null)));
+      const rank = (i) => balances[i] === null ? 1 : balances[i] >= amountMsats ? 0 : 2;
+      return all.map((c, i) => ({ ...c, rank: rank(i) }))
+        .sort((a, b) => a.rank - b.rank)
+        .map(({ wallet, index }) => ({ wallet, index }));
+    }
+
+    return all;
+  }
+
+  // Run a non-payment call, moving on while wallets are unavailable
+  async _route(operation, method, call) {
+    const candidates = await this._candidates(operation, method);
+    if (candidates.length === 0) throw new NwcConnectionError('CLOSED', 'All wallets are closed', { method });
+
+    let lastError = null;
+    for (const { wallet, index } of candidates) {
+      try {
+        return { result: await call(wallet), index };
+      } catch (err) {
+        if (!isUnavailable(err)) throw err;
+        lastError = err;
+        this.emit('failover', { method, walletIndex: index, error: err });
+      }
+    }
+    throw lastError;
+  }
+
+  // Run a guarded payment, moving on only when it definitely didn't go out.
+  // `pay` resolves with a safe outcome; anything it throws (policy, invoice
+  // checks, LNURL errors) is final.
+  async _routePayment(method, amountMsats, paymentHash, pay) {
+    const stuck = paymentHash !== null && this._pendingWallet.has(paymentHash);
+    const candidates = stuck
+      ? [{ wallet: this.wallets[this._pendingWallet.get(paymentHash)], index: this._pendingWallet.get(paymentHash) }]
+      : await this._candidates('pay', method, amountMsats);
+    if (candidates.length === 0) throw new NwcConnectionError('CLOSED', 'All wallets are closed', { method });
+
+    let last = null;
+    for (const { wallet, index } of candidates) {
+      last = { ...(await pay(wallet)), walletIndex: index };
+      if (last.status === 'settled') {
+        if (paymentHash) this._pendingWallet.delete(paymentHash);
+        return last;
+      }
+      if (last.status === 'pending' && !neverSent(last.error)) {
+        // Its outcome is unknown: retrying it anywhere else could pay twice
+        if (last.paymentHash) this._pendingWallet.set(last.paymentHash, index);
+        return last;
+      }
+      this.emit('failover', { method, walletIndex: index, error: last.error });
+    }
+    if (paymentHash && last.status === 'failed') this._pendingWallet.delete(paymentHash);
+    return last;
+  }
+
+  // ─── Wallet interface ───
+
+  /**
+   * Info of the first wallet that answers.
+   * @param {object} [opts] - See NWCWallet#getInfo
+   */
+  async getInfo(opts = {}) {
+    return (await this._route('read', 'get_info', w => w.getInfo(opts))).result;
+  }
+
+  /**
+   * Whether any of the wallets supports an NWC method.
+   * @param {string} method
+   * @returns {Promise<boolean>}
+   */
+  async supports(method) {
+    const answers = await Promise.all(this.wallets.map(w => w.supports(method).catch(() => false)));
+    return answers.includes(true);
+  }
+
+  /**
+   * Combined balance of all wallets, with a per-wallet breakdown. Wallets
+   * that don't answer are left out of the total and listed with their error.
+   * @param {object} [opts] - See NWCWallet#getBalance
+   * @returns {Promise<{ balanceSats, balanceMsats, wallets: Array<{ index, balanceSats?, balanceMsats?, error? }> }>}
+   */
+  async getBalance(opts = {}) {
+    const settled = await Promise.allSettled(this.wallets.map(w => w.getBalance(opts)));
+    throwIfAborted(opts.signal);
+    const wallets = settled.map((s, index) => s.status === 'fulfilled'
+      ? { index, ...s.value }
+      : { index, error: s.reason });
+    const answered = wallets.filter(w => !w.error);
+    if (answered.length === 0) throw settled[0].reason;
+    const totalMsats = answered.reduce((sum, w) => sum + w.balanceMsats, 0);
+    return { ...amountFields(totalMsats, 'balance'), wallets };
+  }
+
+  /**
+   * Create an invoice on the wallet the strategy picks ('round-robin'
+   * rotates), failing over while wallets are unavailable.
+   * @param {object} opts - See NWCWallet#createInvoice
+   * @returns {Promise<{ invoice, paymentHash, description, amountSats, amountMsats, walletIndex }>}
+   */
+  async createInvoice(opts = {}) {
+    const { result, index } = await this._route('receive', 'make_invoice', w => w.createInvoice(opts));
+    this._pinInvoice(result.paymentHash, index);
+    return { ...result, walletIndex: index };
+  }
+
+  _pinInvoice(paymentHash, index) {
+    if (paymentHash) this._invoiceWallet.set(paymentHash, index);
+    if (this._invoiceWallet.size > 10000) {
+      this._invoiceWallet.delete(this._invoiceWallet.keys().next().value);
+    }
+  }
+
+  /**
+   * Create a hold invoice on the wallet the strategy picks, skipping
+   * wallets whose service lacks make_hold_invoice. Settling, cancelling
+   * and waiting for it then go to that wallet.
+   * @param {object} opts - See NWCWallet#createHoldInvoice
+   * @returns {Promise<{ invoice, paymentHash, amountSats, amountMsats, walletIndex }>}
+   */
+  async createHoldInvoice(opts = {}) {
+    const { result, index } = await this._route('receive', 'make_hold_invoice', w => w.createHoldInvoice(opts));
+    this._pinInvoice(result.paymentHash, index);
+    return { ...result, walletIndex: index };
+  }
+
+  /**
+   * Settle a held payment on the wallet that issued the invoice.
+   * @param {string} preimage
+   * @param {object} [opts] - See NWCWallet#settleHoldInvoice
+   */
+  async settleHoldInvoice(preimage, opts = {}) {
+    if (!preimage || typeof preimage !== 'string') throw new Error('preimage is required');
+    const paymentHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+    return this._onIssuer(paymentHash, w => w.settleHoldInvoice(preimage, opts));
+  }
+
+  /**
+   * Cancel a hold invoice on the wallet that issued it.
+   * @param {string} paymentHash
+   * @param {object} [opts] - See NWCWallet#cancelHoldInvoice
+   */
+  async cancelHoldInvoice(paymentHash, opts = {}) {
+    if (!paymentHash) throw new Error('paymentHash is required');
+    return this._onIssuer(paymentHash.toLowerCase(), w => w.cancelHoldInvoice(paymentHash, opts));
+  }
+
+  /**
+   * Wait for a hold invoice's payment to be held, on the wallet that issued
+   * it. Hashes the router didn't issue are watched on every wallet.
+   * @param {string} paymentHash
+   * @param {object} [opts] - See NWCWallet#waitForHeld
+   */
+  async waitForHeld(paymentHash, opts = {}) {
+    if (!paymentHash) throw new Error('paymentHash is required');
+    if (this._invoiceWallet.has(paymentHash)) {
+      const index = this._invoiceWallet.get(paymentHash);
+      return { ...(await this.wallets[index].waitForHeld(paymentHash, opts)), walletIndex: index };
+    }
+
+    return this._waitOnAll(opts, waitOpts => new Promise((resolve, reject) => {
+      let left = this.wallets.length;
+      let lastError = null;
+      this.wallets.forEach((w, index) => {
+        w.waitForHeld(paymentHash, waitOpts).then((result) => {
+          if (result.held || --left === 0) resolve({ ...result, walletIndex: index });
+        }, (err) => {
+          lastError = err;
+          if (--left === 0) reject(lastError);
+        });
+      });
+    }));
+  }
+
+  // Race a wait across every wallet under an internal signal that follows
+  // the caller's and is aborted once the race is decided, so the waits
+  // that lost stop polling
+  async _waitOnAll(opts, race) {
+    const ctl = new AbortController();
+    const stopAbort = onAbort(opts.signal, () => ctl.abort(opts.signal.reason));
+    try {
+      return await race({ ...opts, signal: ctl.signal });
+    } finally {
+      stopAbort();
+      ctl.abort();
+    }
+  }
+
+  // Run a call about an invoice on the wallet that issued it. Invoices the
+  // router didn't issue are tried on each wallet in turn.
+  async _onIssuer(paymentHash, call) {
+    if (this._invoiceWallet.has(paymentHash)) {
+      const index = this._invoiceWallet.get(paymentHash);
+      return { ...(await call(this.wallets[index])), walletIndex: index };
+    }
+    let lastError = null;
+    for (const [index, w] of this.wallets.entries()) {
+      try {
+        return { ...(await call(w)), walletIndex: index };
+      } catch (err) {
+        if (err instanceof AbortError) throw err;
+        lastError = err;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Wait for an invoice to be paid, on the wallet that issued it. Hashes
+   * the router didn't issue are watched on every wallet.
+   * @param {string} paymentHash
+   * @param {object} [opts] - See NWCWallet#waitForPayment
+   */
+  async waitForPayment(paymentHash, opts = {}) {
+    if (!paymentHash) throw new Error('paymentHash is required');
+    if (this._invoiceWallet.has(paymentHash)) {
+      return this.wallets[this._invoiceWallet.get(paymentHash)].waitForPayment(paymentHash, opts);
+    }
+
+    return this._waitOnAll(opts, (waitOpts) => {
+      const waits = this.wallets.map(w => w.waitForPayment(paymentHash, waitOpts)
+        .catch((err) => {
+          if (err instanceof AbortError) throw err;
+          return { paid: false, preimage: null, settledAt: null };
+        }));
+      return new Promise((resolve, reject) => {
+        let left = waits.length;
+        for (const wait of waits) {
+          wait.then((result) => {
+            if (result.paid) resolve(result);
+            else if (--left === 0) resolve(result);
+          }, reject);
+        }
+      });
+    });
+  }
+
+  /**
+   * Look up an invoice on the wallet that issued it. Hashes the router
+   * didn't issue are asked of each wallet in turn.
+   * @param {string} paymentHash
+   * @param {object} [opts] - See NWCWallet#lookupInvoice
+   */
+  async lookupInvoice(paymentHash, opts = {}) {
+    if (!paymentHash) throw new Error('paymentHash is required');
+    return this._onIssuer(paymentHash.toLowerCase(), w => w.lookupInvoice(paymentHash, opts));
+  }
+
+  /**
+   * Pay an invoice from the wallet the strategy picks, moving to the next
+   * one when it is refused (e.g. INSUFFICIENT_BALANCE) or never sent. A
+   * pending payment stays with its wallet: paying the same invoice again
+   * asks that wallet, never another. Concurrent calls for one invoice share
+   * a payment, but each caller's signal and amount limits apply to it alone.
+   * @param {string} invoice
+   * @param {object} [opts] - See NWCWallet#payInvoice
+   * @returns {Promise<{ preimage, paymentHash, amountSats, amountMsats, walletIndex }>}
+   *   or the outcome with `status` when opts.safe is set
+   */
+  async payInvoice(invoice, opts = {}) {
+    if (!invoice || typeof invoice !== 'string') {
+      throw new Error('invoice is required');
+    }
+    let decoded = null;
+    try {
+      decoded = decodeBolt11(invoice);
+    } catch (_) {
+      // The wallet rejects it with the proper InvoiceError
+    }
+    const paymentHash = decoded ? decoded.paymentHash : null;
+    // Each caller's own amount limits hold, even when joining a payment
+    const amountMsats = paymentHash ? checkInvoice(decoded, opts) : null;
+
+    let run = paymentHash ? this._inFlight.get(paymentHash) : null;
+    if (run && run.amountMsats !== amountMsats) {
+      throw new InvoiceError('AMOUNT_MISMATCH', 'Invoice is already being paid with a different amount', {
+        paymentHash, amountMsats, paying: run.amountMsats
+      });
+    }
+    if (!run) {
+      run = sharedRun(runSignal => this._routePayment('pay_invoice', amountMsats, paymentHash,
+        w => w.payInvoice(invoice, { ...opts, safe: true, signal: runSignal })));
+      run.amountMsats = amountMsats;
+      if (paymentHash) {
+        this._inFlight.set(paymentHash, run);
+        const forget = () => this._inFlight.delete(paymentHash);
+        run.promise.then(forget, forget);
+      }
+    }
+    const result = await run.join(opts.signal, paymentHash);
+    return opts.safe ? result : settledOrThrow(result, opts.signal);
+  }
+
+  /**
+   * Pay a Lightning address, failing over like payInvoice. The address is
+   * resolved again by each wallet tried, so each pays its own invoice.
+   * @param {string} address
+   * @param {object} opts - See NWCWallet#payAddress
+   */
+  async payAddress(address, opts = {}) {
+    const result = await this._routePayment('pay_address', readMsats(opts), null,
+      w => w.payAddress(address, { ...opts, safe: true }));
+    return opts.safe ? result : settledOrThrow(result, opts.signal);
+  }
+
+  /**
+   * Zap a Nostr user or note (NIP-57), failing over like payAddress.
+   * @param {object} opts - See NWCWallet#zap
+   */
+  async zap(opts = {}) {
+    const result = await this._routePayment('zap', readMsats(opts), null,
+      w => w.zap({ ...opts, safe: true }));
+    return opts.safe ? result : settledOrThrow(result, opts.signal);
+  }
+
+  /**
+   * Keysend from the wallet the strategy picks. Fails over on error
+   * replies and unreachable relays, not on timeouts: a timed-out keysend
+   * may still arrive.
+   * @param {string} pubkey
+   * @param {object} opts - See NWCWallet#payKeysend
+   */
+  async payKeysend(pubkey, opts = {}) {
+    const candidates = await this._candidates('pay', 'pay_keysend', readMsats(opts));
+    if (candidates.length === 0) throw new NwcConnectionError('CLOSED', 'All wallets are closed', { method: 'pay_keysend' });
+
+    let lastError = null;
+    for (const { wallet, index } of candidates) {
+      try {
+        return { ...(await wallet.payKeysend(pubkey, opts)), walletIndex: index };
+      } catch (err) {
+        if (!(err instanceof NwcError) && !neverSent(err)) throw err;
+        lastError = err;
+        this.emit('failover', { method: 'pay_keysend', walletIndex: index, error: err });
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Transactions of every wallet, newest first, each with its walletIndex.
+   * offset and limit apply to the merged list. Wallets that can't be
+   * reached are left out and listed in `unavailable`.
+   * @param {object} [opts] - See NWCWallet#listTransactions
+   * @returns {Promise<{ transactions: object[], unavailable: Array<{ index, error }> }>}
+   */
+  async listTransactions(opts = {}) {
+    const offset = opts.offset || 0;
+    const perWallet = { ...opts, offset: 0 };
+    if (opts.limit !== undefined) perWallet.limit = offset + opts.limit;
+
+    const settled = await Promise.allSettled(this.wallets.map(w => w.listTransactions(perWallet)));
+    const unavailable = [];
+    const merged = [];
+    settled.forEach((s, index) => {
+      if (s.status === 'fulfilled') {
+        merged.push(...s.value.transactions.map(tx => ({ ...tx, walletIndex: index })));
+      } else if (isUnavailable(s.reason)) {
+        unavailable.push({ index, error: s.reason });
+      } else {
+        throw s.reason;
+      }
+    });
+    if (unavailable.length === this.wallets.length) throw unavailable[0].error;
+
+    merged.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    const end = opts.limit !== undefined ? offset + opts.limit : undefined;
+    return { transactions: merged.slice(offset, end), unavailable };
+  }
+
+  /**
+   * Decode a bolt11 invoice (offline).
+   * @param {string} invoice
+   * @param {object} [opts] - See decodeBolt11
+   */
+  decodeInvoice(invoice, opts) {
+    return decodeBolt11(invoice, opts);
+  }
+
+  /**
+   * Pay invoices one by one through the router. multi_pay_invoice isn't
+   * used: a single request can't fail over per invoice.
+   * @param {string[]} invoices
+   * @param {object} [opts] - See NWCWallet#payBatch
+   */
+  async payBatch(invoices, opts = {}) {
+    return NWCWallet.prototype.payBatch.call(this, invoices, { ...opts, multi: false });
+  }
+
+  /**
+   * Keysend to several nodes one by one through the router.
+   * @param {Array} keysends
+   * @param {object} [opts] - See NWCWallet#payKeysends
+   */
+  async payKeysends(keysends, opts = {}) {
+    return NWCWallet.prototype.payKeysends.call(this, keysends, { ...opts, multi: false });
+  }
+
+  /**
+   * Close every wallet.
+   */
+  close() {
+    for (const event of this._forwarders.keys()) this._unforward(event);
+    for (const wallet of this.wallets) wallet.close();
+  }
+
+  // ─── Events ───
+
+  // Re-emit a wallet event from the router; object payloads gain walletIndex
+  _forward(event) {
+    if (this._forwarders.has(event)) return;
+    const listeners = this.wallets.map((wallet, index) => {
+      const listener = (payload) => this.emit(event,
+        payload && typeof payload === 'object' ? { ...payload, walletIndex: index } : payload);
+      wallet.on(event, listener);
+      return listener;
+    });
+    this._forwarders.set(event, listeners);
+  }
+
+  _unforward(event) {
+    const listeners = this._forwarders.get(event);
+    if (!listeners) return;
+    this.wallets.forEach((wallet, i) => wallet.removeListener(event, listeners[i]));
+    this._forwarders.delete(event);
+  }
+}
+
+// Both run on the router's own payAddress / transactions
+WalletRouter.prototype.payAddresses = NWCWallet.prototype.payAddresses;
+WalletRouter.prototype.transactions = NWCWallet.prototype.transactions;
+
+/**
+ * Route calls across several wallets.
+ * @param {Array<NWCWallet>} wallets
+ * @param {string|function} [strategy='failover'] - See WalletRouter
+ * @param {object} [opts]
+ * @returns {WalletRouter}
+ */
+function createWalletRouter(wallets, strategy, opts) {
+  return new WalletRouter(wallets, strategy, opts);
+}
+
+module.exports = { createWalletRouter, WalletRouter };
@@ -0,0 +1,202 @@
+'use strict';
+
+/**
+ * Client-side NWC request scheduler.
+ *
+ * payBatch, payAddresses and auto-paying stream clients can fire many
+ * requests at once, which trips relay and wallet-service rate limits.
+ * A scheduler sits in front of a wallet's requests and:
+ *   - caps requests started per second and requests in flight
+ *   - starts payments before routine calls, and polling (lookup_invoice,
+ *     list_transactions) last
+ *   - backs off when the service answers RATE_LIMITED, retrying the
+ *     refused request (it was never carried out, so this is safe for payments)
+ *
+ * @example
+ * const wallet = createWallet(nwcUrl, {
+ *   scheduler: { requestsPerSecond: 5, maxInFlight: 3 }
+ * });
+ * await wallet.payBatch(invoices, { concurrency: 10 }); // still 5/s, 3 at a time
+ */
+
+const { onAbort, abortError } = require('./abort');
+const { NwcConnectionError } = require('./errors');
+
+const PRIORITIES = ['high', 'normal', 'low'];
+
+// Methods that move money go first; polling can wait
+const METHOD_PRIORITY = {
+  pay_invoice: 'high',
+  multi_pay_invoice: 'high',
+  pay_keysend: 'high',
+  multi_pay_keysend: 'high',
+  lookup_invoice: 'low',
+  list_transactions: 'low'
+};
+
+/**
+ * Create a request scheduler. Share one between wallets to give them a
+ * common limit.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.requestsPerSecond] - Most requests started in any one second (default unlimited)
+ * @param {number} [opts.maxInFlight] - Most requests awaiting a response at once (default unlimited)
+ * @param {number} [opts.rateLimitRetries=3] - Times a RATE_LIMITED request is queued again
+ * @param {number} [opts.backoffMs=1000] - First pause after RATE_LIMITED; doubles while it continues
+ * @param {number} [opts.maxBackoffMs=30000] - Longest pause
+ * @returns {RequestScheduler}
+ */
+function createRequestScheduler(opts = {}) {
+  const requestsPerSecond = opts.requestsPerSecond || Infinity;
+  const maxInFlight = opts.maxInFlight || Infinity;
+  const rateLimitRetries = opts.rateLimitRetries !== undefined ? opts.rateLimitRetries : 3;
+  const minBackoffMs = opts.backoffMs || 1000;
+  const maxBackoffMs = opts.maxBackoffMs || 30000;
+  if (!(requestsPerSecond > 0) || !(maxInFlight > 0)) {
+    throw new Error('requestsPerSecond and maxInFlight must be positive');
+  }
+
+  const queues = { high: [], normal: [], low: [] };
+  const recentStarts = []; // start times within the last second
+  let inFlight = 0;
+  let backoffMs = 0;
+  let pausedUntil = 0;
+  let wakeTimer = null;
+  let closed = false;
+
+  function nextQueue() {
+    return PRIORITIES.map(p => queues[p]).find(q => q.length > 0) || null;
+  }
+
+  // The timer stays ref'd: queued requests must keep the process alive
+  function wakeIn(ms) {
+    wakeTimer = setTimeout(() => {
+      wakeTimer = null;
+      pump();
+    }, ms);
+  }
+
+  function stopWake() {
+    if (!wakeTimer) return;
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+  }
+
+  // Start as many queued jobs as the limits allow
+  function pump() {
+    if (wakeTimer || closed) return;
+    let queue;
+    while ((queue = nextQueue()) && inFlight < maxInFlight) {
+      const now = Date.now();
+      if (now < pausedUntil) return wakeIn(pausedUntil - now);
+      while (recentStarts.length > 0 && recentStarts[0] <= now - 1000) recentStarts.shift();
+      if (recentStarts.length >= requestsPerSecond) return wakeIn(recentStarts[0] + 1000 - now);
+
+      recentStarts.push(now);
+      const job = queue.shift();
+      job.stopWaiting();
+      start(job);
+    }
+  }
+
+  // Queue a job; aborting it while it waits takes it out again
+  function queue(job, first = false) {
+    const q = queues[job.priority];
+    if (first) q.unshift(job);
+    else q.push(job);
+    job.stopWaiting = onAbort(job.signal, () => {
+      const i = q.indexOf(job);
+      if (i !== -1) q.splice(i, 1);
+      // Nothing left to wake for
+      if (!nextQueue()) stopWake();
+      job.reject(abortError(job.signal));
+    });
+  }
+
+  function start(job) {
+    inFlight++;
+    Promise.resolve().then(job.task).then((value) => {
+      inFlight--;
+      backoffMs = 0;
+      job.resolve(value);
+      pump();
+    }, (err) => {
+      inFlight--;
+      if (err && err.code === 'RATE_LIMITED') {
+        backoffMs = Math.min(backoffMs ? backoffMs * 2 : minBackoffMs, maxBackoffMs);
+        pausedUntil = Math.max(pausedUntil, Date.now() + backoffMs);
+        if (job.attempts < rateLimitRetries && !closed && !(job.signal && job.signal.aborted)) {
+          job.attempts++;
+          queue(job, true);
+          return pump();
+        }
+      }
+      job.reject(err);
+      pump();
+    });
+  }
+
+  return {
+    /**
+     * Run a request when the limits allow.
+     * @param {function} task - Starts the request; returns a promise
+     * @param {object} [taskOpts]
+     * @param {string} [taskOpts.priority='normal'] - 'high' | 'normal' | 'low'
+     * @param {AbortSignal} [taskOpts.signal] - Give up the queued task; once started,
+     *   the task itself handles the signal
+     * @returns {Promise} The task's result
+     */
+    schedule(task, taskOpts = {}) {
+      const priority = taskOpts.priority || 'normal';
+      if (!PRIORITIES.includes(priority)) {
+        throw new Error(`priority must be one of ${PRIORITIES.join(', ')}`);
+      }
+      if (closed) return Promise.reject(new NwcConnectionError('CLOSED', 'Request scheduler closed'));
+      return new Promise((resolve, reject) => {
+        queue({ task, priority, signal: taskOpts.signal || null, attempts: 0, resolve, reject });
+        pump();
+      });
+    },
+
+    /**
+     * Stop the scheduler: queued requests are rejected (CLOSED) and no
+     * backoff timer is left behind. Requests already started finish.
+     */
+    close() {
+      closed = true;
+      stopWake();
+      for (const p of PRIORITIES) {
+        for (const job of queues[p].splice(0)) {
+          job.stopWaiting();
+          job.reject(new NwcConnectionError('CLOSED', 'Request scheduler closed'));
+        }
+      }
+    },
+
+    /** Requests waiting to start */
+    get queued() {
+      return PRIORITIES.reduce((n, p) => n + queues[p].length, 0);
+    },
+
+    /** Requests started and not yet answered */
+    get inFlight() {
+      return inFlight;
+    },
+
+    /** Current RATE_LIMITED pause, 0 when requests flow freely */
+    get backoffMs() {
+      return backoffMs;
+    }
+  };
+}
+
+/**
+ * The priority an NWC method is scheduled at.
+ * @param {string} method - NIP-47 method
+ * @returns {'high'|'normal'|'low'}
+ */
+function requestPriority(method) {
+  return METHOD_PRIORITY[method] || 'normal';
+}
+
+module.exports = { createRequestScheduler, requestPriority };
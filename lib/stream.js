@@ -38,6 +38,9 @@
  */
 
 const crypto = require('crypto');
+const { StreamError, StreamBudgetError, AbortError } = require('./errors');
+const { throwIfAborted, sleep } = require('./abort');
+const { readMsats, amountFields, walletAmount } = require('./amount');
 const { EventEmitter } = require('events');
 
 // ─── Stream Provider (server side) ───
@@ -45,21 +48,24 @@ const { EventEmitter } = require('events');
 /**
  * Create a streaming payment provider.
  * 
- * @param {NWCWallet} wallet - Provider's wallet for invoice generation
+ * @param {NWCWallet|WalletRouter} wallet - Provider's wallet for invoice generation
  * @param {object} [opts]
  * @param {number} [opts.satsPerBatch=1] - Sats charged per batch
+ * @param {number} [opts.msatsPerBatch] - Or millisats per batch, for sub-sat pricing
  * @param {number} [opts.tokensPerBatch=50] - Tokens per batch before next invoice
  * @param {number} [opts.maxBatches=100] - Maximum batches per stream
  * @param {number} [opts.paymentTimeoutMs=30000] - Time to wait for payment per batch
  * @param {number} [opts.invoiceExpiryS=120] - Invoice expiry in seconds
+ * @param {Ledger} [opts.ledger] - Where paid batches are recorded (default the wallet's ledger)
  * @returns {StreamProvider}
  */
 function createStreamProvider(wallet, opts = {}) {
-  const satsPerBatch = opts.satsPerBatch || 1;
+  const msatsPerBatch = readMsats({ amountSats: opts.satsPerBatch, amountMsats: opts.msatsPerBatch }) || 1000;
   const tokensPerBatch = opts.tokensPerBatch || 50;
   const maxBatches = opts.maxBatches || 100;
   const paymentTimeoutMs = opts.paymentTimeoutMs || 30000;
   const invoiceExpiryS = opts.invoiceExpiryS || 120;
+  const ledger = opts.ledger || wallet.ledger || null;
   const sessions = new Map();
 
   return {
@@ -69,8 +75,8 @@ function createStreamProvider(wallet, opts = {}) {
      * Protocol:
      *   Server sends SSE events:
      *     - event: content   data: { tokens: "...", batchIndex: N }
-     *     - event: invoice   data: { invoice: "lnbc...", paymentHash: "...", batchIndex: N, sats: N }
-     *     - event: done      data: { totalBatches: N, totalSats: N, totalTokens: N }
+     *     - event: invoice   data: { invoice: "lnbc...", paymentHash: "...", batchIndex: N, sats: N, msats: N }
+     *     - event: done      data: { totalBatches: N, totalSats: N, totalMsats: N, totalTokens: N }
      *     - event: error     data: { message: "..." }
      *   
      *   Client proves payment by POSTing to the same URL:
@@ -81,6 +87,8 @@ function createStreamProvider(wallet, opts = {}) {
      * @param {AsyncGenerator|function} generator - Async generator yielding tokens/strings
      * @param {object} [streamOpts]
      * @param {number} [streamOpts.firstBatchFree=true] - First batch free (preview)
+     * @param {string} [streamOpts.counterparty] - Ledger: who is streaming (also streamOpts.purpose,
+     *   default 'stream', and streamOpts.tags)
      */
     async handleRequest(req, res, generator, streamOpts = {}) {
       const firstBatchFree = streamOpts.firstBatchFree !== false;
@@ -103,13 +111,21 @@ function createStreamProvider(wallet, opts = {}) {
         id: sessionId,
         batchIndex: 0,
         totalTokens: 0,
-        totalSats: 0,
+        totalMsats: 0,
         pendingPayment: null,
         paid: new Set(),
         closed: false
       };
       sessions.set(sessionId, session);
 
+      // A client that hangs up takes its session with it: stop generating
+      // and stop watching the wallet for its payment
+      const hangup = new AbortController();
+      res.on('close', () => {
+        session.closed = true;
+        hangup.abort();
+      });
+
       // Send session ID
       sendSSE(res, 'session', { sessionId });
 
@@ -144,7 +160,7 @@ function createStreamProvider(wallet, opts = {}) {
               sendSSE(res, 'done', {
                 reason: 'max_batches',
                 totalBatches: session.batchIndex,
-                totalSats: session.totalSats,
+                ...amountFields(session.totalMsats, 'total'),
                 totalTokens: session.totalTokens
               });
               break;
@@ -153,10 +169,12 @@ function createStreamProvider(wallet, opts = {}) {
             // Gate: require payment for next batch (skip for first if free)
             const needsPayment = !(firstBatchFree && session.batchIndex === 1);
             if (needsPayment) {
+              // Recorded below as a stream charge once paid, however it is proven
               const invoice = await wallet.createInvoice({
-                amountSats: satsPerBatch,
+                ...walletAmount(msatsPerBatch),
                 description: `Stream batch ${session.batchIndex + 1}`,
-                expiry: invoiceExpiryS
+                expiry: invoiceExpiryS,
+                ledger: false
               });
 
               session.pendingPayment = {
@@ -169,23 +187,37 @@ function createStreamProvider(wallet, opts = {}) {
                 invoice: invoice.invoice,
                 paymentHash: invoice.paymentHash,
                 batchIndex: session.batchIndex + 1,
-                sats: satsPerBatch
+                sats: Math.ceil(msatsPerBatch / 1000), // rounded up for clients that only read sats
+                msats: msatsPerBatch
               });
 
               // Wait for payment
-              const paid = await this._waitForPayment(session, paymentTimeoutMs);
+              const paid = await this._waitForPayment(session, paymentTimeoutMs, hangup.signal);
               if (!paid) {
                 sendSSE(res, 'paused', {
                   reason: 'payment_timeout',
                   batchIndex: session.batchIndex,
-                  totalSats: session.totalSats,
+                  ...amountFields(session.totalMsats, 'total'),
                   resume: `POST with { sessionId: "${sessionId}", preimage: "..." }`
                 });
                 // Don't end — client can still pay and we'll resume
                 // But stop generating for now
                 break;
               }
-              session.totalSats += satsPerBatch;
+              session.totalMsats += msatsPerBatch;
+              if (ledger) {
+                await Promise.resolve(ledger.record({
+                  type: 'stream_charge',
+                  direction: 'in',
+                  status: 'settled',
+                  amountMsats: msatsPerBatch,
+                  paymentHash: invoice.paymentHash,
+                  counterparty: streamOpts.counterparty || null,
+                  purpose: streamOpts.purpose || 'stream',
+                  tags: streamOpts.tags,
+                  metadata: { sessionId, batchIndex: session.batchIndex + 1 }
+                })).catch(() => {});
+              }
             }
           }
         }
@@ -205,7 +237,7 @@ function createStreamProvider(wallet, opts = {}) {
           sendSSE(res, 'done', {
             reason: 'complete',
             totalBatches: session.batchIndex,
-            totalSats: session.totalSats,
+            ...amountFields(session.totalMsats, 'total'),
             totalTokens: session.totalTokens
           });
         }
@@ -216,7 +248,8 @@ function createStreamProvider(wallet, opts = {}) {
         session.closed = true;
         res.end();
         // Cleanup after a delay (allow late payments)
-        setTimeout(() => sessions.delete(sessionId), 5 * 60 * 1000);
+        const cleanup = setTimeout(() => sessions.delete(sessionId), 5 * 60 * 1000);
+        if (cleanup.unref) cleanup.unref();
       }
     },
 
@@ -271,7 +304,7 @@ function createStreamProvider(wallet, opts = {}) {
      * Wait for a payment to be confirmed (via preimage POST or wallet polling).
      * @private
      */
-    async _waitForPayment(session, timeoutMs) {
+    async _waitForPayment(session, timeoutMs, signal) {
       if (!session.pendingPayment) return true;
 
       const start = Date.now();
@@ -279,7 +312,7 @@ function createStreamProvider(wallet, opts = {}) {
       const batchIdx = session.pendingPayment.batchIndex;
 
       // Poll: check if preimage was POSTed, or check wallet
-      while (Date.now() - start < timeoutMs) {
+      while (Date.now() - start < timeoutMs && !session.closed) {
         // Check if client POSTed the preimage
         if (session.paid.has(batchIdx)) {
           return true;
@@ -289,7 +322,8 @@ function createStreamProvider(wallet, opts = {}) {
         try {
           const result = await wallet.waitForPayment(hash, {
             timeoutMs: 3000,
-            pollIntervalMs: 1000
+            pollIntervalMs: 1000,
+            signal
           });
           if (result.paid) {
             session.paid.add(batchIdx);
@@ -300,7 +334,7 @@ function createStreamProvider(wallet, opts = {}) {
           // Not supported or timeout — keep polling preimage POST
         }
 
-        await new Promise(r => setTimeout(r, 1000));
+        await sleep(1000, signal).catch(() => {});
       }
 
       return false;
@@ -318,15 +352,22 @@ function createStreamProvider(wallet, opts = {}) {
 /**
  * Create a streaming payment client.
  * 
- * @param {NWCWallet} wallet - Client's wallet for paying invoices
+ * @param {NWCWallet|WalletRouter} wallet - Client's wallet for paying invoices
  * @param {object} [opts]
  * @param {number} [opts.maxSats=1000] - Maximum sats to spend per stream
+ * @param {number} [opts.maxMsats] - Or the budget in millisats
  * @param {boolean} [opts.autoPay=true] - Automatically pay invoices
+ * @param {object} [opts.logger=console] - Where failed payments and preimage
+ *   posts are reported; needs an error(...args) method like console's
+ *
+ * Paid batches are ledger payments with purpose 'stream' and the
+ * provider's host as counterparty, unless the stream() call says otherwise.
  * @returns {StreamClient}
  */
 function createStreamClient(wallet, opts = {}) {
-  const maxSats = opts.maxSats || 1000;
+  const maxMsats = readMsats(opts, 'max') || 1000000;
   const autoPay = opts.autoPay !== false;
+  const logger = opts.logger || console;
 
   return {
     /**
@@ -337,8 +378,15 @@ function createStreamClient(wallet, opts = {}) {
      * @param {object} [reqOpts]
      * @param {object} [reqOpts.body] - Request body (sent as JSON)
      * @param {object} [reqOpts.headers] - Additional headers
-     * @param {number} [reqOpts.maxSats] - Override max sats for this stream
+     * @param {number} [reqOpts.maxSats] - Override max sats for this stream (or maxMsats)
+     * @param {string} [reqOpts.counterparty] - Ledger fields for the batch payments
+     *   (also reqOpts.purpose and reqOpts.tags)
+     * @param {AbortSignal} [reqOpts.signal] - Hang up and stop paying
      * @returns {AsyncGenerator<string>} - Yields content chunks
+     * @throws {StreamBudgetError} When the next invoice would go over budget
+     * @throws {StreamError} When the request is refused or the provider reports an error
+     * @throws {AbortError} When reqOpts.signal aborts; with details.pending when a
+     *   batch payment was in flight
      * 
      * @example
      * const client = createStreamClient(wallet, { maxSats: 500 });
@@ -349,7 +397,8 @@ function createStreamClient(wallet, opts = {}) {
      * }
      */
     async *stream(url, reqOpts = {}) {
-      const budget = reqOpts.maxSats || maxSats;
+      const budget = readMsats(reqOpts, 'max') || maxMsats;
+      const signal = reqOpts.signal;
       let spent = 0;
       let sessionId = null;
 
@@ -361,16 +410,24 @@ function createStreamClient(wallet, opts = {}) {
 
       // If body provided, make initial POST to get stream URL, then GET SSE
       // For simplicity, we support GET with query params or POST that returns SSE
-      const fetchOpts = { headers };
+      const fetchOpts = { headers, signal };
       if (reqOpts.body) {
         fetchOpts.method = 'POST';
         fetchOpts.headers['Content-Type'] = 'application/json';
         fetchOpts.body = JSON.stringify(reqOpts.body);
       }
 
-      const response = await fetch(url, fetchOpts);
+      let response;
+      try {
+        response = await fetch(url, fetchOpts);
+      } catch (err) {
+        throwIfAborted(signal);
+        throw err;
+      }
       if (!response.ok) {
-        throw new Error(`Stream request failed: ${response.status}`);
+        throw new StreamError('REQUEST_FAILED', `Stream request failed: ${response.status}`, {
+          status: response.status
+        });
       }
 
       const reader = response.body.getReader();
@@ -379,7 +436,15 @@ function createStreamClient(wallet, opts = {}) {
 
       try {
         while (true) {
-          const { done, value } = await reader.read();
+          let chunk;
+          try {
+            chunk = await reader.read();
+          } catch (err) {
+            // An aborted fetch errors the body with a bare DOMException
+            throwIfAborted(signal, { sessionId });
+            throw err;
+          }
+          const { done, value } = chunk;
           if (done) break;
 
           buffer += decoder.decode(value, { stream: true });
@@ -407,11 +472,22 @@ function createStreamClient(wallet, opts = {}) {
                   yield data.tokens;
                   break;
 
-                case 'invoice':
-                  if (autoPay && spent + data.sats <= budget) {
+                case 'invoice': {
+                  // Providers that predate msats only send whole sats
+                  const price = data.msats !== undefined ? data.msats : data.sats * 1000;
+                  if (autoPay && spent + price <= budget) {
                     try {
-                      const payResult = await wallet.payInvoice(data.invoice);
-                      spent += data.sats;
+                      // The provider is not trusted: the invoice must match
+                      // the price the budget was checked against
+                      const payResult = await wallet.payInvoice(data.invoice, {
+                        expectedAmountMsats: price,
+                        counterparty: reqOpts.counterparty || new URL(url).host,
+                        purpose: reqOpts.purpose || 'stream',
+                        tags: reqOpts.tags,
+                        metadata: { batchIndex: data.batchIndex },
+                        signal
+                      });
+                      spent += payResult.amountMsats;
 
                       // POST preimage back to provider
                       if (sessionId && payResult.preimage) {
@@ -422,30 +498,39 @@ function createStreamClient(wallet, opts = {}) {
                             body: JSON.stringify({
                               sessionId,
                               preimage: payResult.preimage
-                            })
+                            }),
+                            signal
                           });
                           if (!proofRes.ok) {
-                            console.error('Preimage POST failed:', proofRes.status);
+                            logger.error('Preimage POST failed:', proofRes.status);
                           }
                         } catch (postErr) {
-                          console.error('Preimage POST error:', postErr.message);
+                          throwIfAborted(signal, { sessionId });
+                          logger.error('Preimage POST error:', postErr.message);
                         }
                       }
                     } catch (err) {
+                      if (err instanceof AbortError) throw err;
                       // Payment failed — stream will pause
-                      console.error('Stream payment failed:', err.message);
+                      logger.error('Stream payment failed:', err.message);
                     }
-                  } else {
-                    // Budget exceeded — stop paying
-                    console.warn(`Stream budget exhausted (${spent}/${budget} sats)`);
+                  } else if (autoPay) {
+                    // Budget exceeded — stop paying and hang up
+                    await reader.cancel().catch(() => {});
+                    throw new StreamBudgetError({
+                      ...amountFields(spent, 'spent'),
+                      ...amountFields(budget, 'budget'),
+                      ...amountFields(price, 'invoice')
+                    });
                   }
                   break;
+                }
 
                 case 'done':
                   return; // Stream complete
 
                 case 'error':
-                  throw new Error(data.message || 'Stream error');
+                  throw new StreamError('STREAM_ERROR', data.message || 'Stream error', { sessionId });
 
                 case 'paused':
                   // Stream paused for payment — will resume if we pay
@@ -466,7 +551,7 @@ function createStreamClient(wallet, opts = {}) {
      * Get spending stats for a completed stream.
      */
     get budget() {
-      return { maxSats };
+      return amountFields(maxMsats, 'max');
     }
   };
 }
@@ -1,99 +1,356 @@
 'use strict';
 
 const { finalizeEvent, getPublicKey } = require('nostr-tools');
-const { Relay } = require('nostr-tools/relay');
+const { Relay, useWebSocketImplementation } = require('nostr-tools/relay');
 const nip04 = require('nostr-tools/nip04');
+const nip44 = require('nostr-tools/nip44');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const bech32 = require('./bech32');
+const { readMsats, msatsToSats, amountFields, formatMsats } = require('./amount');
+const { encodeLnurl, fetchLnurl, withQuery, parseSuccessAction, decodeSuccessAction } = require('./lnurl');
+const { createSpendingPolicy } = require('./policy');
+const { createLedger, entryFields } = require('./ledger');
+const { createRequestScheduler, requestPriority } = require('./scheduler');
+const { signAuth } = require('./auth');
+const { abortError, throwIfAborted, onAbort, sleep } = require('./abort');
+const {
+  NwcError, NwcTimeoutError, NwcConnectionError, InvoiceError, ValidationError, PaymentPendingError, LnurlError,
+  AbortError
+} = require('./errors');
+
+// Node < 22 has no global WebSocket; nostr-tools needs one
+if (typeof WebSocket === 'undefined') useWebSocketImplementation(require('ws'));
+
+// ─── Bolt11 decoder ───
+
+// Tenths of a msat per unit, so pico-BTC stays an integer
+const MULTIPLIERS = {
+  '': 1000000000000n, // BTC
+  m: 1000000000n,     // milli-BTC
+  u: 1000000n,        // micro-BTC
+  n: 1000n,           // nano-BTC
+  p: 1n               // pico-BTC
+};
 
-// ─── Bolt11 minimal decoder ───
+// Longest prefix first — 'lnbcrt' must match before 'lnbc'
+const NETWORKS = [
+  { prefix: 'lnbcrt', network: 'regtest', segwitHrp: 'bcrt', p2pkh: 0x6f, p2sh: 0xc4 },
+  { prefix: 'lntbs', network: 'signet', segwitHrp: 'tb', p2pkh: 0x6f, p2sh: 0xc4 },
+  { prefix: 'lntb', network: 'testnet', segwitHrp: 'tb', p2pkh: 0x6f, p2sh: 0xc4 },
+  { prefix: 'lnbc', network: 'mainnet', segwitHrp: 'bc', p2pkh: 0x00, p2sh: 0x05 }
+];
+
+// Tagged field types (bech32 word value of the tag character)
+const TAGS = {
+  1: 'p',   // payment_hash
+  16: 's',  // payment_secret
+  13: 'd',  // description
+  27: 'm',  // payment metadata
+  19: 'n',  // payee node pubkey
+  23: 'h',  // description hash
+  6: 'x',   // expiry
+  24: 'c',  // min_final_cltv_expiry
+  9: 'f',   // fallback address
+  3: 'r',   // route hint
+  5: '9'    // feature bits
+};
 
-const MULTIPLIERS = {
-  m: 1e-3,   // milli-BTC
-  u: 1e-6,   // micro-BTC
-  n: 1e-9,   // nano-BTC
-  p: 1e-12   // pico-BTC
+// BOLT9 features relevant to invoices (even bit = required, odd = optional)
+const FEATURE_NAMES = {
+  8: 'var_onion_optin',
+  14: 'payment_secret',
+  16: 'basic_mpp',
+  48: 'option_payment_metadata'
 };
-const BTC_TO_SATS = 1e8;
+
+const DEFAULT_EXPIRY = 3600;
+const DEFAULT_MIN_FINAL_CLTV = 18;
+const SIGNATURE_WORDS = 104; // 64-byte signature + 1-byte recovery id
 
 /**
- * Decode a bolt11 invoice's human-readable part to extract amount in sats.
- * Format: ln<network><amount><multiplier>
+ * Decode a bolt11 invoice.
+ *
+ * The amount and network come from the human-readable part:
+ * ln<network><amount><multiplier>
  * Examples: lnbc50u = 50 micro-BTC = 5000 sats
  *           lnbc210n = 210 nano-BTC = 21 sats
  *           lnbc1m = 1 milli-BTC = 100000 sats
+ *           lnbc15n = 15 nano-BTC = 1500 msats (amountSats 1)
+ *
+ * Everything else (timestamp, tagged fields, signature) comes from the
+ * bech32 data part. The payee pubkey is taken from the `n` field when
+ * present and verified against the signature; otherwise it is recovered
+ * from the signature.
+ *
+ * If the data part fails the bech32 checksum only the human-readable
+ * fields are returned and `signatureValid` is false. Pass `strict: true`
+ * to throw instead — do that before paying an invoice from an untrusted peer.
+ *
+ * @param {string} invoice - Bolt11 invoice string
+ * @param {object} [opts]
+ * @param {boolean} [opts.strict=false] - Throw on bad checksum or signature
+ * @returns {Bolt11Invoice}
+ * @throws {InvoiceError} INVALID_INVOICE
  */
-function decodeBolt11(invoice) {
+function decodeBolt11(invoice, opts = {}) {
   if (!invoice || typeof invoice !== 'string') {
-    throw new Error('Invalid bolt11 invoice');
+    throw new InvoiceError('INVALID_INVOICE', 'Invalid bolt11 invoice');
   }
 
-  const lower = invoice.toLowerCase();
+  let lower = invoice.trim().toLowerCase();
+  if (lower.startsWith('lightning:')) lower = lower.slice(10);
 
-  // Find the separator: last '1' before the data part
-  // The human-readable part is everything before the last '1' that's followed by data
   // Bolt11 uses bech32: <hrp>1<data><checksum>
+  // The data part never contains '1', so the last one is the separator
   const lastOneIdx = lower.lastIndexOf('1');
-  if (lastOneIdx < 4) throw new Error('Invalid bolt11: no separator found');
+  if (lastOneIdx < 4) throw new InvoiceError('INVALID_INVOICE', 'Invalid bolt11: no separator found');
 
   const hrp = lower.substring(0, lastOneIdx);
 
   // Parse HRP: ln + network prefix + amount
-  // Network prefixes: bc (mainnet), tb (testnet), bcrt (regtest), tbs (signet)
-  let rest;
-  if (hrp.startsWith('lnbc')) {
-    rest = hrp.substring(4);
-  } else if (hrp.startsWith('lntbs')) {
-    rest = hrp.substring(5);
-  } else if (hrp.startsWith('lntb')) {
-    rest = hrp.substring(4);
-  } else if (hrp.startsWith('lnbcrt')) {
-    rest = hrp.substring(6);
-  } else {
-    throw new Error('Unknown bolt11 network prefix');
+  const net = NETWORKS.find(n => hrp.startsWith(n.prefix));
+  if (!net) throw new InvoiceError('INVALID_INVOICE', 'Unknown bolt11 network prefix');
+  const rest = hrp.substring(net.prefix.length);
+
+  // If rest is empty, it's a zero-amount invoice
+  const amountMsats = rest.length > 0 ? parseHrpAmount(rest) : null;
+
+  const result = {
+    ...amountFields(amountMsats),
+    network: net.network,
+    timestamp: null,
+    expiry: null,
+    expiresAt: null,
+    paymentHash: null,
+    paymentSecret: null,
+    description: null,
+    descriptionHash: null,
+    metadata: null,
+    minFinalCltvExpiry: null,
+    fallbackAddresses: [],
+    routeHints: [],
+    features: [],
+    payeeNodeKey: null,
+    signature: null,
+    signatureValid: false
+  };
+
+  let words;
+  try {
+    words = bech32.decode(lower, 'bech32').words;
+  } catch (err) {
+    if (opts.strict) throw new InvoiceError('INVALID_INVOICE', 'Invalid bolt11: ' + err.message);
+    return result;
   }
 
-  let amountSats = null;
+  decodeDataPart(hrp, words, net, result);
 
-  if (rest.length > 0) {
-    // Last char might be a multiplier
-    const lastChar = rest[rest.length - 1];
-    if (MULTIPLIERS[lastChar] !== undefined) {
-      const numStr = rest.substring(0, rest.length - 1);
-      const num = parseFloat(numStr);
-      if (isNaN(num)) throw new Error('Invalid bolt11 amount: ' + numStr);
-      const btcAmount = num * MULTIPLIERS[lastChar];
-      amountSats = Math.round(btcAmount * BTC_TO_SATS);
-    } else {
-      // No multiplier — amount is in BTC
-      const num = parseFloat(rest);
-      if (isNaN(num)) throw new Error('Invalid bolt11 amount: ' + rest);
-      amountSats = Math.round(num * BTC_TO_SATS);
+  if (opts.strict && !result.signatureValid) {
+    throw new InvoiceError('INVALID_INVOICE', 'Invalid bolt11: signature does not match payee');
+  }
+
+  return result;
+}
+
+// HRP amount ('2500u', '15n', '1') to exact msats
+function parseHrpAmount(str) {
+  const last = str[str.length - 1];
+  const unit = /[0-9]/.test(last) ? '' : last;
+  const digits = unit ? str.slice(0, -1) : str;
+  if (MULTIPLIERS[unit] === undefined || !/^[0-9]+$/.test(digits)) {
+    throw new InvoiceError('INVALID_INVOICE', 'Invalid bolt11 amount: ' + str);
+  }
+
+  const tenths = BigInt(digits) * MULTIPLIERS[unit];
+  if (tenths % 10n !== 0n) throw new InvoiceError('INVALID_INVOICE', 'Invalid bolt11 amount: not a whole number of msats');
+  const msats = tenths / 10n;
+  if (msats > BigInt(Number.MAX_SAFE_INTEGER)) throw new InvoiceError('INVALID_INVOICE', 'Invalid bolt11 amount: too large');
+  return Number(msats);
+}
+
+function decodeDataPart(hrp, words, net, result) {
+  if (words.length < 7 + SIGNATURE_WORDS) {
+    throw new InvoiceError('INVALID_INVOICE', 'Invalid bolt11: data part too short');
+  }
+
+  const dataWords = words.slice(0, -SIGNATURE_WORDS);
+  const sigWords = words.slice(-SIGNATURE_WORDS);
+
+  result.timestamp = wordsToInt(dataWords.slice(0, 7));
+
+  let pos = 7;
+  while (pos < dataWords.length) {
+    if (pos + 3 > dataWords.length) throw new InvoiceError('INVALID_INVOICE', 'Invalid bolt11: truncated tagged field');
+    const tag = TAGS[dataWords[pos]];
+    const len = dataWords[pos + 1] * 32 + dataWords[pos + 2];
+    const field = dataWords.slice(pos + 3, pos + 3 + len);
+    if (field.length !== len) throw new InvoiceError('INVALID_INVOICE', 'Invalid bolt11: truncated tagged field');
+    pos += 3 + len;
+
+    // Readers must skip p, h, s and n fields of the wrong length (BOLT11)
+    switch (tag) {
+      case 'p':
+        if (len === 52 && !result.paymentHash) result.paymentHash = bech32.fromWords(field).toString('hex');
+        break;
+      case 's':
+        if (len === 52 && !result.paymentSecret) result.paymentSecret = bech32.fromWords(field).toString('hex');
+        break;
+      case 'h':
+        if (len === 52 && !result.descriptionHash) result.descriptionHash = bech32.fromWords(field).toString('hex');
+        break;
+      case 'n':
+        if (len === 53 && !result.payeeNodeKey) result.payeeNodeKey = bech32.fromWords(field).toString('hex');
+        break;
+      case 'd':
+        result.description = bech32.fromWords(field).toString('utf8');
+        break;
+      case 'm':
+        result.metadata = bech32.fromWords(field).toString('hex');
+        break;
+      case 'x':
+        result.expiry = wordsToInt(field);
+        break;
+      case 'c':
+        result.minFinalCltvExpiry = wordsToInt(field);
+        break;
+      case 'f': {
+        const address = decodeFallbackAddress(field, net);
+        if (address) result.fallbackAddresses.push(address);
+        break;
+      }
+      case 'r':
+        result.routeHints.push(decodeRouteHint(bech32.fromWords(field)));
+        break;
+      case '9':
+        result.features = decodeFeatures(field);
+        break;
+      // Unknown tags are skipped
     }
   }
-  // If rest is empty, it's a zero-amount invoice
 
-  // Try to extract description from tagged fields (best effort)
-  // Tagged fields are in the data part after the separator, bech32-decoded
-  // This is complex — we do minimal extraction
-  let description = null;
-  let paymentHash = null;
+  if (result.expiry === null) result.expiry = DEFAULT_EXPIRY;
+  if (result.minFinalCltvExpiry === null) result.minFinalCltvExpiry = DEFAULT_MIN_FINAL_CLTV;
+  result.expiresAt = result.timestamp + result.expiry;
+
+  // Signature covers sha256(hrp bytes || data words padded to bytes)
+  const sigBytes = bech32.fromWords(sigWords);
+  const signature = sigBytes.subarray(0, 64);
+  const recoveryId = sigBytes[64];
+  const sigHash = crypto.createHash('sha256')
+    .update(Buffer.concat([Buffer.from(hrp, 'utf8'), bech32.fromWords(dataWords, true)]))
+    .digest();
+
+  result.signature = sigBytes.toString('hex');
+
+  const recovered = recoverPayee(signature, recoveryId, sigHash);
+  if (result.payeeNodeKey) {
+    result.signatureValid = recovered === result.payeeNodeKey;
+  } else if (recovered) {
+    result.payeeNodeKey = recovered;
+    result.signatureValid = true;
+  }
+}
 
+function wordsToInt(words) {
+  let n = 0;
+  for (const w of words) n = n * 32 + w;
+  return n;
+}
+
+function decodeRouteHint(bytes) {
+  // Each hop is 51 bytes: pubkey(33) scid(8) fee_base(4) fee_ppm(4) cltv_delta(2)
+  const hops = [];
+  for (let i = 0; i + 51 <= bytes.length; i += 51) {
+    const scid = bytes.subarray(i + 33, i + 41);
+    hops.push({
+      pubkey: bytes.subarray(i, i + 33).toString('hex'),
+      shortChannelId: `${scid.readUIntBE(0, 3)}x${scid.readUIntBE(3, 3)}x${scid.readUInt16BE(6)}`,
+      feeBaseMsat: bytes.readUInt32BE(i + 41),
+      feeProportionalMillionths: bytes.readUInt32BE(i + 45),
+      cltvExpiryDelta: bytes.readUInt16BE(i + 49)
+    });
+  }
+  return hops;
+}
+
+function decodeFeatures(words) {
+  const features = [];
+  for (let i = 0; i < words.length; i++) {
+    for (let b = 0; b < 5; b++) {
+      if ((words[words.length - 1 - i] >> b) & 1) {
+        const bit = i * 5 + b;
+        const name = FEATURE_NAMES[bit & ~1] || null;
+        features.push({ bit, name, required: bit % 2 === 0 });
+      }
+    }
+  }
+  return features;
+}
+
+function decodeFallbackAddress(words, net) {
+  if (words.length === 0) return null;
+  const version = words[0];
+  const program = bech32.fromWords(words.slice(1));
+
+  let address;
+  if (version === 17) {
+    address = base58Check(Buffer.concat([Buffer.from([net.p2pkh]), program]));
+  } else if (version === 18) {
+    address = base58Check(Buffer.concat([Buffer.from([net.p2sh]), program]));
+  } else if (version <= 16) {
+    address = bech32.encode(net.segwitHrp, [version, ...bech32.toWords(program)], version > 0);
+  } else {
+    return null; // Unknown version — skip per BOLT11
+  }
+
+  return { version, address, program: program.toString('hex') };
+}
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function base58Check(payload) {
+  const sha = (b) => crypto.createHash('sha256').update(b).digest();
+  const bytes = Buffer.concat([payload, sha(sha(payload)).subarray(0, 4)]);
+
+  let n = BigInt('0x' + bytes.toString('hex'));
+  let out = '';
+  while (n > 0n) {
+    out = BASE58_ALPHABET[Number(n % 58n)] + out;
+    n /= 58n;
+  }
+  for (const b of bytes) {
+    if (b !== 0) break;
+    out = '1' + out;
+  }
+  return out;
+}
+
+// Recover the compressed pubkey that produced a compact signature, or null
+function recoverPayee(signature, recoveryId, msgHash) {
+  if (recoveryId > 3) return null;
+
+  // Prefer native secp256k1 (libsecp256k1 bindings)
   try {
-    const dataPart = lower.substring(lastOneIdx + 1);
-    // First 7 chars = timestamp (bech32 chars, 35 bits)
-    // Then tagged fields follow
-    // Each tag: 1 char type + 2 chars data length + data
-    // We'd need full bech32 decoding for this — skip for now
-    // Payment hash and description require full bech32 decode
-  } catch (_) { /* best effort */ }
+    const secp = require('secp256k1');
+    try {
+      const pub = secp.ecdsaRecover(Uint8Array.from(signature), recoveryId, Uint8Array.from(msgHash), true);
+      return Buffer.from(pub).toString('hex');
+    } catch (_) {
+      return null;
+    }
+  } catch (e) {
+    if (e.code !== 'MODULE_NOT_FOUND') throw e;
+  }
 
-  return {
-    amountSats,
-    description,
-    paymentHash,
-    network: hrp.startsWith('lntbs') ? 'signet' :
-             hrp.startsWith('lntb') ? 'testnet' :
-             hrp.startsWith('lnbcrt') ? 'regtest' : 'mainnet'
-  };
+  // Fallback: @noble/curves
+  try {
+    const { secp256k1 } = require('@noble/curves/secp256k1.js');
+    const sig = secp256k1.Signature.fromBytes(Uint8Array.from(signature), 'compact').addRecoveryBit(recoveryId);
+    return Buffer.from(sig.recoverPublicKey(Uint8Array.from(msgHash)).toBytes(true)).toString('hex');
+  } catch (_) {
+    return null;
+  }
 }
 
 // ─── Lightning Address (LNURL-pay) resolver ───
@@ -101,54 +358,270 @@ function decodeBolt11(invoice) {
 /**
  * Resolve a Lightning address to a bolt11 invoice via LNURL-pay.
  * Lightning address format: user@domain → https://domain/.well-known/lnurlp/user
+ *
+ * The returned invoice is checked as LUD-06 requires: valid signature,
+ * amount equal to the one requested, and description hash equal to the
+ * SHA-256 of the service's metadata (plus the payer data, when sent).
+ * Any successAction is validated too.
+ *
+ * A comment the service won't take (LUD-12) is left out and reported in
+ * `warnings`, or thrown with `commentDropped: 'error'`. Payer data
+ * (LUD-18) is sent only for the fields the service asks for.
+ *
  * @param {string} address - Lightning address (user@domain)
- * @param {number} amountSats - Amount in satoshis
+ * @param {number|object} amount - Whole sats, or { amountSats } / { amountMsats }
  * @param {string} [comment] - Optional payer comment
- * @returns {Promise<{ invoice: string, minSats: number, maxSats: number }>}
+ * @param {object} [opts]
+ * @param {object} [opts.payerData] - Who is paying: { name, pubkey, identifier, email, authKey };
+ *   authKey is a private key (hex) used with signAuth() to answer the service's auth k1
+ * @param {string} [opts.commentDropped='warn'] - 'warn' or 'error' when the comment can't be sent
+ * @param {AbortSignal} [opts.signal] - Abort the LNURL requests
+ * @returns {Promise<{ invoice: string, amountSats: number, amountMsats: number,
+ *   minSats: number, maxSats: number, minMsats: number, maxMsats: number, successAction: object|null,
+ *   commentSent: boolean, payerData: object|null, warnings: LnurlError[] }>}
+ * @throws {LnurlError} INVALID_RESPONSE when the invoice or successAction doesn't check out,
+ *   COMMENT_NOT_ALLOWED, PAYER_DATA_REQUIRED
  */
-async function resolveLightningAddress(address, amountSats, comment) {
-  const [name, domain] = address.split('@');
-  if (!name || !domain) throw new Error('Invalid Lightning address: ' + address);
+async function resolveLightningAddress(address, amount, comment, opts = {}) {
+  const amountMsats = readMsats(typeof amount === 'object' && amount !== null ? amount : { amountSats: amount });
+  if (!amountMsats || amountMsats <= 0) {
+    throw new ValidationError('INVALID_AMOUNT', 'amountSats is required and must be positive');
+  }
 
   // Step 1: Fetch LNURL-pay metadata
-  const metaUrl = `https://${domain}/.well-known/lnurlp/${name}`;
-  const metaRes = await fetch(metaUrl);
-  if (!metaRes.ok) throw new Error(`LNURL fetch failed (${metaRes.status}): ${metaUrl}`);
-  const meta = await metaRes.json();
-
-  if (meta.status === 'ERROR') throw new Error('LNURL error: ' + (meta.reason || 'unknown'));
-  if (!meta.callback) throw new Error('LNURL response missing callback URL');
-
-  const minSats = Math.ceil((meta.minSendable || 1000) / 1000);
-  const maxSats = Math.floor((meta.maxSendable || 100000000000) / 1000);
-
-  if (amountSats < minSats) throw new Error(`Amount ${amountSats} below minimum ${minSats} sats`);
-  if (amountSats > maxSats) throw new Error(`Amount ${amountSats} above maximum ${maxSats} sats`);
+  const { meta, limits } = await fetchPayRequest(address, opts.signal);
+  checkPayAmount(address, amountMsats, limits);
 
   // Step 2: Request invoice from callback
-  const amountMsats = amountSats * 1000;
+  const warnings = [];
   const sep = meta.callback.includes('?') ? '&' : '?';
   let cbUrl = `${meta.callback}${sep}amount=${amountMsats}`;
-  if (comment && meta.commentAllowed && comment.length <= meta.commentAllowed) {
-    cbUrl += `&comment=${encodeURIComponent(comment)}`;
+  let commentSent = false;
+  if (comment) {
+    if (meta.commentAllowed && comment.length <= meta.commentAllowed) {
+      cbUrl += `&comment=${encodeURIComponent(comment)}`;
+      commentSent = true;
+    } else {
+      const dropped = new LnurlError(
+        'COMMENT_NOT_ALLOWED',
+        meta.commentAllowed
+          ? `Comment is ${comment.length} characters; ${address} accepts at most ${meta.commentAllowed}`
+          : `${address} does not accept comments`,
+        { address, commentLength: comment.length, commentAllowed: meta.commentAllowed || 0 }
+      );
+      if (opts.commentDropped === 'error') throw dropped;
+      warnings.push(dropped);
+    }
   }
 
-  const invoiceRes = await fetch(cbUrl);
-  if (!invoiceRes.ok) throw new Error(`LNURL callback failed (${invoiceRes.status})`);
-  const invoiceData = await invoiceRes.json();
+  const payerData = buildPayerData(meta.payerData, opts.payerData, address);
+  const payerDataJson = payerData ? JSON.stringify(payerData) : null;
+  if (payerDataJson) cbUrl += `&payerdata=${encodeURIComponent(payerDataJson)}`;
+
+  const invoiceData = await fetchLnurl(cbUrl, 'LNURL callback', opts.signal);
 
-  if (invoiceData.status === 'ERROR') throw new Error('LNURL error: ' + (invoiceData.reason || 'unknown'));
-  if (!invoiceData.pr) throw new Error('LNURL response missing invoice (pr field)');
+  // Step 3: Check the invoice is the one we asked for.
+  // LUD-18: with payer data the hash covers metadata + payerdata
+  checkPayInvoice(invoiceData.pr, address, amountMsats, sha256Hex(meta.metadata + (payerDataJson || '')));
 
   return {
     invoice: invoiceData.pr,
-    minSats,
-    maxSats
+    ...amountFields(amountMsats),
+    ...limits,
+    successAction: parseSuccessAction(invoiceData.successAction, meta.callback),
+    commentSent,
+    payerData,
+    warnings
   };
 }
 
+// LUD-16: fetch the payRequest behind a Lightning address
+async function fetchPayRequest(address, signal) {
+  const [name, domain] = String(address).split('@');
+  if (!name || !domain) {
+    throw new LnurlError('INVALID_ADDRESS', 'Invalid Lightning address: ' + address, { address });
+  }
+
+  const url = `https://${domain}/.well-known/lnurlp/${name}`;
+  const meta = await fetchLnurl(url, 'LNURL fetch', signal);
+  if (!meta.callback) throw new LnurlError('INVALID_RESPONSE', 'LNURL response missing callback URL', { address });
+  if (typeof meta.metadata !== 'string') {
+    throw new LnurlError('INVALID_RESPONSE', 'LNURL response missing metadata', { address });
+  }
+
+  const minMsats = meta.minSendable || 1000;
+  const maxMsats = meta.maxSendable || 100000000000;
+  const limits = {
+    minSats: Math.ceil(minMsats / 1000),
+    maxSats: msatsToSats(maxMsats),
+    minMsats,
+    maxMsats
+  };
+  return { meta, limits, url, domain };
+}
+
+function checkPayAmount(address, amountMsats, limits) {
+  if (amountMsats < limits.minMsats || amountMsats > limits.maxMsats) {
+    throw new LnurlError(
+      'AMOUNT_OUT_OF_RANGE',
+      amountMsats < limits.minMsats
+        ? `Amount ${formatMsats(amountMsats)} below minimum ${formatMsats(limits.minMsats)}`
+        : `Amount ${formatMsats(amountMsats)} above maximum ${formatMsats(limits.maxMsats)}`,
+      { address, ...amountFields(amountMsats), ...limits }
+    );
+  }
+}
+
+// LUD-06: the callback's invoice must be signed, for the amount asked and
+// commit to what we expect (metadata, or a zap request for NIP-57)
+function checkPayInvoice(pr, address, amountMsats, expectedHash) {
+  if (!pr) {
+    throw new LnurlError('INVALID_RESPONSE', 'LNURL response missing invoice (pr field)', { address });
+  }
+  let decoded;
+  try {
+    decoded = decodeBolt11(pr, { strict: true });
+  } catch (err) {
+    throw new LnurlError('INVALID_RESPONSE', 'LNURL callback returned an invalid invoice: ' + err.message, { address });
+  }
+  if (decoded.amountMsats !== amountMsats) {
+    throw new LnurlError(
+      'INVALID_RESPONSE',
+      `LNURL invoice is for ${decoded.amountMsats === null ? 'no amount' : formatMsats(decoded.amountMsats)}, ` +
+        `not the ${formatMsats(amountMsats)} requested`,
+      { address, ...amountFields(amountMsats), invoiceMsats: decoded.amountMsats }
+    );
+  }
+  if (decoded.descriptionHash !== expectedHash) {
+    throw new LnurlError('INVALID_RESPONSE', 'LNURL invoice description hash does not match the metadata', {
+      address,
+      metadataHash: expectedHash,
+      descriptionHash: decoded.descriptionHash
+    });
+  }
+  return decoded;
+}
+
+function sha256Hex(str) {
+  return crypto.createHash('sha256').update(str, 'utf8').digest('hex');
+}
+
+// LUD-18 payerdata: the fields the service asks for that the payer has.
+// Returns null when there is nothing to send.
+function buildPayerData(spec, payer, address) {
+  if (!spec || typeof spec !== 'object') return null;
+  payer = payer || {};
+
+  const data = {};
+  const missing = [];
+  for (const field of ['name', 'pubkey', 'identifier', 'email']) {
+    if (!spec[field]) continue;
+    if (payer[field]) data[field] = payer[field];
+    else if (spec[field].mandatory) missing.push(field);
+  }
+  if (spec.auth) {
+    if (payer.authKey && spec.auth.k1) {
+      const { sig, key } = signAuth(spec.auth.k1, payer.authKey);
+      data.auth = { key, k1: spec.auth.k1, sig };
+    } else if (spec.auth.mandatory) {
+      missing.push('auth');
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new LnurlError('PAYER_DATA_REQUIRED', `${address} requires payer ${missing.join(', ')}`, { address, missing });
+  }
+  return Object.keys(data).length > 0 ? data : null;
+}
+
+// ─── Zaps (NIP-57) ───
+
+const HEX_KEY = /^[0-9a-f]{64}$/;
+
+// Kind 9734 zap request, sent to the recipient's LNURL server and committed
+// to by the invoice's description hash
+function createZapRequest({ recipientPubkey, eventId, amountMsats, relays, lnurl, comment }, secretKey) {
+  const tags = [
+    ['relays', ...relays],
+    ['amount', String(amountMsats)],
+    ['lnurl', lnurl],
+    ['p', recipientPubkey]
+  ];
+  if (eventId) tags.push(['e', eventId]);
+  return finalizeEvent({
+    kind: 9734,
+    created_at: Math.floor(Date.now() / 1000),
+    tags,
+    content: comment || ''
+  }, secretKey);
+}
+
+// The recipient's Lightning address: lud16 in their latest kind 0 profile.
+// Relays are tried in order; unreachable ones are skipped.
+async function fetchProfileLud16(pubkey, relays, timeoutMs, signal) {
+  for (const url of relays) {
+    throwIfAborted(signal);
+    let relay;
+    try {
+      relay = await Relay.connect(url);
+    } catch (_) {
+      continue;
+    }
+
+    const profile = await new Promise((resolve) => {
+      let latest = null;
+      let sub = null;
+      let stopAbort = () => {};
+      const done = () => {
+        clearTimeout(timer);
+        stopAbort();
+        if (sub) sub.close();
+        resolve(latest);
+      };
+      const timer = setTimeout(done, timeoutMs);
+      stopAbort = onAbort(signal, done);
+
+      sub = relay.subscribe(
+        [{ kinds: [0], authors: [pubkey], limit: 1 }],
+        {
+          onevent: (e) => {
+            if (!latest || e.created_at > latest.created_at) latest = e;
+          },
+          oneose: done
+        }
+      );
+    });
+    try { relay.close(); } catch (_) {}
+    throwIfAborted(signal);
+
+    if (profile) {
+      try {
+        const { lud16 } = JSON.parse(profile.content);
+        return typeof lud16 === 'string' && lud16.includes('@') ? lud16.trim() : null;
+      } catch (_) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+function toSecretKey(key) {
+  if (typeof key === 'string') {
+    if (!HEX_KEY.test(key)) throw new Error('secretKey must be a 64-character hex string');
+    return Uint8Array.from(Buffer.from(key, 'hex'));
+  }
+  return Uint8Array.from(key);
+}
+
 // ─── NWC URL parser ───
 
+/**
+ * Read a nostr+walletconnect:// connection string.
+ * @param {string} nwcUrl
+ * @returns {{ walletPubkey: string, relay: string, relays: string[], secret: string, lud16: string|null }}
+ *   relay is the first of relays, the one NWCWallet connects to
+ */
 function parseNwcUrl(nwcUrl) {
   if (!nwcUrl || typeof nwcUrl !== 'string') {
     throw new Error('NWC URL is required');
@@ -160,7 +633,8 @@ function parseNwcUrl(nwcUrl) {
 
   const url = new URL(nwcUrl);
   const walletPubkey = url.hostname || url.pathname.replace('//', '');
-  const relay = url.searchParams.get('relay');
+  const relays = url.searchParams.getAll('relay');
+  const relay = relays[0];
   const secret = url.searchParams.get('secret');
 
   if (!walletPubkey || walletPubkey.length !== 64) {
@@ -169,220 +643,1729 @@ function parseNwcUrl(nwcUrl) {
   if (!relay) {
     throw new Error('Invalid NWC URL: missing relay parameter');
   }
-  if (!secret || secret.length !== 64) {
-    throw new Error('Invalid NWC URL: missing or invalid secret');
+  if (!secret || secret.length !== 64) {
+    throw new Error('Invalid NWC URL: missing or invalid secret');
+  }
+
+  return { walletPubkey, relay, relays, secret, lud16: url.searchParams.get('lud16') };
+}
+
+// ─── NWC info event (kind 13194) ───
+
+/**
+ * Parse a wallet service info event into its capabilities.
+ * No event means an old service: NIP-04 only, methods unknown.
+ * @param {object|null} event
+ * @returns {{ methods: string[]|null, notifications: string[], encryptions: string[] }}
+ */
+function parseInfoEvent(event) {
+  const split = (str) => (str || '').trim().split(/\s+/).filter(Boolean);
+  if (!event) {
+    return { methods: null, notifications: [], encryptions: ['nip04'] };
+  }
+
+  const tag = (name) => (event.tags.find(t => t[0] === name) || [])[1];
+  const encryptions = split(tag('encryption'));
+  return {
+    methods: split(event.content),
+    notifications: split(tag('notifications')),
+    // Absent encryption tag means the service only speaks NIP-04
+    encryptions: encryptions.length > 0 ? encryptions : ['nip04']
+  };
+}
+
+/**
+ * Normalize an NWC transaction object (lookup_invoice, notifications)
+ * into the library's camelCase, sats + msats shape.
+ * @param {object} tx - NIP-47 transaction
+ * @returns {object}
+ */
+function normalizeTransaction(tx = {}) {
+  const amountMsats = tx.amount || 0;
+  const feesPaidMsats = tx.fees_paid || 0;
+  return {
+    type: tx.type || null, // 'incoming' | 'outgoing'
+    // 'pending' | 'settled' | 'expired' | 'failed', or 'accepted' for a held payment
+    state: tx.state || (tx.settled_at ? 'settled' : 'pending'),
+    invoice: tx.invoice || null,
+    description: tx.description || null,
+    descriptionHash: tx.description_hash || null,
+    preimage: tx.preimage || null,
+    paymentHash: tx.payment_hash || null,
+    ...amountFields(amountMsats),
+    ...amountFields(feesPaidMsats, 'feesPaid'),
+    createdAt: tx.created_at || null,
+    expiresAt: tx.expires_at || null,
+    settledAt: tx.settled_at || null,
+    settleDeadline: tx.settle_deadline || null, // hold invoices: block height to settle by
+    metadata: tx.metadata || null
+  };
+}
+
+function isHex32(value) {
+  return typeof value === 'string' && /^[0-9a-f]{64}$/i.test(value);
+}
+
+function toUnixSeconds(t) {
+  if (t instanceof Date) return Math.floor(t.getTime() / 1000);
+  if (typeof t !== 'number' || !Number.isFinite(t) || t < 0) {
+    throw new Error('Timestamps must be unix seconds or Date objects');
+  }
+  return Math.floor(t);
+}
+
+// ─── Invoice validation ───
+
+// get_info network names from node software that uses chain names
+const NETWORK_ALIASES = { bitcoin: 'mainnet' };
+
+// Strict decode for invoices we're about to pay
+function decodePayable(invoice) {
+  try {
+    return decodeBolt11(invoice, { strict: true });
+  } catch (err) {
+    throw new InvoiceError('INVALID_INVOICE', err.message, { invoice });
+  }
+}
+
+/**
+ * Check a decoded invoice before paying it. Each amount option can be
+ * given in sats or msats (amountMsats, expectedAmountMsats, maxAmountMsats).
+ * @param {object} decoded - decodeBolt11 output
+ * @param {object} [opts]
+ * @param {number} [opts.amountSats] - What to pay on a zero-amount invoice
+ * @param {number} [opts.expectedAmountSats] - Invoice must be for exactly this
+ * @param {number} [opts.maxAmountSats] - Invoice must not be for more than this
+ * @param {string|null} [network] - Network the paying wallet is on, if known
+ * @returns {number} Amount that will be paid, in msats
+ * @throws {InvoiceError}
+ */
+function checkInvoice(decoded, opts = {}, network = null) {
+  if (!decoded.paymentHash) {
+    throw new InvoiceError('INVALID_INVOICE', 'Invoice has no payment hash', {});
+  }
+  if (decoded.expiresAt !== null && decoded.expiresAt <= Math.floor(Date.now() / 1000)) {
+    throw new InvoiceError(
+      'INVOICE_EXPIRED',
+      `Invoice expired at ${new Date(decoded.expiresAt * 1000).toISOString()}`,
+      { paymentHash: decoded.paymentHash, expiresAt: decoded.expiresAt }
+    );
+  }
+  checkInvoiceNetwork(decoded, network);
+
+  const amount = readMsats(opts);
+  const expected = readMsats(opts, 'expectedAmount');
+  const max = readMsats(opts, 'maxAmount');
+
+  let amountMsats = decoded.amountMsats;
+  if (amountMsats === null) {
+    if (!amount || amount <= 0) {
+      throw new InvoiceError('AMOUNT_REQUIRED', 'Invoice has no amount; pass amountSats to choose one', {
+        paymentHash: decoded.paymentHash
+      });
+    }
+    amountMsats = amount;
+  } else if (amount !== undefined && amount !== amountMsats) {
+    throw new InvoiceError('AMOUNT_MISMATCH', `Invoice is for ${formatMsats(amountMsats)}, not ${formatMsats(amount)}`, {
+      paymentHash: decoded.paymentHash, ...amountFields(amountMsats), ...amountFields(amount, 'expectedAmount')
+    });
+  }
+
+  if (expected !== undefined && amountMsats !== expected) {
+    throw new InvoiceError('AMOUNT_MISMATCH', `Invoice is for ${formatMsats(amountMsats)}, expected ${formatMsats(expected)}`, {
+      paymentHash: decoded.paymentHash, ...amountFields(amountMsats), ...amountFields(expected, 'expectedAmount')
+    });
+  }
+  if (max !== undefined && amountMsats > max) {
+    throw new InvoiceError('AMOUNT_TOO_LARGE', `Invoice is for ${formatMsats(amountMsats)}, above the ${formatMsats(max)} maximum`, {
+      paymentHash: decoded.paymentHash, ...amountFields(amountMsats), ...amountFields(max, 'maxAmount')
+    });
+  }
+  return amountMsats;
+}
+
+function checkInvoiceNetwork(decoded, network) {
+  if (network && decoded.network !== network) {
+    throw new InvoiceError('WRONG_NETWORK', `Invoice is for ${decoded.network} but the wallet is on ${network}`, {
+      paymentHash: decoded.paymentHash, network: decoded.network, walletNetwork: network
+    });
+  }
+}
+
+// ─── Payment outcomes ───
+
+// Unwrap a guarded payment outcome for callers that expect a throw
+function paymentOrThrow(outcome, signal) {
+  if (outcome.status === 'settled') {
+    return { preimage: outcome.preimage, paymentHash: outcome.paymentHash };
+  }
+  if (outcome.status === 'failed') throw outcome.error;
+  if (signal && signal.aborted) {
+    throw abortError(signal, { paymentHash: outcome.paymentHash, pending: true });
+  }
+  throw new PaymentPendingError(outcome.paymentHash, outcome.error);
+}
+
+// A payment run several callers can wait on, each under its own signal.
+// The run gets a signal of its own, aborted only once every caller
+// waiting on it has aborted, so one caller's abort never decides another's.
+function sharedRun(start) {
+  const ctl = new AbortController();
+  const promise = start(ctl.signal);
+  let waiting = 0;
+  return {
+    promise,
+    // The run's outcome; pending with an AbortError if signal aborts first
+    join(signal, paymentHash) {
+      waiting++;
+      return new Promise((resolve, reject) => {
+        const stopAbort = onAbort(signal, () => {
+          // The last caller to give up stops the run and takes its outcome
+          if (--waiting === 0) return ctl.abort(signal.reason);
+          const error = abortError(signal, { paymentHash, pending: true });
+          resolve({ status: 'pending', preimage: null, paymentHash, error });
+        });
+        promise.then((outcome) => {
+          stopAbort();
+          resolve(outcome);
+        }, (err) => {
+          stopAbort();
+          reject(err);
+        });
+      });
+    }
+  };
+}
+
+// For .catch() on best-effort lookups: swallow failures, but not an abort
+function rethrowAbort(err) {
+  if (err instanceof AbortError) throw err;
+  return null;
+}
+
+// Totals for payBatch and payKeysends; pending payments count as neither paid nor failed
+function batchSummary(results, totalMsats) {
+  const successCount = results.filter(r => r.success).length;
+  const pendingCount = results.filter(r => r.status === 'pending').length;
+  return {
+    results,
+    successCount,
+    failedCount: results.length - successCount - pendingCount,
+    pendingCount,
+    ...amountFields(totalMsats, 'total')
+  };
+}
+
+// A batch whose signal aborted rejects; details.batch holds what it did
+// up to then
+function batchOrAbort(summary, signal) {
+  throwIfAborted(signal, { batch: summary });
+  return summary;
+}
+
+// The ledger options of a batch call, handed to each payment in it
+function ledgerOpts(opts) {
+  return { ...entryFields(opts), ledger: opts.ledger };
+}
+
+// ─── Keysend helpers ───
+
+// Validate keysend options and build NIP-47 pay_keysend params
+function keysendParams(pubkey, opts = {}) {
+  if (typeof pubkey !== 'string' || !/^0[23][0-9a-f]{64}$/i.test(pubkey)) {
+    throw new ValidationError('INVALID_ARGUMENT', 'pubkey must be a 33-byte compressed node pubkey (hex)', { pubkey });
+  }
+  const amountMsats = readMsats(opts);
+  if (!amountMsats || amountMsats <= 0) {
+    throw new ValidationError('INVALID_AMOUNT', 'amountSats is required and must be positive');
+  }
+
+  const params = { pubkey: pubkey.toLowerCase(), amount: amountMsats };
+
+  if (opts.preimage !== undefined) {
+    if (typeof opts.preimage !== 'string' || !/^[0-9a-f]{64}$/i.test(opts.preimage)) {
+      throw new ValidationError('INVALID_ARGUMENT', 'preimage must be a 32-byte hex string');
+    }
+    params.preimage = opts.preimage;
+  }
+
+  if (opts.tlvRecords && opts.tlvRecords.length > 0) {
+    params.tlv_records = opts.tlvRecords.map((r) => {
+      if (!Number.isInteger(r.type) || r.type < 0) {
+        throw new ValidationError('INVALID_ARGUMENT', 'TLV record type must be a non-negative integer', { type: r.type });
+      }
+      const value = Buffer.isBuffer(r.value) || r.value instanceof Uint8Array
+        ? Buffer.from(r.value).toString('hex')
+        : r.value;
+      if (typeof value !== 'string' || !/^([0-9a-f]{2})*$/i.test(value)) {
+        throw new ValidationError('INVALID_ARGUMENT', `TLV record ${r.type}: value must be hex or bytes`, { type: r.type });
+      }
+      return { type: r.type, value };
+    });
+  }
+
+  return params;
+}
+
+function keysendResult(pubkey, amountMsats, result) {
+  const preimage = result.preimage || null;
+  return {
+    preimage,
+    paymentHash: preimageHash(preimage),
+    pubkey,
+    ...amountFields(amountMsats)
+  };
+}
+
+// A keysend that got no answer (timeout, abort) may still arrive
+function keysendStatus(error) {
+  return error instanceof NwcTimeoutError || error instanceof AbortError ? 'pending' : 'failed';
+}
+
+function preimageHash(preimage) {
+  return preimage ? crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex') : null;
+}
+
+// Notification types a wallet service can push (kinds 23196 / 23197)
+const NOTIFICATION_TYPES = ['payment_received', 'payment_sent', 'hold_invoice_accepted'];
+
+// Lifecycle events of every NWC request
+const REQUEST_EVENTS = ['request', 'response', 'error', 'timeout'];
+
+// Params as emitted with request events: preimages are secrets until paid
+function sanitizeParams(value) {
+  if (Array.isArray(value)) return value.map(sanitizeParams);
+  if (!value || typeof value !== 'object') return value;
+  const clean = {};
+  for (const [key, v] of Object.entries(value)) {
+    clean[key] = key === 'preimage' ? '[redacted]' : sanitizeParams(v);
+  }
+  return clean;
+}
+
+// ─── Wallet class ───
+
+/**
+ * NWC wallet client.
+ *
+ * Emits 'payment_received', 'payment_sent' and 'hold_invoice_accepted'
+ * with a normalized transaction when the wallet service pushes NIP-47
+ * notifications.
+ * Adding a listener opens the notification subscription; removing the
+ * last one closes it.
+ *
+ * Every NWC request also emits 'request' ({ id, method, relay, params })
+ * before it goes out, then one of 'response', 'error' or 'timeout' with the same
+ * fields plus durationMs (and error). 'error' is only emitted while
+ * something listens for it.
+ */
+
+class NWCWallet extends EventEmitter {
+  /**
+   * @param {string} nwcUrl - nostr+walletconnect:// connection string
+   * @param {object} [opts]
+   * @param {boolean} [opts.persistent=false] - Keep one relay connection open and
+   *   multiplex all requests over it instead of connecting per request
+   * @param {number} [opts.keepaliveMs=30000] - Persistent mode: probe the relay this often
+   * @param {number} [opts.reconnectDelayMs=1000] - Persistent mode: first reconnect delay
+   * @param {number} [opts.maxReconnectDelayMs=30000] - Persistent mode: backoff ceiling
+   * @param {string} [opts.encryption] - Force 'nip04' or 'nip44_v2' instead of
+   *   picking from the wallet service's info event
+   * @param {number} [opts.infoTimeoutMs=5000] - Info event fetch timeout
+   * @param {object} [opts.policy] - Spending policy config (see createSpendingPolicy)
+   *   or a policy instance to share between wallets
+   * @param {string} [opts.network] - 'mainnet' | 'testnet' | 'signet' | 'regtest';
+   *   invoices for other networks are refused (default: ask get_info)
+   * @param {object|string} [opts.ledger] - Ledger config (see createLedger), a JSONL
+   *   file path, or a ledger instance to share between wallets
+   * @param {object} [opts.scheduler] - Request scheduler config (see createRequestScheduler)
+   *   or a scheduler instance to share between wallets; without one requests go out at once
+   */
+  constructor(nwcUrl, opts = {}) {
+    super();
+    const parsed = parseNwcUrl(nwcUrl);
+    this.walletPubkey = parsed.walletPubkey;
+    this.relayUrl = parsed.relay;
+    this.secret = parsed.secret;
+    this.secretBytes = Uint8Array.from(Buffer.from(parsed.secret, 'hex'));
+    this.clientPubkey = getPublicKey(this.secretBytes);
+
+    this.persistent = opts.persistent === true;
+    this.keepaliveMs = opts.keepaliveMs || 30000;
+    this.reconnectDelayMs = opts.reconnectDelayMs || 1000;
+    this.maxReconnectDelayMs = opts.maxReconnectDelayMs || 30000;
+    this.encryption = opts.encryption || null;
+    this.infoTimeoutMs = opts.infoTimeoutMs || 5000;
+    this.network = opts.network || null;
+    this.policy = !opts.policy ? null
+      : typeof opts.policy.authorize === 'function' ? opts.policy
+        : createSpendingPolicy(opts.policy);
+    this.ledger = !opts.ledger ? null
+      : typeof opts.ledger.record === 'function' ? opts.ledger
+        : createLedger(typeof opts.ledger === 'string' ? { path: opts.ledger } : opts.ledger);
+    this.scheduler = !opts.scheduler ? null
+      : typeof opts.scheduler.schedule === 'function' ? opts.scheduler
+        : createRequestScheduler(opts.scheduler);
+    // A scheduler made from config is this wallet's to close; a shared one isn't
+    this._ownsScheduler = Boolean(this.scheduler) && this.scheduler !== opts.scheduler;
+
+    this._closed = false;
+    this._requestCount = 0;
+    this._info = null;
+    this._infoPromise = null;
+    this._networkPromise = null;
+    this._conversationKey = null;
+
+    // Persistent mode state
+    this._relay = null;
+    this._connecting = null;
+    this._pending = new Map(); // request event id → { handle, reject, timer, stopAbort }
+    this._reconnectAttempts = 0;
+    this._reconnectTimer = null;
+    this._keepaliveTimer = null;
+
+    // Notification state
+    this._notificationSub = null;
+    this._notificationRelay = null;
+    this._seenNotifications = new Set();
+
+    // Payment guard state
+    this._inFlight = new Map();   // payment hash → sharedRun of its outcome
+    this._uncertain = new Set();  // payment hashes sent without a definite answer
+
+    // Ledger state: payment hash → { amountMsats, fields } of invoices awaiting payment
+    this._ledgerInvoices = new Map();
+
+    this.on('newListener', (event) => {
+      if (NOTIFICATION_TYPES.includes(event)) this._startNotifications();
+    });
+    this.on('removeListener', (event) => {
+      if (NOTIFICATION_TYPES.includes(event)) this._stopNotificationsIfIdle();
+    });
+  }
+
+  // ─── Core NWC request ───
+  // Default: a fresh relay connection per request for reliability.
+  // NWC relays (especially Alby) handle connection reuse poorly.
+  // With { persistent: true } one connection and one 23195 subscription
+  // serve every request; responses are routed back by their 'e' tag.
+
+  // `reqOpts.expect` is for multi_* methods, which answer with one response
+  // per item tagged ['d', id]. The promise then resolves with a Map of
+  // id → raw response once all ids arrive, or with whatever arrived by the
+  // timeout (missing ids are left out).
+  //
+  // With a scheduler the request waits its turn; timeoutMs starts once it
+  // goes out, and a RATE_LIMITED refusal is retried after a backoff.
+  //
+  // `reqOpts.signal` aborts the request: it leaves the scheduler's queue, or
+  // its subscription (and per-request relay connection) is closed, and it
+  // rejects with AbortError. A request already sent may still be carried out.
+  async _nwcRequest(method, params = {}, timeoutMs = 15000, reqOpts = {}) {
+    const { expect = null, signal = null } = reqOpts;
+    throwIfAborted(signal, { method });
+    const send = () => this._observedRequest(method, params, timeoutMs, expect, signal);
+    if (!this.scheduler) return send();
+    return this.scheduler.schedule(send, { priority: requestPriority(method), signal });
+  }
+
+  // Emit the request lifecycle events around one request sent
+  async _observedRequest(method, params, timeoutMs, expect, signal) {
+    if (!REQUEST_EVENTS.some(e => this.listenerCount(e) > 0)) {
+      return this._sendRequest(method, params, timeoutMs, expect, signal);
+    }
+
+    const request = { id: ++this._requestCount, method, relay: this.relayUrl, params: sanitizeParams(params) };
+    const start = Date.now();
+    this.emit('request', request);
+    try {
+      const res = await this._sendRequest(method, params, timeoutMs, expect, signal);
+      this.emit('response', { ...request, durationMs: Date.now() - start });
+      return res;
+    } catch (err) {
+      const event = err instanceof NwcTimeoutError ? 'timeout' : 'error';
+      // An unheard 'error' would throw from emit()
+      if (event === 'timeout' || this.listenerCount('error') > 0) {
+        this.emit(event, { ...request, durationMs: Date.now() - start, error: err });
+      }
+      throw err;
+    }
+  }
+
+  async _sendRequest(method, params, timeoutMs, expect, signal) {
+    if (this._closed) throw new NwcConnectionError('CLOSED', 'Wallet is closed', { method });
+
+    const info = await this._capabilities();
+    throwIfAborted(signal, { method });
+    if (info.methods && !info.methods.includes(method)) {
+      throw new NwcError('NOT_IMPLEMENTED', `${method} is not supported by this wallet`, { method });
+    }
+
+    const payload = JSON.stringify({ method, params });
+    const encryption = this.encryption || info.encryption;
+    const tags = [['p', this.walletPubkey]];
+    if (encryption === 'nip44_v2') tags.push(['encryption', 'nip44_v2']);
+
+    const event = finalizeEvent({
+      kind: 23194,
+      created_at: Math.floor(Date.now() / 1000),
+      tags,
+      content: await this._encrypt(payload, encryption)
+    }, this.secretBytes);
+
+    if (this.persistent) {
+      return this._persistentRequest(event, method, timeoutMs, expect, signal);
+    }
+
+    // Fresh connection per request — more reliable than reuse
+    const relay = await this._openRelay();
+    if (signal && signal.aborted) {
+      try { relay.close(); } catch (_) {}
+      throw abortError(signal, { method });
+    }
+
+    return new Promise((resolve, reject) => {
+      const handle = this._responseHandler(method, expect, resolve, reject);
+      let finished = false;
+      const finish = () => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        stopAbort();
+        sub.close();
+        try { relay.close(); } catch (_) {}
+      };
+
+      const timer = setTimeout(() => {
+        finish();
+        handle.timeout(timeoutMs);
+      }, timeoutMs);
+      let stopAbort = () => {};
+
+      const filter = { kinds: [23195], '#e': [event.id] };
+      if (!expect) filter.limit = 1;
+
+      // Subscribe before publishing so a fast response can't slip past
+      const sub = relay.subscribe([filter], {
+        onevent: async (e) => {
+          if (await handle.event(e)) finish();
+        }
+      });
+      stopAbort = onAbort(signal, () => {
+        finish();
+        reject(abortError(signal, { method }));
+      });
+
+      relay.publish(event).catch((err) => {
+        if (finished) return;
+        finish();
+        reject(new NwcConnectionError('PUBLISH_FAILED', 'NWC publish failed: ' + (err && err.message || err), { method }));
+      });
+    });
+  }
+
+  // Settles a request promise from its response event(s).
+  // event(e) resolves true once the request is complete.
+  _responseHandler(method, expect, resolve, reject) {
+    if (!expect) {
+      return {
+        event: async (e) => {
+          try {
+            resolve(await this._decodeResponse(e, method));
+          } catch (err) {
+            reject(err);
+          }
+          return true;
+        },
+        timeout: (ms) => reject(new NwcTimeoutError(ms, { method }))
+      };
+    }
+
+    const results = new Map();
+    return {
+      event: async (e) => {
+        const dTag = e.tags.find(t => t[0] === 'd');
+        if (!dTag || !expect.includes(dTag[1]) || results.has(dTag[1])) return false;
+        try {
+          results.set(dTag[1], JSON.parse(await this._decrypt(e)));
+        } catch (err) {
+          results.set(dTag[1], {
+            failure: new NwcConnectionError('DECRYPT_FAILED', 'NWC decrypt failed: ' + err.message, { method })
+          });
+        }
+        if (results.size < expect.length) return false;
+        resolve(results);
+        return true;
+      },
+      timeout: () => resolve(results)
+    };
+  }
+
+  async _encrypt(plaintext, encryption) {
+    if (encryption === 'nip44_v2') {
+      return nip44.v2.encrypt(plaintext, this._getConversationKey());
+    }
+    return nip04.encrypt(this.secretBytes, this.walletPubkey, plaintext);
+  }
+
+  async _decrypt(e) {
+    // NIP-04 payloads carry an '?iv=' suffix; anything else is NIP-44
+    if (e.content.includes('?iv=')) {
+      return nip04.decrypt(this.secretBytes, e.pubkey, e.content);
+    }
+    return nip44.v2.decrypt(e.content, this._getConversationKey());
+  }
+
+  _getConversationKey() {
+    if (!this._conversationKey) {
+      this._conversationKey = nip44.v2.utils.getConversationKey(this.secretBytes, this.walletPubkey);
+    }
+    return this._conversationKey;
+  }
+
+  // Decrypt a kind 23195 response; throws on NWC-level errors
+  async _decodeResponse(e, method) {
+    let parsed;
+    try {
+      const decrypted = await this._decrypt(e);
+      parsed = JSON.parse(decrypted);
+    } catch (err) {
+      throw new NwcConnectionError('DECRYPT_FAILED', 'NWC decrypt failed: ' + err.message, { method });
+    }
+
+    if (parsed.error) {
+      throw new NwcError(parsed.error.code || 'OTHER', parsed.error.message, { method });
+    }
+    return parsed;
+  }
+
+  // ─── Notifications ───
+
+  _hasNotificationListeners() {
+    return NOTIFICATION_TYPES.some(type => this.listenerCount(type) > 0);
+  }
+
+  _startNotifications() {
+    if (this._closed) return;
+    this._connect()
+      .then((relay) => this._subscribeNotifications(relay))
+      .catch(() => this._scheduleReconnect());
+  }
+
+  _subscribeNotifications(relay) {
+    if (this._notificationRelay === relay && this._notificationSub) return;
+
+    this._notificationRelay = relay;
+    this._notificationSub = relay.subscribe(
+      [{
+        kinds: [23196, 23197],
+        authors: [this.walletPubkey],
+        '#p': [this.clientPubkey],
+        since: Math.floor(Date.now() / 1000)
+      }],
+      { onevent: (e) => { this._onNotification(e); } }
+    );
+  }
+
+  _stopNotificationsIfIdle() {
+    if (this._hasNotificationListeners()) return;
+
+    if (this._notificationSub) {
+      try { this._notificationSub.close(); } catch (_) {}
+    }
+    this._notificationSub = null;
+    this._notificationRelay = null;
+
+    // Per-request mode only kept the connection open for notifications
+    if (!this.persistent && this._relay) {
+      const relay = this._relay;
+      this._relay = null;
+      this._stopKeepalive();
+      try { relay.close(); } catch (_) {}
+    }
+  }
+
+  async _onNotification(e) {
+    let parsed;
+    try {
+      parsed = JSON.parse(await this._decrypt(e));
+    } catch (_) {
+      return; // Not for us, or garbled
+    }
+
+    const type = parsed.notification_type;
+    if (!NOTIFICATION_TYPES.includes(type) || !parsed.notification) return;
+
+    // Services that speak both schemes send each notification twice
+    const key = `${type}:${parsed.notification.payment_hash}`;
+    if (this._seenNotifications.has(key)) return;
+    this._seenNotifications.add(key);
+    if (this._seenNotifications.size > 1000) {
+      this._seenNotifications.delete(this._seenNotifications.values().next().value);
+    }
+
+    this.emit(type, normalizeTransaction(parsed.notification));
+  }
+
+  // ─── Capability discovery ───
+
+  // Info for request building. A failed fetch falls back to NIP-04 with
+  // unknown methods, and isn't cached so the next request tries again.
+  async _capabilities() {
+    try {
+      return await this.getInfo();
+    } catch (_) {
+      return { ...parseInfoEvent(null), encryption: 'nip04' };
+    }
+  }
+
+  async _fetchInfo(timeoutMs) {
+    const relay = this.persistent ? await this._connect() : await this._openRelay();
+
+    const event = await new Promise((resolve) => {
+      let latest = null;
+      let sub = null;
+      const done = () => {
+        clearTimeout(timer);
+        if (sub) sub.close();
+        resolve(latest);
+      };
+      const timer = setTimeout(done, timeoutMs);
+
+      sub = relay.subscribe(
+        [{ kinds: [13194], authors: [this.walletPubkey], limit: 1 }],
+        {
+          onevent: (e) => {
+            if (!latest || e.created_at > latest.created_at) latest = e;
+          },
+          oneose: done
+        }
+      );
+    });
+
+    if (!this.persistent) {
+      try { relay.close(); } catch (_) {}
+    }
+
+    const info = parseInfoEvent(event);
+    info.encryption = info.encryptions.includes('nip44_v2') ? 'nip44_v2' : 'nip04';
+    return info;
+  }
+
+  async _openRelay() {
+    try {
+      return await Relay.connect(this.relayUrl);
+    } catch (err) {
+      throw new NwcConnectionError('CONNECT_FAILED', `Could not connect to ${this.relayUrl}: ${err && err.message || err}`, {
+        relay: this.relayUrl
+      });
+    }
+  }
+
+  // ─── Persistent connection ───
+
+  async _persistentRequest(event, method, timeoutMs, expect, signal) {
+    const relay = await this._connect();
+    throwIfAborted(signal, { method });
+
+    return new Promise((resolve, reject) => {
+      const handle = this._responseHandler(method, expect, resolve, reject);
+      const pending = { handle, reject, timer: null, stopAbort: null };
+      // Once settled, whichever way, the request leaves _pending
+      const settle = () => {
+        if (!this._pending.has(event.id)) return false;
+        clearTimeout(pending.timer);
+        pending.stopAbort();
+        this._pending.delete(event.id);
+        return true;
+      };
+      pending.timer = setTimeout(() => {
+        if (settle()) handle.timeout(timeoutMs);
+      }, timeoutMs);
+
+      // Register before publishing so a fast response can't slip past
+      this._pending.set(event.id, pending);
+      pending.stopAbort = onAbort(signal, () => {
+        if (settle()) reject(abortError(signal, { method }));
+      });
+
+      relay.publish(event).catch((err) => {
+        if (settle()) {
+          reject(new NwcConnectionError('PUBLISH_FAILED', 'NWC publish failed: ' + (err && err.message || err), { method }));
+        }
+      });
+    });
+  }
+
+  // Route a response from the shared subscription to its caller
+  async _onResponse(e) {
+    const eTag = e.tags.find(t => t[0] === 'e');
+    const pending = eTag && this._pending.get(eTag[1]);
+    if (!pending) return; // Stale, or meant for another client on this key
+
+    if (await pending.handle.event(e)) {
+      this._pending.delete(eTag[1]);
+      clearTimeout(pending.timer);
+      pending.stopAbort();
+    }
+  }
+
+  // Open (or reuse) the shared relay connection and response subscription
+  _connect() {
+    if (this._relay && this._relay.connected) return Promise.resolve(this._relay);
+    if (this._connecting) return this._connecting;
+
+    this._connecting = (async () => {
+      const relay = await this._openRelay();
+      if (this._closed) {
+        try { relay.close(); } catch (_) {}
+        throw new NwcConnectionError('CLOSED', 'Wallet is closed');
+      }
+
+      relay.onclose = () => {
+        if (this._relay !== relay) return;
+        this._relay = null;
+        this._notificationSub = null;
+        this._notificationRelay = null;
+        this._stopKeepalive();
+        if (!this._closed && this._wantsConnection()) this._scheduleReconnect();
+      };
+
+      relay.subscribe(
+        [{
+          kinds: [23195],
+          authors: [this.walletPubkey],
+          '#p': [this.clientPubkey],
+          since: Math.floor(Date.now() / 1000) - 60
+        }],
+        { onevent: (e) => { this._onResponse(e); } }
+      );
+
+      this._relay = relay;
+      this._reconnectAttempts = 0;
+      this._startKeepalive();
+      if (this._hasNotificationListeners()) this._subscribeNotifications(relay);
+      return relay;
+    })();
+
+    this._connecting.then(
+      () => { this._connecting = null; },
+      () => { this._connecting = null; }
+    );
+    return this._connecting;
+  }
+
+  // The shared connection stays up in persistent mode, or while anyone
+  // listens for notifications
+  _wantsConnection() {
+    return this.persistent || this._hasNotificationListeners();
+  }
+
+  _scheduleReconnect() {
+    if (this._reconnectTimer || this._closed) return;
+
+    const delay = Math.min(
+      this.reconnectDelayMs * 2 ** this._reconnectAttempts,
+      this.maxReconnectDelayMs
+    );
+    this._reconnectAttempts++;
+
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      this._connect().catch(() => this._scheduleReconnect());
+    }, delay);
+    this._reconnectTimer.unref();
+  }
+
+  // Probe the relay with a cheap REQ; a relay that doesn't answer with
+  // EOSE in time is treated as dead and the connection is recycled.
+  _startKeepalive() {
+    this._stopKeepalive();
+    this._keepaliveTimer = setInterval(() => {
+      const relay = this._relay;
+      if (!relay) return;
+
+      let answered = false;
+      const probe = relay.subscribe(
+        [{ kinds: [13194], authors: [this.walletPubkey], limit: 1 }],
+        {
+          oneose: () => {
+            answered = true;
+            probe.close();
+          }
+        }
+      );
+
+      const check = setTimeout(() => {
+        if (answered || this._relay !== relay) return;
+        try { probe.close(); } catch (_) {}
+        try { relay.close(); } catch (_) {}
+        // Some relay versions don't fire onclose on a manual close
+        if (this._relay === relay) relay.onclose();
+      }, Math.min(this.keepaliveMs, 10000));
+      check.unref();
+    }, this.keepaliveMs);
+    this._keepaliveTimer.unref();
+  }
+
+  _stopKeepalive() {
+    if (this._keepaliveTimer) {
+      clearInterval(this._keepaliveTimer);
+      this._keepaliveTimer = null;
+    }
+  }
+
+  // ─── Public API ───
+
+  /**
+   * Get the wallet service's capabilities from its kind 13194 info event.
+   * Fetched once and cached.
+   * @param {object} [opts]
+   * @param {boolean} [opts.refresh=false] - Re-fetch instead of using the cache
+   * @param {number} [opts.timeoutMs] - Fetch timeout (default infoTimeoutMs)
+   * @returns {Promise<{ methods: string[]|null, notifications: string[], encryptions: string[], encryption: string }>}
+   *   `methods` is null when the service publishes no info event.
+   */
+  async getInfo(opts = {}) {
+    if (this._info && !opts.refresh) return this._info;
+
+    if (!this._infoPromise) {
+      this._infoPromise = this._fetchInfo(opts.timeoutMs || this.infoTimeoutMs)
+        .then((info) => { this._info = info; return info; })
+        .finally(() => { this._infoPromise = null; });
+    }
+    return this._infoPromise;
+  }
+
+  /**
+   * Check whether the wallet service supports an NWC method.
+   * Services without an info event are assumed to support everything.
+   * @param {string} method - NIP-47 method name, e.g. 'lookup_invoice'
+   * @returns {Promise<boolean>}
+   */
+  async supports(method) {
+    const info = await this.getInfo();
+    return !info.methods || info.methods.includes(method);
+  }
+
+  /**
+   * Get wallet balance. balanceSats is rounded down; balanceMsats is exact.
+   * @param {object} [opts]
+   * @param {number} [opts.timeoutMs]
+   * @param {AbortSignal} [opts.signal] - Stop waiting for the answer
+   */
+  async getBalance(opts = {}) {
+    const timeoutMs = opts.timeoutMs || 15000;
+    const res = await this._nwcRequest('get_balance', {}, timeoutMs, { signal: opts.signal });
+    // NWC returns balance in millisats
+    const balanceMsats = res.result?.balance || 0;
+    return amountFields(balanceMsats, 'balance');
+  }
+
+  /**
+   * Create a Lightning invoice (get paid).
+   * @param {object} opts
+   * @param {number} opts.amountSats - Amount in satoshis
+   * @param {number} [opts.amountMsats] - Amount in millisats, instead of amountSats
+   * @param {string} [opts.description] - Invoice description
+   * @param {string} [opts.descriptionHash] - Hex SHA-256 to commit to instead of a description
+   * @param {number} [opts.timeoutMs] - Request timeout
+   * @param {AbortSignal} [opts.signal] - Stop waiting for the invoice
+   * @param {string} [opts.counterparty] - Ledger: who is paying (also opts.purpose, opts.tags,
+   *   opts.metadata; opts.ledger: false leaves the invoice out)
+   */
+  async createInvoice(opts = {}) {
+    // Accept both amountSats and amount for convenience
+    const amountMsats = opts.amountMsats !== undefined || opts.amountSats !== undefined
+      ? readMsats(opts)
+      : readMsats({ amountSats: opts.amount });
+    if (!amountMsats || amountMsats <= 0) {
+      throw new ValidationError('INVALID_AMOUNT', 'amountSats is required and must be positive');
+    }
+
+    const params = {
+      amount: amountMsats, // NWC uses millisats
+    };
+    if (opts.description) params.description = opts.description;
+    if (opts.descriptionHash) params.description_hash = opts.descriptionHash;
+    if (opts.expiry) params.expiry = opts.expiry;
+
+    const timeoutMs = opts.timeoutMs || 15000;
+    const res = await this._nwcRequest('make_invoice', params, timeoutMs, { signal: opts.signal });
+
+    const invoice = {
+      invoice: res.result?.invoice,
+      paymentHash: res.result?.payment_hash,
+      description: res.result?.description || opts.description || null,
+      ...amountFields(amountMsats)
+    };
+    await this._recordInvoice(invoice, amountMsats, opts);
+    return invoice;
+  }
+
+  // Book an issued invoice and remember its fields for the receipt
+  async _recordInvoice(invoice, amountMsats, opts, extra = {}) {
+    if (!this.ledger || opts.ledger === false) return;
+    const fields = entryFields(opts);
+    if (invoice.paymentHash) {
+      this._ledgerInvoices.set(invoice.paymentHash, { amountMsats, fields });
+      if (this._ledgerInvoices.size > 10000) {
+        this._ledgerInvoices.delete(this._ledgerInvoices.keys().next().value);
+      }
+    }
+    await this._record({
+      type: 'invoice', direction: 'in', status: 'open',
+      amountMsats, paymentHash: invoice.paymentHash, description: invoice.description, ...extra, ...fields
+    });
+  }
+
+  /**
+   * Pay a Lightning invoice.
+   *
+   * Guarded against double payment: concurrent calls for the same invoice
+   * share one request, and a payment whose outcome was never learned
+   * (timeout, dropped connection) is checked with lookup_invoice instead
+   * of being sent again.
+   *
+   * @param {string} invoice - Bolt11 invoice string
+   * @param {object} [opts]
+   * @param {number} [opts.timeoutMs] - Request timeout (default 30s for payments)
+   * @param {boolean} [opts.safe=false] - Resolve with the outcome instead of
+   *   throwing: { status: 'settled' | 'failed' | 'pending', preimage, paymentHash, error }
+   * @param {number} [opts.retries=0] - Resend after a timeout, but only once a
+   *   lookup shows the earlier attempt failed or never arrived
+   * @param {number} [opts.amountSats] - Amount to pay on a zero-amount invoice
+   * @param {number} [opts.expectedAmountSats] - Refuse unless the invoice is for exactly this
+   * @param {number} [opts.maxAmountSats] - Refuse invoices for more than this
+   *   (each amount option also takes msats: amountMsats, expectedAmountMsats, maxAmountMsats)
+   * @param {AbortSignal} [opts.signal] - Stop waiting. A payment already sent may
+   *   still settle, so the AbortError then has details.pending and details.paymentHash
+   *
+   * Invoices are checked before anything is sent: they must decode with a
+   * valid signature, be unexpired and be for the wallet's network.
+   *
+   * With a ledger, every payment that reaches the service is recorded with
+   * opts.counterparty, opts.purpose, opts.tags and opts.metadata.
+   */
+  async payInvoice(invoice, opts = {}) {
+    if (!invoice || typeof invoice !== 'string') {
+      throw new InvoiceError('INVALID_INVOICE', 'invoice is required');
+    }
+
+    const timeoutMs = opts.timeoutMs || 30000; // Longer default for payments
+    const decoded = decodePayable(invoice);
+    const amountMsats = checkInvoice(decoded, opts);
+    const reservation = await this._authorize(() => ({
+      type: 'invoice', invoice, ...amountFields(amountMsats), pubkey: decoded.payeeNodeKey
+    }));
+
+    // Needs a round trip, so only once the offline checks have passed
+    try {
+      checkInvoiceNetwork(decoded, await this._walletNetwork());
+    } catch (err) {
+      reservation.release();
+      throw err;
+    }
+
+    const outcome = await this._guardedPay(invoice, {
+      timeoutMs,
+      retries: opts.retries,
+      amountMsats: decoded.amountMsats === null ? amountMsats : undefined,
+      signal: opts.signal
+    });
+    if (outcome.status === 'failed') reservation.release();
+    await this._recordPayment(outcome, amountMsats, opts, { destination: decoded.payeeNodeKey });
+    return { ...(opts.safe ? outcome : paymentOrThrow(outcome, opts.signal)), ...amountFields(amountMsats) };
+  }
+
+  // ─── Payment guard ───
+
+  // Network the wallet pays on: opts.network, else get_info's answer.
+  // Null when it can't be learned, which skips the network check. A failed
+  // lookup isn't cached: the next payment asks again.
+  async _walletNetwork() {
+    if (this.network) return this.network;
+    if (!this._networkPromise) {
+      this._networkPromise = (async () => {
+        if (!(await this.supports('get_info'))) return null;
+        const res = await this._nwcRequest('get_info', {}, this.infoTimeoutMs);
+        const network = res.result?.network || null;
+        return NETWORK_ALIASES[network] || network;
+      })().catch(() => {
+        this._networkPromise = null;
+        return null;
+      });
+    }
+    return this._networkPromise;
+  }
+
+  // pay_invoice without policy checks. Never throws; resolves with
+  // { status, preimage, paymentHash, error }. `amountMsats` is only sent
+  // for zero-amount invoices. Concurrent callers share one run, and each
+  // one's abort stops only its own wait, leaving the payment pending.
+  _guardedPay(invoice, { timeoutMs, retries = 0, amountMsats, signal } = {}) {
+    let paymentHash = null;
+    try {
+      paymentHash = decodeBolt11(invoice).paymentHash;
+    } catch (_) {
+      // Let the wallet service reject it
+    }
+
+    let run = paymentHash ? this._inFlight.get(paymentHash) : null;
+    if (!run) {
+      const params = amountMsats ? { invoice, amount: amountMsats } : { invoice };
+      run = sharedRun(runSignal => this._payAttempts(params, paymentHash, timeoutMs, retries, runSignal));
+      if (paymentHash) {
+        this._inFlight.set(paymentHash, run);
+        run.promise.then(() => this._inFlight.delete(paymentHash));
+      }
+    }
+    return run.join(signal, paymentHash);
+  }
+
+  async _payAttempts(params, paymentHash, timeoutMs, retries, signal) {
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      // An earlier attempt may have gone through; never resend blind
+      if (paymentHash && this._uncertain.has(paymentHash)) {
+        const known = await this._lookupPayment(paymentHash, timeoutMs, signal);
+        if (known.status === 'settled') return this._paymentOutcome('settled', paymentHash, known.preimage);
+        if (known.status !== 'failed' && known.status !== 'unknown') {
+          return this._paymentOutcome('pending', paymentHash, null, lastError);
+        }
+      }
+
+      try {
+        const res = await this._nwcRequest('pay_invoice', params, timeoutMs, { signal });
+        return this._paymentOutcome(
+          'settled', res.result?.payment_hash || paymentHash, res.result?.preimage || null
+        );
+      } catch (err) {
+        // The service answered: the payment definitely didn't happen
+        if (err instanceof NwcError) {
+          return this._paymentOutcome('failed', paymentHash, null, err);
+        }
+        lastError = err;
+        if (!paymentHash) return this._paymentOutcome('pending', null, null, lastError);
+        this._markUncertain(paymentHash);
+        // Aborted: the request may be out, so it's pending like a timeout
+        if (err instanceof AbortError) return this._paymentOutcome('pending', paymentHash, null, err);
+      }
+    }
+
+    return this._resolveUncertain(paymentHash, lastError, timeoutMs, signal);
+  }
+
+  // Look up a payment sent without a definite answer
+  async _resolveUncertain(paymentHash, error, timeoutMs, signal) {
+    this._markUncertain(paymentHash);
+    const known = await this._lookupPayment(paymentHash, timeoutMs, signal);
+    if (known.status === 'settled') return this._paymentOutcome('settled', paymentHash, known.preimage);
+    if (known.status === 'failed') return this._paymentOutcome('failed', paymentHash, null, error);
+    return this._paymentOutcome('pending', paymentHash, null, error);
+  }
+
+  // Build a payment outcome; a definite one clears the uncertain mark
+  _paymentOutcome(status, paymentHash, preimage = null, error = null) {
+    if (status !== 'pending') this._uncertain.delete(paymentHash);
+    return { status, preimage, paymentHash, error };
+  }
+
+  _markUncertain(paymentHash) {
+    this._uncertain.add(paymentHash);
+    if (this._uncertain.size > 1000) {
+      this._uncertain.delete(this._uncertain.values().next().value);
+    }
+  }
+
+  // Status of an outgoing payment: settled | failed | pending |
+  // unknown (service has no record) | null (lookup itself failed)
+  async _lookupPayment(paymentHash, timeoutMs = 10000, signal) {
+    try {
+      const res = await this._nwcRequest(
+        'lookup_invoice', { payment_hash: paymentHash }, Math.min(timeoutMs, 10000), { signal }
+      );
+      const tx = normalizeTransaction(res.result || {});
+      if (tx.preimage || tx.state === 'settled') return { status: 'settled', preimage: tx.preimage };
+      if (tx.state === 'failed' || tx.state === 'expired') return { status: 'failed' };
+      return { status: 'pending' };
+    } catch (err) {
+      if (err instanceof NwcError && err.code === 'NOT_FOUND') return { status: 'unknown' };
+      return { status: null };
+    }
+  }
+
+  // ─── Ledger ───
+
+  // Append to the ledger. A failed write must not fail a payment that went through.
+  async _record(entry) {
+    if (!this.ledger) return;
+    try {
+      await this.ledger.record(entry);
+    } catch (err) {
+      this.emit('warning', 'Ledger write failed: ' + err.message);
+    }
+  }
+
+  _recordPayment(outcome, amountMsats, opts, extra) {
+    if (opts.ledger === false) return null;
+    return this._record({
+      type: 'payment', direction: 'out', status: outcome.status,
+      amountMsats, paymentHash: outcome.paymentHash,
+      error: outcome.error ? outcome.error.message : null,
+      ...extra,
+      ...entryFields(opts)
+    });
+  }
+
+  // Book a keysend from its result or error. Without an answer it may
+  // still settle, so a timeout or abort is pending.
+  _recordKeysend(params, opts, result, error = null) {
+    const status = result ? 'settled' : keysendStatus(error);
+    return this._recordPayment(
+      { status, paymentHash: result ? result.paymentHash : preimageHash(params.preimage), error },
+      params.amount, opts, { destination: params.pubkey }
+    );
   }
 
-  return { walletPubkey, relay, secret };
-}
+  // ─── Spending policy ───
 
-// ─── Wallet class ───
+  // Check an outgoing payment against the policy. `describe` builds the
+  // payment description lazily so wallets without a policy skip the work.
+  async _authorize(describe) {
+    if (!this.policy) return { release() {} };
+    return this.policy.authorize(describe());
+  }
 
-class NWCWallet {
-  constructor(nwcUrl) {
-    const parsed = parseNwcUrl(nwcUrl);
-    this.walletPubkey = parsed.walletPubkey;
-    this.relayUrl = parsed.relay;
-    this.secret = parsed.secret;
-    this.secretBytes = Uint8Array.from(Buffer.from(parsed.secret, 'hex'));
-    this.clientPubkey = getPublicKey(this.secretBytes);
+  // Run a payment; hand the reserved amount back to the policy only when
+  // the payment definitely failed. A timeout or abort may still have gone through.
+  async _spend(reservation, pay) {
+    try {
+      return await pay();
+    } catch (err) {
+      if (!(err instanceof NwcTimeoutError || err instanceof AbortError)) reservation.release();
+      throw err;
+    }
+  }
 
-    this._closed = false;
+  /**
+   * Wait for an invoice to be paid.
+   * Resolves from a payment_received notification when the wallet service
+   * advertises them; otherwise polls lookup_invoice. With a ledger, the
+   * first time an invoice of this wallet is seen paid it is recorded as a
+   * receipt, with the ledger fields it was created with.
+   * @param {string} paymentHash - Payment hash to check
+   * @param {object} [opts]
+   * @param {number} [opts.timeoutMs] - Total wait timeout (default 60s)
+   * @param {number} [opts.pollIntervalMs] - Poll interval (default 2s)
+   * @param {AbortSignal} [opts.signal] - Stop waiting; rejects with AbortError
+   */
+  async waitForPayment(paymentHash, opts = {}) {
+    const result = await this._waitForSettled(paymentHash, opts);
+    if (result.paid) await this._recordReceipt(paymentHash);
+    return result;
   }
 
-  // ─── Core NWC request ───
-  // Uses a fresh relay connection per request for reliability.
-  // NWC relays (especially Alby) handle connection reuse poorly.
+  // Book the first sighting of one of this wallet's invoices paid
+  async _recordReceipt(paymentHash) {
+    const issued = this._ledgerInvoices.get(paymentHash);
+    if (!issued) return;
+    this._ledgerInvoices.delete(paymentHash);
+    await this._record({
+      type: 'receipt', direction: 'in', status: 'settled',
+      amountMsats: issued.amountMsats, paymentHash, ...issued.fields
+    });
+  }
 
-  async _nwcRequest(method, params = {}, timeoutMs = 15000) {
-    const payload = JSON.stringify({ method, params });
-    const encrypted = await nip04.encrypt(this.secretBytes, this.walletPubkey, payload);
+  async _waitForSettled(paymentHash, opts) {
+    if (!paymentHash) throw new Error('paymentHash is required');
 
-    const event = finalizeEvent({
-      kind: 23194,
-      created_at: Math.floor(Date.now() / 1000),
-      tags: [['p', this.walletPubkey]],
-      content: encrypted
-    }, this.secretBytes);
+    const timeoutMs = opts.timeoutMs || 60000;
+    const pollIntervalMs = opts.pollIntervalMs || 2000;
+    const signal = opts.signal;
+    const start = Date.now();
+    throwIfAborted(signal, { paymentHash });
 
-    // Fresh connection per request — more reliable than reuse
-    const relay = await Relay.connect(this.relayUrl);
-    await relay.publish(event);
+    const info = await this._capabilities();
+    if (info.notifications.includes('payment_received')) {
+      return this._waitForNotification(paymentHash, timeoutMs, signal);
+    }
 
-    return new Promise((resolve, reject) => {
-      const timer = setTimeout(() => {
-        sub.close();
-        try { relay.close(); } catch (_) {}
-        reject(new Error(`NWC request timed out after ${timeoutMs}ms`));
-      }, timeoutMs);
+    while (Date.now() - start < timeoutMs) {
+      const settled = await this._lookupSettled(paymentHash, signal);
+      if (settled) return settled;
 
-      const sub = relay.subscribe(
-        [{ kinds: [23195], '#e': [event.id], limit: 1 }],
-        {
-          onevent: async (e) => {
-            clearTimeout(timer);
-            try {
-              const decrypted = await nip04.decrypt(this.secretBytes, e.pubkey, e.content);
-              const parsed = JSON.parse(decrypted);
-
-              if (parsed.error) {
-                reject(new Error(`NWC error (${parsed.error.code}): ${parsed.error.message}`));
-              } else {
-                resolve(parsed);
-              }
-            } catch (err) {
-              reject(new Error('NWC decrypt failed: ' + err.message));
-            }
-            sub.close();
-            try { relay.close(); } catch (_) {}
-          }
-        }
-      );
-    });
+      // Wait before next poll
+      await sleep(pollIntervalMs, signal);
+    }
+
+    return { paid: false, preimage: null, settledAt: null };
   }
 
-  // ─── Public API ───
+  async _waitForNotification(paymentHash, timeoutMs, signal) {
+    let listener;
+    let timer;
+    let stopAbort;
+    const notified = new Promise((resolve, reject) => {
+      listener = (tx) => {
+        if (tx.paymentHash === paymentHash) resolve(tx);
+      };
+      this.on('payment_received', listener);
+      timer = setTimeout(() => resolve(null), timeoutMs);
+      stopAbort = onAbort(signal, () => reject(abortError(signal, { paymentHash })));
+    });
+    notified.catch(() => {}); // awaited below, after the early lookup
+
+    try {
+      // It may have been paid before the subscription was up
+      const early = await this._lookupSettled(paymentHash, signal).catch(rethrowAbort);
+      if (early) return early;
+
+      const tx = await notified;
+      if (tx) return { paid: true, preimage: tx.preimage, settledAt: tx.settledAt };
+
+      // One last check in case the notification was lost
+      return (await this._lookupSettled(paymentHash, signal).catch(rethrowAbort)) ||
+        { paid: false, preimage: null, settledAt: null };
+    } finally {
+      clearTimeout(timer);
+      stopAbort();
+      this.removeListener('payment_received', listener);
+    }
+  }
 
-  /**
-   * Get wallet balance in sats.
-   */
-  async getBalance(opts = {}) {
-    const timeoutMs = opts.timeoutMs || 15000;
-    const res = await this._nwcRequest('get_balance', {}, timeoutMs);
-    // NWC returns balance in millisats
-    const balanceMsats = res.result?.balance || 0;
-    return {
-      balanceSats: Math.round(balanceMsats / 1000),
-      balanceMsats
-    };
+  // One lookup_invoice round; null when unpaid or the lookup failed
+  async _lookupSettled(paymentHash, signal) {
+    try {
+      const res = await this._nwcRequest('lookup_invoice', { payment_hash: paymentHash }, 10000, { signal });
+      // Check if settled
+      if (res.result?.settled_at || res.result?.preimage) {
+        return {
+          paid: true,
+          preimage: res.result.preimage || null,
+          settledAt: res.result.settled_at || null
+        };
+      }
+    } catch (err) {
+      if (err instanceof NwcError && err.code === 'NOT_IMPLEMENTED') {
+        throw new NwcError('NOT_IMPLEMENTED', 'lookup_invoice not supported by this wallet', { method: 'lookup_invoice' });
+      }
+      if (err instanceof AbortError) throw err;
+      // Other errors: caller retries
+    }
+    return null;
   }
 
+  // ─── Hold invoices ───
+  // The payer's funds are locked in an HTLC once the invoice is paid
+  // ('accepted'); they only reach this wallet when it settles with the
+  // preimage, and go back to the payer if it cancels instead.
+
   /**
-   * Create a Lightning invoice (get paid).
+   * Create a hold invoice (NWC make_hold_invoice) for a payment hash whose
+   * preimage only you know.
    * @param {object} opts
-   * @param {number} opts.amountSats - Amount in satoshis
+   * @param {number} opts.amountSats - Amount in satoshis (or amountMsats)
+   * @param {string} opts.paymentHash - Hex SHA-256 of your preimage
    * @param {string} [opts.description] - Invoice description
+   * @param {string} [opts.descriptionHash] - Hex SHA-256 to commit to instead of a description
+   * @param {number} [opts.expiry] - Seconds until the invoice can no longer be paid
+   * @param {number} [opts.minCltvExpiryDelta] - Blocks the held payment must leave to settle
    * @param {number} [opts.timeoutMs] - Request timeout
+   * @param {AbortSignal} [opts.signal] - Stop waiting for the invoice
+   * @param {string} [opts.counterparty] - Ledger fields, as for createInvoice; the
+   *   receipt is recorded when the invoice is settled
+   * @returns {Promise<{ invoice, paymentHash, description, amountSats, amountMsats }>}
    */
-  async createInvoice(opts = {}) {
-    // Accept both amountSats and amount for convenience
-    const sats = opts.amountSats || opts.amount;
-    if (!sats || sats <= 0) {
-      throw new Error('amountSats is required and must be positive');
+  async createHoldInvoice(opts = {}) {
+    const amountMsats = readMsats(opts);
+    if (!amountMsats || amountMsats <= 0) {
+      throw new ValidationError('INVALID_AMOUNT', 'amountSats is required and must be positive');
+    }
+    if (!isHex32(opts.paymentHash)) {
+      throw new ValidationError('INVALID_ARGUMENT', 'paymentHash must be 32 bytes of hex', { paymentHash: opts.paymentHash });
     }
 
-    const params = {
-      amount: sats * 1000, // NWC uses millisats
-    };
+    const params = { amount: amountMsats, payment_hash: opts.paymentHash.toLowerCase() };
     if (opts.description) params.description = opts.description;
+    if (opts.descriptionHash) params.description_hash = opts.descriptionHash;
     if (opts.expiry) params.expiry = opts.expiry;
+    if (opts.minCltvExpiryDelta) params.min_cltv_expiry_delta = opts.minCltvExpiryDelta;
 
-    const timeoutMs = opts.timeoutMs || 15000;
-    const res = await this._nwcRequest('make_invoice', params, timeoutMs);
-
-    return {
+    const res = await this._nwcRequest('make_hold_invoice', params, opts.timeoutMs || 15000, { signal: opts.signal });
+    const invoice = {
       invoice: res.result?.invoice,
-      paymentHash: res.result?.payment_hash,
+      paymentHash: res.result?.payment_hash || params.payment_hash,
       description: res.result?.description || opts.description || null,
-      amountSats: opts.amountSats
+      ...amountFields(amountMsats)
     };
+    await this._recordInvoice(invoice, amountMsats, opts, { hold: true });
+    return invoice;
   }
 
   /**
-   * Pay a Lightning invoice.
-   * @param {string} invoice - Bolt11 invoice string
+   * Settle a held payment (NWC settle_hold_invoice): the funds become this
+   * wallet's and the payer learns the preimage.
+   * @param {string} preimage - Hex preimage of the hold invoice's payment hash
    * @param {object} [opts]
-   * @param {number} [opts.timeoutMs] - Request timeout (default 30s for payments)
+   * @param {number} [opts.timeoutMs] - Request timeout
+   * @param {AbortSignal} [opts.signal] - Stop waiting; the settle may still go through
+   * @returns {Promise<{ paymentHash: string, settled: true }>}
    */
-  async payInvoice(invoice, opts = {}) {
-    if (!invoice || typeof invoice !== 'string') {
-      throw new Error('invoice is required');
-    }
-
-    const timeoutMs = opts.timeoutMs || 30000; // Longer default for payments
-    const res = await this._nwcRequest('pay_invoice', { invoice }, timeoutMs);
+  async settleHoldInvoice(preimage, opts = {}) {
+    if (!isHex32(preimage)) throw new ValidationError('INVALID_ARGUMENT', 'preimage must be 32 bytes of hex');
+    const paymentHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+    await this._nwcRequest(
+      'settle_hold_invoice', { preimage: preimage.toLowerCase() }, opts.timeoutMs || 15000, { signal: opts.signal }
+    );
+    await this._recordReceipt(paymentHash);
+    return { paymentHash, settled: true };
+  }
 
-    return {
-      preimage: res.result?.preimage,
-      paymentHash: res.result?.payment_hash || null
-    };
+  /**
+   * Cancel a hold invoice (NWC cancel_hold_invoice). A held payment goes
+   * back to the payer; an unpaid invoice can no longer be paid.
+   * @param {string} paymentHash
+   * @param {object} [opts]
+   * @param {number} [opts.timeoutMs] - Request timeout
+   * @param {AbortSignal} [opts.signal] - Stop waiting; the cancel may still go through
+   * @returns {Promise<{ paymentHash: string, cancelled: true }>}
+   */
+  async cancelHoldInvoice(paymentHash, opts = {}) {
+    if (!isHex32(paymentHash)) throw new ValidationError('INVALID_ARGUMENT', 'paymentHash must be 32 bytes of hex', { paymentHash });
+    paymentHash = paymentHash.toLowerCase();
+    await this._nwcRequest(
+      'cancel_hold_invoice', { payment_hash: paymentHash }, opts.timeoutMs || 15000, { signal: opts.signal }
+    );
+    this._ledgerInvoices.delete(paymentHash);
+    return { paymentHash, cancelled: true };
   }
 
   /**
-   * Wait for an invoice to be paid by polling lookup_invoice.
-   * @param {string} paymentHash - Payment hash to check
+   * Wait until a hold invoice is paid and its payment held ('accepted').
+   * Resolves from a hold_invoice_accepted notification when the wallet
+   * service advertises them; otherwise polls lookup_invoice. Also returns
+   * early once the invoice is settled, cancelled or expired.
+   * @param {string} paymentHash
    * @param {object} [opts]
    * @param {number} [opts.timeoutMs] - Total wait timeout (default 60s)
    * @param {number} [opts.pollIntervalMs] - Poll interval (default 2s)
+   * @param {AbortSignal} [opts.signal] - Stop waiting; rejects with AbortError
+   * @returns {Promise<{ held: boolean, state: string, paymentHash, amountSats, amountMsats, settleDeadline }>}
+   *   state is the invoice's last known state ('pending' on timeout)
    */
-  async waitForPayment(paymentHash, opts = {}) {
+  async waitForHeld(paymentHash, opts = {}) {
     if (!paymentHash) throw new Error('paymentHash is required');
 
     const timeoutMs = opts.timeoutMs || 60000;
     const pollIntervalMs = opts.pollIntervalMs || 2000;
-    const start = Date.now();
+    const signal = opts.signal;
+    const deadline = Date.now() + timeoutMs;
+    throwIfAborted(signal, { paymentHash });
+    const heldResult = (tx, state) => ({
+      held: state === 'accepted',
+      state,
+      paymentHash,
+      ...amountFields(tx ? tx.amountMsats : 0),
+      settleDeadline: tx ? tx.settleDeadline : null
+    });
 
-    while (Date.now() - start < timeoutMs) {
-      try {
-        const res = await this._nwcRequest('lookup_invoice', { payment_hash: paymentHash }, 10000);
-        // Check if settled
-        if (res.result?.settled_at || res.result?.preimage) {
-          return {
-            paid: true,
-            preimage: res.result.preimage || null,
-            settledAt: res.result.settled_at || null
-          };
-        }
-      } catch (err) {
-        // lookup_invoice might not be supported — continue polling
-        if (err.message.includes('NOT_IMPLEMENTED')) {
-          throw new Error('lookup_invoice not supported by this wallet');
-        }
-        // Other errors: retry
+    const info = await this._capabilities();
+    let listener = null;
+    const notified = info.notifications.includes('hold_invoice_accepted')
+      ? new Promise((resolve) => {
+        listener = (tx) => {
+          if (tx.paymentHash === paymentHash) resolve(tx);
+        };
+        this.on('hold_invoice_accepted', listener);
+      })
+      : null;
+
+    try {
+      for (;;) {
+        const tx = await this._lookupTransaction(paymentHash, signal);
+        if (tx && tx.state !== 'pending') return heldResult(tx, tx.state);
+
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) return heldResult(tx, 'pending');
+
+        // With notifications, look again only when time is up
+        const tick = sleep(notified ? remaining : Math.min(pollIntervalMs, remaining), signal)
+          .then(() => null);
+        const accepted = await (notified ? Promise.race([notified, tick]) : tick);
+        if (accepted) return heldResult(accepted, 'accepted');
       }
+    } finally {
+      if (listener) this.removeListener('hold_invoice_accepted', listener);
+    }
+  }
 
-      // Wait before next poll
-      await new Promise(r => setTimeout(r, pollIntervalMs));
+  /**
+   * Look up an invoice or payment by hash (NWC lookup_invoice). Unlike the
+   * wait helpers this makes one request and lets its errors through.
+   * @param {string} paymentHash
+   * @param {object} [opts]
+   * @param {number} [opts.timeoutMs] - Request timeout (default 10s)
+   * @param {AbortSignal} [opts.signal] - Stop waiting for the answer
+   * @returns {Promise<object>} The transaction in normalizeTransaction shape;
+   *   state is 'pending', 'accepted' (held), 'settled', 'expired' or 'failed'
+   */
+  async lookupInvoice(paymentHash, opts = {}) {
+    if (!paymentHash) throw new Error('paymentHash is required');
+    const res = await this._nwcRequest(
+      'lookup_invoice', { payment_hash: paymentHash }, opts.timeoutMs || 10000, { signal: opts.signal }
+    );
+    return normalizeTransaction(res.result || {});
+  }
+
+  // One lookup_invoice round as a normalized transaction; null when the
+  // lookup failed
+  async _lookupTransaction(paymentHash, signal) {
+    try {
+      return await this.lookupInvoice(paymentHash, { signal });
+    } catch (err) {
+      if (err instanceof NwcError && err.code === 'NOT_IMPLEMENTED') {
+        throw new NwcError('NOT_IMPLEMENTED', 'lookup_invoice not supported by this wallet', { method: 'lookup_invoice' });
+      }
+      if (err instanceof AbortError) throw err;
+      return null;
     }
+  }
 
-    return { paid: false, preimage: null, settledAt: null };
+  /**
+   * List past transactions (NWC list_transactions).
+   * @param {object} [opts]
+   * @param {number|Date} [opts.from] - Only transactions created at or after this time (unix seconds or Date)
+   * @param {number|Date} [opts.until] - Only transactions created at or before this time
+   * @param {number} [opts.limit] - Max transactions to return
+   * @param {number} [opts.offset] - Skip this many (newest first)
+   * @param {string} [opts.type] - 'incoming' or 'outgoing'
+   * @param {boolean} [opts.unpaid=false] - Include unpaid invoices
+   * @param {number} [opts.timeoutMs] - Request timeout
+   * @param {AbortSignal} [opts.signal] - Stop waiting for the list
+   * @returns {Promise<{ transactions: object[] }>} Transactions in normalizeTransaction shape
+   */
+  async listTransactions(opts = {}) {
+    if (opts.type && opts.type !== 'incoming' && opts.type !== 'outgoing') {
+      throw new Error("type must be 'incoming' or 'outgoing'");
+    }
+
+    const params = {};
+    if (opts.from !== undefined) params.from = toUnixSeconds(opts.from);
+    if (opts.until !== undefined) params.until = toUnixSeconds(opts.until);
+    if (opts.limit !== undefined) params.limit = opts.limit;
+    if (opts.offset !== undefined) params.offset = opts.offset;
+    if (opts.type) params.type = opts.type;
+    if (opts.unpaid) params.unpaid = true;
+
+    const timeoutMs = opts.timeoutMs || 15000;
+    const res = await this._nwcRequest('list_transactions', params, timeoutMs, { signal: opts.signal });
+
+    return {
+      transactions: (res.result?.transactions || []).map(normalizeTransaction)
+    };
+  }
+
+  /**
+   * Page through the full transaction history, newest first.
+   * Takes the same filters as listTransactions.
+   * @param {object} [opts]
+   * @param {number} [opts.pageSize=50] - Transactions per request
+   * @returns {AsyncGenerator<object>}
+   *
+   * @example
+   * for await (const tx of wallet.transactions({ type: 'incoming' })) {
+   *   console.log(tx.amountSats, tx.description);
+   * }
+   */
+  async *transactions(opts = {}) {
+    const pageSize = opts.pageSize || 50;
+    let offset = opts.offset || 0;
+
+    while (true) {
+      const { transactions } = await this.listTransactions({ ...opts, limit: pageSize, offset });
+      for (const tx of transactions) yield tx;
+      if (transactions.length < pageSize) return;
+      offset += transactions.length;
+    }
   }
 
   /**
    * Pay a Lightning address (LNURL-pay) like user@domain.com.
-   * Resolves the address to a bolt11 invoice, then pays it.
+   * Resolves the address to a bolt11 invoice, then pays it. The invoice
+   * is refused like payInvoice's when expired or for another network.
    * @param {string} address - Lightning address (user@domain)
    * @param {object} opts
-   * @param {number} opts.amountSats - Amount in satoshis (required)
+   * @param {number} opts.amountSats - Amount in satoshis (required, or amountMsats)
+   * @param {number} [opts.amountMsats] - Amount in millisats
    * @param {string} [opts.comment] - Optional payer comment
+   * @param {string} [opts.commentDropped='warn'] - 'warn' (emit 'warning', add to `warnings`) or
+   *   'error' (throw COMMENT_NOT_ALLOWED) when the address won't take the comment
+   * @param {object} [opts.payerData] - LUD-18 payer identity (see resolveLightningAddress)
    * @param {number} [opts.timeoutMs] - Payment timeout
-   * @returns {Promise<{ preimage, paymentHash, invoice, amountSats }>}
+   * @param {boolean} [opts.safe=false] - Resolve with the outcome instead of throwing (see payInvoice)
+   * @param {number} [opts.retries=0] - Guarded resends of the same invoice (see payInvoice)
+   * @param {AbortSignal} [opts.signal] - Stop resolving or waiting for the payment (see payInvoice)
+   * @param {string} [opts.counterparty] - Ledger counterparty (default the address); see payInvoice
+   * @returns {Promise<{ preimage, paymentHash, invoice, amountSats, amountMsats, successAction,
+   *   commentSent, payerData, warnings }>}
+   *   successAction is the service's LUD-09 action, or null; aes actions come
+   *   decrypted as `plaintext` once the preimage is known
    */
   async payAddress(address, opts = {}) {
     if (!address || !address.includes('@')) {
-      throw new Error('Invalid Lightning address: must be user@domain');
+      throw new LnurlError('INVALID_ADDRESS', 'Invalid Lightning address: must be user@domain', { address });
     }
-    if (!opts.amountSats || opts.amountSats <= 0) {
-      throw new Error('amountSats is required and must be positive');
+    const amountMsats = readMsats(opts);
+    if (!amountMsats || amountMsats <= 0) {
+      throw new ValidationError('INVALID_AMOUNT', 'amountSats is required and must be positive');
     }
 
-    const resolved = await resolveLightningAddress(address, opts.amountSats, opts.comment);
-    const payResult = await this.payInvoice(resolved.invoice, { timeoutMs: opts.timeoutMs || 30000 });
+    // Checked before resolving so denied domains are never contacted
+    const reservation = await this._authorize(() => ({
+      type: 'address',
+      address,
+      domain: address.split('@')[1],
+      ...amountFields(amountMsats)
+    }));
+
+    let resolved;
+    try {
+      resolved = await resolveLightningAddress(address, { amountMsats }, opts.comment, {
+        payerData: opts.payerData,
+        commentDropped: opts.commentDropped,
+        signal: opts.signal
+      });
+      // The service's invoice must also pass payInvoice's expiry and network checks
+      checkInvoice(decodePayable(resolved.invoice), {}, await this._walletNetwork());
+    } catch (err) {
+      reservation.release();
+      throw err;
+    }
+    for (const warning of resolved.warnings) this.emit('warning', warning);
+
+    // Retries reuse this invoice; resolving a fresh one could pay twice
+    const outcome = await this._guardedPay(resolved.invoice, {
+      timeoutMs: opts.timeoutMs || 30000, retries: opts.retries, signal: opts.signal
+    });
+    if (outcome.status === 'failed') reservation.release();
+    await this._recordPayment(outcome, amountMsats, { ...opts, counterparty: opts.counterparty || address }, { destination: address });
 
+    const payment = opts.safe ? outcome : paymentOrThrow(outcome, opts.signal);
     return {
-      preimage: payResult.preimage,
-      paymentHash: payResult.paymentHash,
+      ...payment,
       invoice: resolved.invoice,
-      amountSats: opts.amountSats
+      ...amountFields(amountMsats),
+      successAction: decodeSuccessAction(resolved.successAction, payment.preimage),
+      commentSent: resolved.commentSent,
+      payerData: resolved.payerData,
+      warnings: resolved.warnings
     };
   }
 
+  /**
+   * Zap a Nostr user or note (NIP-57).
+   *
+   * Finds the recipient's Lightning address (lud16 in their kind 0 profile,
+   * unless given), checks the address accepts zaps (`allowsNostr`), signs a
+   * kind 9734 zap request and pays the invoice for it. The invoice is checked
+   * like payAddress's, except its description hash must match the zap request.
+   * The recipient's server publishes the kind 9735 receipt to `relays`;
+   * check it with verifyZapReceipt().
+   *
+   * @param {object} opts
+   * @param {string} opts.recipientPubkey - Hex pubkey of the person being zapped
+   * @param {string} [opts.eventId] - Hex id of the note being zapped
+   * @param {number} opts.amountSats - Amount in satoshis (or amountMsats)
+   * @param {string[]} opts.relays - Relays for the receipt; also searched for the profile
+   * @param {string} [opts.comment] - Zap comment
+   * @param {string} [opts.lud16] - Recipient's Lightning address, skipping the profile lookup
+   * @param {string|Uint8Array} [opts.secretKey] - Nostr key that signs the zap request
+   *   (default a fresh key, i.e. an anonymous zap)
+   * @param {number} [opts.profileTimeoutMs=5000] - Per-relay wait for the profile
+   * @param {number} [opts.timeoutMs] - Payment timeout (default 30s)
+   * @param {boolean} [opts.safe=false] - Resolve with the outcome instead of throwing (see payInvoice)
+   * @param {number} [opts.retries=0] - Guarded resends of the same invoice (see payInvoice)
+   * @param {AbortSignal} [opts.signal] - Stop resolving or waiting for the payment (see payInvoice)
+   * @param {string} [opts.counterparty] - Ledger counterparty (default the address); see payInvoice
+   * @returns {Promise<{ preimage, paymentHash, invoice, amountSats, amountMsats, address, nostrPubkey, zapRequest }>}
+   *   nostrPubkey is the key the recipient's server signs receipts with
+   * @throws {LnurlError} INVALID_ADDRESS (no lud16), ZAPS_NOT_SUPPORTED, and as payAddress
+   */
+  async zap(opts = {}) {
+    const { recipientPubkey, eventId, relays } = opts;
+    if (!HEX_KEY.test(recipientPubkey || '')) {
+      throw new ValidationError('INVALID_ARGUMENT', 'recipientPubkey must be a 64-character hex pubkey', { recipientPubkey });
+    }
+    if (eventId !== undefined && !HEX_KEY.test(eventId)) {
+      throw new ValidationError('INVALID_ARGUMENT', 'eventId must be a 64-character hex event id', { eventId });
+    }
+    if (!Array.isArray(relays) || relays.length === 0) {
+      throw new ValidationError('INVALID_ARGUMENT', 'relays is required: where the zap receipt should be published');
+    }
+    const amountMsats = readMsats(opts);
+    if (!amountMsats || amountMsats <= 0) {
+      throw new ValidationError('INVALID_AMOUNT', 'amountSats is required and must be positive');
+    }
+    const secretKey = opts.secretKey ? toSecretKey(opts.secretKey) : crypto.randomBytes(32);
+
+    const address = opts.lud16 || await fetchProfileLud16(
+      recipientPubkey, relays, opts.profileTimeoutMs || 5000, opts.signal
+    );
+    if (!address || !address.includes('@')) {
+      throw new LnurlError('INVALID_ADDRESS', `No Lightning address (lud16) found for ${recipientPubkey}`, { recipientPubkey });
+    }
+
+    const reservation = await this._authorize(() => ({
+      type: 'address',
+      address,
+      domain: address.split('@')[1],
+      ...amountFields(amountMsats)
+    }));
+
+    let invoice;
+    let nostrPubkey;
+    let zapRequest;
+    try {
+      const { meta, limits, url } = await fetchPayRequest(address, opts.signal);
+      if (meta.allowsNostr !== true || !HEX_KEY.test(meta.nostrPubkey || '')) {
+        throw new LnurlError('ZAPS_NOT_SUPPORTED', `${address} does not accept zaps`, { address });
+      }
+      checkPayAmount(address, amountMsats, limits);
+
+      const lnurl = encodeLnurl(url);
+      zapRequest = createZapRequest({ recipientPubkey, eventId, amountMsats, relays, lnurl, comment: opts.comment }, secretKey);
+      const zapJson = JSON.stringify(zapRequest);
+      const invoiceData = await fetchLnurl(
+        withQuery(meta.callback, { amount: amountMsats, nostr: zapJson, lnurl }), 'Zap callback', opts.signal
+      );
+      checkPayInvoice(invoiceData.pr, address, amountMsats, sha256Hex(zapJson));
+      checkInvoice(decodePayable(invoiceData.pr), {}, await this._walletNetwork());
+      invoice = invoiceData.pr;
+      nostrPubkey = meta.nostrPubkey;
+    } catch (err) {
+      reservation.release();
+      throw err;
+    }
+
+    const outcome = await this._guardedPay(invoice, {
+      timeoutMs: opts.timeoutMs || 30000, retries: opts.retries, signal: opts.signal
+    });
+    if (outcome.status === 'failed') reservation.release();
+    await this._recordPayment(outcome, amountMsats, { counterparty: address, ...opts }, { destination: address });
+
+    const payment = opts.safe ? outcome : paymentOrThrow(outcome, opts.signal);
+    return { ...payment, invoice, ...amountFields(amountMsats), address, nostrPubkey, zapRequest };
+  }
+
   /**
    * Decode a bolt11 invoice (offline, no NWC needed).
    * @param {string} invoice - Bolt11 invoice string
+   * @param {object} [opts] - See decodeBolt11
    */
-  decodeInvoice(invoice) {
-    return decodeBolt11(invoice);
+  decodeInvoice(invoice, opts) {
+    return decodeBolt11(invoice, opts);
   }
 
   /**
@@ -392,7 +2375,14 @@ class NWCWallet {
    * @param {number} [opts.concurrency=3] - Max concurrent payments
    * @param {number} [opts.timeoutMs=30000] - Timeout per payment
    * @param {boolean} [opts.stopOnError=false] - Stop all payments on first error
-   * @returns {Promise<{ results: Array<{invoice, success, preimage?, error?}>, successCount, failedCount, totalSats }>}
+   * @param {boolean} [opts.multi=true] - Use multi_pay_invoice when the wallet supports it
+   * @param {number} [opts.maxAmountSats] - Refuse any invoice for more than this (or maxAmountMsats)
+   * @param {AbortSignal} [opts.signal] - Start no more payments and stop waiting. Rejects with
+   *   AbortError; its details.batch is the summary so far, unanswered payments pending
+   * @param {string} [opts.counterparty] - Ledger fields for every payment (also opts.purpose,
+   *   opts.tags, opts.metadata and opts.ledger); see payInvoice
+   * @returns {Promise<{ results: Array<{invoice, success, status, preimage?, error?}>, successCount, failedCount,
+   *   pendingCount, totalSats, totalMsats }>}
    */
   async payBatch(invoices, opts = {}) {
     if (!Array.isArray(invoices) || invoices.length === 0) {
@@ -402,13 +2392,24 @@ class NWCWallet {
     const concurrency = opts.concurrency || 3;
     const timeoutMs = opts.timeoutMs || 30000;
     const stopOnError = opts.stopOnError || false;
+    const limits = { maxAmountSats: opts.maxAmountSats, maxAmountMsats: opts.maxAmountMsats };
+    const signal = opts.signal;
+
+    // One multi_pay_invoice request when the wallet advertises it.
+    // It can't stop halfway, so stopOnError keeps the chunked path.
+    if (invoices.length > 1 && !stopOnError && opts.multi !== false) {
+      const info = await this._capabilities();
+      if (info.methods && info.methods.includes('multi_pay_invoice')) {
+        return batchOrAbort(await this._payBatchMulti(invoices, timeoutMs, limits, opts), signal);
+      }
+    }
 
     const results = [];
-    let totalSats = 0;
+    let totalMsats = 0;
     let stopped = false;
 
     // Process in chunks
-    for (let i = 0; i < invoices.length && !stopped; i += concurrency) {
+    for (let i = 0; i < invoices.length && !stopped && !(signal && signal.aborted); i += concurrency) {
       const chunk = invoices.slice(i, i + concurrency);
       
       const chunkResults = await Promise.all(
@@ -416,22 +2417,35 @@ class NWCWallet {
           if (stopped) return { invoice, success: false, error: 'Batch stopped' };
           
           try {
-            const decoded = decodeBolt11(invoice);
-            const result = await this.payInvoice(invoice, { timeoutMs });
-            totalSats += decoded.amountSats || 0;
+            const result = await this.payInvoice(invoice, { ...ledgerOpts(opts), timeoutMs, safe: true, signal, ...limits });
+            if (result.status !== 'settled') {
+              if (stopOnError) stopped = true;
+              return {
+                invoice,
+                success: false,
+                status: result.status,
+                paymentHash: result.paymentHash,
+                error: result.error ? result.error.message : null,
+                code: result.error ? result.error.code : null
+              };
+            }
+            totalMsats += result.amountMsats;
             return {
               invoice,
               success: true,
+              status: 'settled',
               preimage: result.preimage,
               paymentHash: result.paymentHash,
-              amountSats: decoded.amountSats
+              ...amountFields(result.amountMsats)
             };
           } catch (err) {
             if (stopOnError) stopped = true;
             return {
               invoice,
               success: false,
-              error: err.message
+              status: 'failed',
+              error: err.message,
+              code: err.code || null
             };
           }
         })
@@ -440,25 +2454,163 @@ class NWCWallet {
       results.push(...chunkResults);
     }
 
-    const successCount = results.filter(r => r.success).length;
-    const failedCount = results.length - successCount;
+    return batchOrAbort(batchSummary(results, totalMsats), signal);
+  }
 
-    return {
-      results,
-      successCount,
-      failedCount,
-      totalSats
-    };
+  // Send items in one multi_* request. Each item gets its index as id, which
+  // the service echoes back in the response's 'd' tag. Returns one
+  // { result } or { error: Error } per item, in order.
+  async _nwcMulti(method, key, items, timeoutMs, signal) {
+    const ids = items.map((_, i) => String(i));
+
+    let responses = new Map();
+    let requestError = null;
+    try {
+      responses = await this._nwcRequest(
+        method,
+        { [key]: items.map((item, i) => ({ id: ids[i], ...item })) },
+        timeoutMs,
+        { expect: ids, signal }
+      );
+    } catch (err) {
+      requestError = err;
+    }
+
+    return ids.map((id) => {
+      const res = responses.get(id);
+      if (!res) return { error: requestError || new NwcTimeoutError(timeoutMs, { method }) };
+      if (res.failure) return { error: res.failure };
+      if (res.error) return { error: new NwcError(res.error.code || 'OTHER', res.error.message, { method }) };
+      return { result: res.result || {} };
+    });
+  }
+
+  // payBatch over a single multi_pay_invoice request
+  async _payBatchMulti(invoices, timeoutMs, limits, opts) {
+    const signal = opts.signal;
+    const network = await this._walletNetwork();
+    const entries = [];
+    for (const invoice of invoices) {
+      try {
+        const decoded = decodePayable(invoice);
+        const amountMsats = checkInvoice(decoded, limits, network);
+        const reservation = await this._authorize(() => ({
+          type: 'invoice', invoice, ...amountFields(amountMsats), pubkey: decoded.payeeNodeKey
+        }));
+        entries.push({ invoice, decoded, amountMsats, reservation });
+      } catch (err) {
+        entries.push({ invoice, error: err });
+      }
+    }
+    const valid = entries.filter(e => !e.error);
+
+    // The same guard as payInvoice: share payments already in flight, and
+    // look up hashes an earlier attempt left uncertain instead of resending
+    const toPay = [];
+    try {
+      for (const e of valid) {
+        const paymentHash = e.decoded.paymentHash;
+        if (this._inFlight.has(paymentHash)) {
+          e.shared = this._inFlight.get(paymentHash);
+          continue;
+        }
+        const run = sharedRun(() => new Promise((resolve) => { e.settle = resolve; }));
+        this._inFlight.set(paymentHash, run);
+        run.promise.then(() => this._inFlight.delete(paymentHash));
+
+        if (this._uncertain.has(paymentHash)) {
+          const known = await this._lookupPayment(paymentHash, timeoutMs, signal);
+          if (known.status === 'settled') {
+            e.outcome = this._paymentOutcome('settled', paymentHash, known.preimage);
+            continue;
+          }
+          if (known.status !== 'failed' && known.status !== 'unknown') {
+            e.outcome = this._paymentOutcome('pending', paymentHash);
+            continue;
+          }
+        }
+        toPay.push(e);
+      }
+
+      const responses = toPay.length > 0
+        ? await this._nwcMulti('multi_pay_invoice', 'invoices', toPay.map(e => ({ invoice: e.invoice })), timeoutMs, signal)
+        : [];
+      await Promise.all(toPay.map(async (e, i) => {
+        const res = responses[i];
+        const paymentHash = e.decoded.paymentHash;
+        if (res.result) {
+          e.outcome = this._paymentOutcome('settled', res.result.payment_hash || paymentHash, res.result.preimage);
+        } else if (res.error instanceof NwcError) {
+          e.outcome = this._paymentOutcome('failed', paymentHash, null, res.error);
+        } else {
+          // No answer for this invoice: look it up rather than guess
+          e.outcome = await this._resolveUncertain(paymentHash, res.error, timeoutMs, signal);
+        }
+      }));
+    } finally {
+      // Hand every claimed hash its outcome, pending if it never got one
+      for (const e of valid) {
+        if (!e.settle) continue;
+        if (!e.outcome) e.outcome = this._paymentOutcome('pending', e.decoded.paymentHash);
+        e.settle(e.outcome);
+      }
+    }
+    await Promise.all(valid.filter(e => e.shared).map(async (e) => {
+      e.outcome = await e.shared.join(signal, e.decoded.paymentHash);
+    }));
+    for (const e of valid) {
+      if (e.outcome.status === 'failed') e.reservation.release();
+    }
+    await Promise.all(valid.map(e => this._recordPayment(e.outcome, e.amountMsats, opts, { destination: e.decoded.payeeNodeKey })));
+
+    let totalMsats = 0;
+    const results = entries.map((e) => {
+      if (e.error) {
+        return { invoice: e.invoice, success: false, status: 'failed', error: e.error.message, code: e.error.code || null };
+      }
+
+      const { status, preimage, paymentHash, error } = e.outcome;
+      if (status !== 'settled') {
+        return {
+          invoice: e.invoice,
+          success: false,
+          status,
+          paymentHash,
+          error: error ? error.message : null,
+          code: error ? error.code : null
+        };
+      }
+
+      totalMsats += e.amountMsats;
+      return {
+        invoice: e.invoice,
+        success: true,
+        status,
+        preimage,
+        paymentHash,
+        ...amountFields(e.amountMsats)
+      };
+    });
+
+    return batchSummary(results, totalMsats);
   }
 
   /**
    * Pay multiple Lightning addresses in parallel.
-   * @param {Array<{address: string, amountSats: number, comment?: string}>} payments
+   * @param {Array<{address: string, amountSats?: number, amountMsats?: number, comment?: string}>} payments
    * @param {object} [opts]
    * @param {number} [opts.concurrency=3] - Max concurrent payments
    * @param {number} [opts.timeoutMs=30000] - Timeout per payment
    * @param {boolean} [opts.stopOnError=false] - Stop all payments on first error
-   * @returns {Promise<{ results: Array, successCount, failedCount, totalSats }>}
+   * @param {object} [opts.payerData] - LUD-18 payer identity sent to every address (see payAddress)
+   * @param {string} [opts.commentDropped='warn'] - See payAddress
+   * @param {number} [opts.retries=0] - Guarded resends of each resolved invoice (see payInvoice)
+   * @param {AbortSignal} [opts.signal] - Start no more payments and stop waiting (see payBatch)
+   * @param {string} [opts.counterparty] - Ledger fields for every payment (also opts.purpose,
+   *   opts.tags, opts.metadata and opts.ledger); see payInvoice
+   * @returns {Promise<{ results: Array<{address, success, status, preimage?, paymentHash?, error?}>,
+   *   successCount, failedCount, pendingCount, totalSats, totalMsats }>}
+   *   Pending entries may still settle; don't pay them again
    */
   async payAddresses(payments, opts = {}) {
     if (!Array.isArray(payments) || payments.length === 0) {
@@ -468,40 +2620,66 @@ class NWCWallet {
     const concurrency = opts.concurrency || 3;
     const timeoutMs = opts.timeoutMs || 30000;
     const stopOnError = opts.stopOnError || false;
+    const signal = opts.signal;
 
     const results = [];
-    let totalSats = 0;
+    let totalMsats = 0;
     let stopped = false;
 
-    for (let i = 0; i < payments.length && !stopped; i += concurrency) {
+    for (let i = 0; i < payments.length && !stopped && !(signal && signal.aborted); i += concurrency) {
       const chunk = payments.slice(i, i + concurrency);
       
       const chunkResults = await Promise.all(
         chunk.map(async (payment) => {
           if (stopped) return { address: payment.address, success: false, error: 'Batch stopped' };
           
+          const requested = { amountSats: payment.amountSats, amountMsats: payment.amountMsats };
           try {
             const result = await this.payAddress(payment.address, {
-              amountSats: payment.amountSats,
+              ...ledgerOpts(opts),
+              ...requested,
               comment: payment.comment,
-              timeoutMs
+              payerData: opts.payerData,
+              commentDropped: opts.commentDropped,
+              timeoutMs,
+              retries: opts.retries,
+              safe: true,
+              signal
             });
-            totalSats += payment.amountSats;
+            if (result.status !== 'settled') {
+              if (stopOnError) stopped = true;
+              // A pending entry must not be retried: a fresh invoice would pay twice
+              return {
+                address: payment.address,
+                success: false,
+                status: result.status,
+                paymentHash: result.paymentHash,
+                invoice: result.invoice,
+                error: result.error ? result.error.message : null,
+                code: result.error ? result.error.code : null,
+                ...requested
+              };
+            }
+            totalMsats += result.amountMsats;
             return {
               address: payment.address,
               success: true,
+              status: 'settled',
               preimage: result.preimage,
               paymentHash: result.paymentHash,
               invoice: result.invoice,
-              amountSats: payment.amountSats
+              ...amountFields(result.amountMsats),
+              successAction: result.successAction
             };
           } catch (err) {
             if (stopOnError) stopped = true;
             return {
               address: payment.address,
               success: false,
+              status: 'failed',
               error: err.message,
-              amountSats: payment.amountSats
+              code: err.code || null,
+              ...requested
             };
           }
         })
@@ -510,33 +2688,211 @@ class NWCWallet {
       results.push(...chunkResults);
     }
 
-    const successCount = results.filter(r => r.success).length;
-    const failedCount = results.length - successCount;
+    return batchOrAbort(batchSummary(results, totalMsats), signal);
+  }
 
-    return {
-      results,
-      successCount,
-      failedCount,
-      totalSats
-    };
+  /**
+   * Pay a node directly without an invoice (keysend / spontaneous payment).
+   * @param {string} pubkey - Destination node pubkey (33-byte hex)
+   * @param {object} opts
+   * @param {number} opts.amountSats - Amount in satoshis (required, or amountMsats)
+   * @param {number} [opts.amountMsats] - Amount in millisats
+   * @param {Array<{type: number, value: string|Buffer}>} [opts.tlvRecords] - Custom
+   *   TLV records; string values are hex
+   * @param {string} [opts.preimage] - Payment preimage (hex); the wallet picks one if omitted
+   * @param {number} [opts.timeoutMs] - Request timeout (default 30s)
+   * @param {AbortSignal} [opts.signal] - Stop waiting; the payment may still settle
+   * @param {string} [opts.counterparty] - Ledger fields, as for payInvoice
+   * @returns {Promise<{ preimage, paymentHash, pubkey, amountSats, amountMsats }>}
+   */
+  async payKeysend(pubkey, opts = {}) {
+    const params = keysendParams(pubkey, opts);
+    const timeoutMs = opts.timeoutMs || 30000;
+    const reservation = await this._authorize(() => ({
+      type: 'keysend',
+      pubkey: params.pubkey,
+      ...amountFields(params.amount)
+    }));
+
+    let res;
+    try {
+      res = await this._spend(
+        reservation, () => this._nwcRequest('pay_keysend', params, timeoutMs, { signal: opts.signal })
+      );
+    } catch (err) {
+      await this._recordKeysend(params, opts, null, err);
+      throw err;
+    }
+    const result = keysendResult(pubkey, params.amount, res.result || {});
+    await this._recordKeysend(params, opts, result);
+    return result;
+  }
+
+  /**
+   * Send multiple keysend payments. Uses multi_pay_keysend when the wallet
+   * supports it, otherwise pays in chunks like payBatch.
+   * @param {Array<{pubkey: string, amountSats?: number, amountMsats?: number, tlvRecords?: Array, preimage?: string}>} keysends
+   * @param {object} [opts]
+   * @param {number} [opts.concurrency=3] - Max concurrent payments (chunked path)
+   * @param {number} [opts.timeoutMs=30000] - Timeout per payment
+   * @param {boolean} [opts.stopOnError=false] - Stop all payments on first error
+   * @param {boolean} [opts.multi=true] - Use multi_pay_keysend when the wallet supports it
+   * @param {AbortSignal} [opts.signal] - Start no more payments and stop waiting (see payBatch)
+   * @param {string} [opts.counterparty] - Ledger fields for every keysend, unless the keysend
+   *   sets its own (see payBatch)
+   * @returns {Promise<{ results: Array, successCount, failedCount, pendingCount, totalSats, totalMsats }>}
+   *   A keysend that timed out or was aborted is status 'pending': it may still arrive
+   */
+  async payKeysends(keysends, opts = {}) {
+    if (!Array.isArray(keysends) || keysends.length === 0) {
+      throw new Error('keysends array is required');
+    }
+
+    const concurrency = opts.concurrency || 3;
+    const timeoutMs = opts.timeoutMs || 30000;
+    const stopOnError = opts.stopOnError || false;
+    const signal = opts.signal;
+
+    if (keysends.length > 1 && !stopOnError && opts.multi !== false) {
+      const info = await this._capabilities();
+      if (info.methods && info.methods.includes('multi_pay_keysend')) {
+        return batchOrAbort(await this._payKeysendsMulti(keysends, timeoutMs, opts), signal);
+      }
+    }
+
+    const results = [];
+    let totalMsats = 0;
+    let stopped = false;
+
+    for (let i = 0; i < keysends.length && !stopped && !(signal && signal.aborted); i += concurrency) {
+      const chunk = keysends.slice(i, i + concurrency);
+
+      const chunkResults = await Promise.all(
+        chunk.map(async (k) => {
+          if (stopped) return { pubkey: k.pubkey, success: false, status: 'failed', error: 'Batch stopped' };
+
+          try {
+            const result = await this.payKeysend(k.pubkey, { ...ledgerOpts(opts), ...k, timeoutMs, signal });
+            totalMsats += result.amountMsats;
+            return { success: true, status: 'settled', ...result };
+          } catch (err) {
+            if (stopOnError) stopped = true;
+            const status = keysendStatus(err);
+            return {
+              pubkey: k.pubkey,
+              success: false,
+              status,
+              paymentHash: status === 'pending' ? preimageHash(k.preimage) : null,
+              error: err.message,
+              code: err.code || null,
+              amountSats: k.amountSats,
+              amountMsats: k.amountMsats
+            };
+          }
+        })
+      );
+
+      results.push(...chunkResults);
+    }
+
+    return batchOrAbort(batchSummary(results, totalMsats), signal);
+  }
+
+  // payKeysends over a single multi_pay_keysend request
+  async _payKeysendsMulti(keysends, timeoutMs, opts) {
+    const signal = opts.signal;
+    const entries = [];
+    for (const k of keysends) {
+      try {
+        const params = keysendParams(k.pubkey, k);
+        const reservation = await this._authorize(() => ({
+          type: 'keysend', pubkey: params.pubkey, ...amountFields(params.amount)
+        }));
+        entries.push({ k, params, reservation });
+      } catch (err) {
+        entries.push({ k, error: err });
+      }
+    }
+    const toPay = entries.filter(e => !e.error);
+
+    const responses = toPay.length > 0
+      ? await this._nwcMulti('multi_pay_keysend', 'keysends', toPay.map(e => e.params), timeoutMs, signal)
+      : [];
+    await Promise.all(toPay.map((e, i) => {
+      Object.assign(e, responses[i]);
+      if (e.error && keysendStatus(e.error) === 'failed') e.reservation.release();
+      const result = e.error ? null : keysendResult(e.k.pubkey, e.params.amount, e.result);
+      return this._recordKeysend(e.params, { ...ledgerOpts(opts), ...e.k }, result, e.error);
+    }));
+
+    let totalMsats = 0;
+    const results = entries.map((e) => {
+      if (e.error) {
+        // Entries refused before sending have no params and failed outright
+        const status = e.params ? keysendStatus(e.error) : 'failed';
+        return {
+          pubkey: e.k.pubkey,
+          success: false,
+          status,
+          paymentHash: status === 'pending' ? preimageHash(e.params.preimage) : null,
+          error: e.error.message,
+          code: e.error.code || null,
+          amountSats: e.k.amountSats,
+          amountMsats: e.k.amountMsats
+        };
+      }
+      totalMsats += e.params.amount;
+      return { success: true, status: 'settled', ...keysendResult(e.k.pubkey, e.params.amount, e.result) };
+    });
+
+    return batchSummary(results, totalMsats);
   }
 
   /**
    * Close the relay connection.
+   * In persistent mode, in-flight requests are rejected.
    */
   close() {
     this._closed = true;
+    this._stopKeepalive();
+    if (this._reconnectTimer) {
+      clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = null;
+    }
+
+    this._notificationSub = null;
+    this._notificationRelay = null;
+
+    for (const { reject, timer, stopAbort } of this._pending.values()) {
+      clearTimeout(timer);
+      stopAbort();
+      reject(new NwcConnectionError('CLOSED', 'Wallet closed'));
+    }
+    this._pending.clear();
+    if (this._ownsScheduler) this.scheduler.close();
+
+    const relay = this._relay;
+    this._relay = null;
+    if (relay) {
+      try { relay.close(); } catch (_) {}
+    }
   }
 }
 
 // ─── Factory function ───
 
-function createWallet(nwcUrl) {
+/**
+ * Create a wallet from an NWC URL (or the NWC_URL env var).
+ * @param {string} [nwcUrl]
+ * @param {object} [opts] - See NWCWallet constructor
+ * @returns {NWCWallet}
+ */
+function createWallet(nwcUrl, opts) {
   const url = nwcUrl || process.env.NWC_URL;
   if (!url) {
     throw new Error('NWC URL required. Pass it directly or set NWC_URL env var.');
   }
-  return new NWCWallet(url);
+  return new NWCWallet(url, opts);
 }
 
 // ─── Exports ───
@@ -544,7 +2900,12 @@ function createWallet(nwcUrl) {
 module.exports = {
   createWallet,
   parseNwcUrl,
+  parseInfoEvent,
+  normalizeTransaction,
   decodeBolt11,
   resolveLightningAddress,
-  NWCWallet
+  NWCWallet,
+  // For the router, which shares payments the same way
+  checkInvoice,
+  sharedRun
 };
@@ -0,0 +1,358 @@
+'use strict';
+
+/**
+ * LNURL-withdraw (LUD-03) — pull-payment vouchers between agents.
+ *
+ * Server: createWithdrawServer() — issues withdraw links (single or
+ *   limited use), tracks their k1 and pays the invoices submitted to them
+ * Client: withdrawLnurl() — redeems a link into your own wallet
+ *
+ * @example
+ * // Issuer
+ * const withdraws = createWithdrawServer(wallet, { callbackUrl: 'https://api.example.com/withdraw' });
+ * const link = withdraws.createLink({ amountSats: 100 });
+ * // Hand link.lnurl to another agent; mount withdraws.middleware() at the callback path
+ *
+ * // Recipient
+ * const { amountSats } = await withdrawLnurl(link.lnurl, myWallet);
+ */
+
+const crypto = require('crypto');
+const { decodeBolt11 } = require('./wallet');
+const { LnurlError } = require('./errors');
+const { readMsats, amountFields, walletAmount, formatMsats } = require('./amount');
+const { encodeLnurl, decodeLnurl, fetchLnurl, withQuery } = require('./lnurl');
+
+// ─── Server-side: withdraw links ───
+
+/**
+ * Create an LNURL-withdraw server.
+ *
+ * @param {NWCWallet|WalletRouter} wallet - Wallet that pays out withdrawals
+ * @param {object} [opts]
+ * @param {string} [opts.callbackUrl] - Full URL the middleware is mounted at, for LNURL generation
+ * @param {number} [opts.linkTtlMs=86400000] - Default link lifetime (default 24h)
+ * @param {string} [opts.defaultDescription='Withdrawal'] - Description for links without one
+ * @param {number} [opts.paymentTimeoutMs=30000] - Timeout for each payout
+ * @param {function} [opts.onWithdraw] - Called with (k1, withdrawal) after a payout settles
+ * @returns {WithdrawServer}
+ */
+function createWithdrawServer(wallet, opts = {}) {
+  if (!wallet) throw new Error('Withdraw wallet is required');
+
+  const callbackUrl = opts.callbackUrl || null;
+  const defaultTtlMs = opts.linkTtlMs || 24 * 60 * 60 * 1000;
+  const defaultDescription = opts.defaultDescription || 'Withdrawal';
+  const paymentTimeoutMs = opts.paymentTimeoutMs || 30000;
+  const onWithdraw = opts.onWithdraw || null;
+  const links = new Map(); // k1 → link
+
+  function isLive(link, now = Date.now()) {
+    return link.usesLeft > 0 && now < link.expiresAt;
+  }
+
+  // Drop expired and used-up links that have nothing in flight
+  function purge() {
+    const now = Date.now();
+    for (const [k1, link] of links) {
+      if (!isLive(link, now) && link.inFlight === 0) links.delete(k1);
+    }
+  }
+
+  function view(link) {
+    return {
+      k1: link.k1,
+      lnurl: link.lnurl,
+      url: link.url,
+      description: link.description,
+      ...amountFields(link.minMsats, 'min'),
+      ...amountFields(link.maxMsats, 'max'),
+      uses: link.uses,
+      usesLeft: link.usesLeft,
+      expiresAt: link.expiresAt,
+      withdrawals: link.withdrawals.map(w => ({ ...w }))
+    };
+  }
+
+  // Why a link can't be redeemed right now, or null
+  function linkError(link) {
+    if (!link) return 'Unknown or expired withdraw link';
+    if (Date.now() >= link.expiresAt) return 'Withdraw link expired';
+    if (link.usesLeft <= 0) return 'Withdraw link already used';
+    return null;
+  }
+
+  return {
+    /**
+     * Issue a withdraw link.
+     *
+     * @param {object} linkOpts
+     * @param {number} [linkOpts.amountSats] - Fixed amount (or amountMsats)
+     * @param {number} [linkOpts.maxSats] - Or a range: most that can be withdrawn (or maxMsats)
+     * @param {number} [linkOpts.minSats] - Least that can be withdrawn (or minMsats; default 1 sat)
+     * @param {number} [linkOpts.uses=1] - How many times the link can be redeemed
+     * @param {string} [linkOpts.description] - Default invoice description for the recipient
+     * @param {number} [linkOpts.ttlMs] - Link lifetime
+     * @returns {{ k1: string, lnurl?: string, url?: string, minSats: number, maxSats: number,
+     *   minMsats: number, maxMsats: number, uses: number, usesLeft: number, expiresAt: number }}
+     */
+    createLink(linkOpts = {}) {
+      purge();
+
+      const fixed = readMsats(linkOpts);
+      const maxMsats = fixed !== undefined ? fixed : readMsats(linkOpts, 'max');
+      if (!maxMsats || maxMsats <= 0) {
+        throw new Error('amountSats or maxSats is required and must be positive');
+      }
+      const min = fixed !== undefined ? fixed : readMsats(linkOpts, 'min');
+      const minMsats = min !== undefined ? min : Math.min(1000, maxMsats);
+      if (minMsats <= 0 || minMsats > maxMsats) {
+        throw new Error('minSats must be positive and no more than maxSats');
+      }
+
+      const uses = linkOpts.uses === undefined ? 1 : linkOpts.uses;
+      if (!Number.isInteger(uses) || uses < 1) throw new Error('uses must be a positive integer');
+
+      const k1 = crypto.randomBytes(32).toString('hex');
+      const now = Date.now();
+      const link = {
+        k1,
+        lnurl: null,
+        url: null,
+        description: linkOpts.description || defaultDescription,
+        minMsats,
+        maxMsats,
+        uses,
+        usesLeft: uses,
+        inFlight: 0,
+        createdAt: now,
+        expiresAt: now + (linkOpts.ttlMs || defaultTtlMs),
+        withdrawals: []
+      };
+
+      if (callbackUrl) {
+        link.url = withQuery(callbackUrl, { k1 });
+        link.lnurl = encodeLnurl(link.url);
+      }
+
+      links.set(k1, link);
+      return view(link);
+    },
+
+    /**
+     * The LUD-03 withdrawRequest for a link, or null if it can't be redeemed.
+     * @param {string} k1
+     * @returns {object|null}
+     */
+    withdrawRequest(k1) {
+      const link = links.get(k1);
+      if (linkError(link)) return null;
+      return {
+        tag: 'withdrawRequest',
+        callback: callbackUrl,
+        k1,
+        defaultDescription: link.description,
+        minWithdrawable: link.minMsats,
+        maxWithdrawable: link.maxMsats
+      };
+    },
+
+    /**
+     * Pay an invoice submitted against a link. A use is taken before
+     * paying and handed back only if the payment definitely failed.
+     *
+     * @param {string} k1
+     * @param {string} invoice - Recipient's bolt11 invoice
+     * @returns {Promise<{ success: boolean, status?: string, paymentHash?: string, preimage?: string,
+     *   amountSats?: number, amountMsats?: number, error?: string }>}
+     */
+    async redeem(k1, invoice) {
+      const link = links.get(k1);
+      const problem = linkError(link);
+      if (problem) return { success: false, error: problem };
+
+      let decoded;
+      try {
+        decoded = decodeBolt11(invoice, { strict: true });
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+      const amountMsats = decoded.amountMsats;
+      if (amountMsats === null) return { success: false, error: 'Invoice must have an amount' };
+      if (amountMsats < link.minMsats || amountMsats > link.maxMsats) {
+        return {
+          success: false,
+          error: `Amount ${formatMsats(amountMsats)} outside ${formatMsats(link.minMsats)}–${formatMsats(link.maxMsats)}`
+        };
+      }
+
+      // Claim the use before paying so concurrent submissions can't overdraw
+      link.usesLeft--;
+      link.inFlight++;
+      let outcome;
+      try {
+        outcome = await wallet.payInvoice(invoice, {
+          safe: true,
+          timeoutMs: paymentTimeoutMs,
+          maxAmountMsats: link.maxMsats
+        });
+      } catch (err) {
+        outcome = { status: 'failed', error: err };
+      } finally {
+        link.inFlight--;
+      }
+
+      if (outcome.status === 'failed') {
+        link.usesLeft++;
+        return { success: false, error: outcome.error ? outcome.error.message || String(outcome.error) : 'Payment failed' };
+      }
+
+      const withdrawal = {
+        status: outcome.status || 'settled',
+        paymentHash: outcome.paymentHash || decoded.paymentHash,
+        preimage: outcome.preimage || null,
+        ...amountFields(amountMsats),
+        at: Date.now()
+      };
+      link.withdrawals.push(withdrawal);
+      if (onWithdraw && withdrawal.status === 'settled') onWithdraw(k1, { ...withdrawal });
+      return { success: true, ...withdrawal };
+    },
+
+    /**
+     * HTTP handler for the LNURL-withdraw endpoints. Mount at callbackUrl.
+     *   GET ?k1=...          → withdrawRequest
+     *   GET ?k1=...&pr=...   → pays the invoice, answers { status: 'OK' }
+     * @returns {function} (req, res) handler
+     */
+    middleware() {
+      return async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const k1 = url.searchParams.get('k1');
+        const pr = url.searchParams.get('pr');
+        const reply = (status, body) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(body));
+        };
+
+        if (!k1) return reply(400, { status: 'ERROR', reason: 'Missing k1' });
+
+        if (!pr) {
+          const request = this.withdrawRequest(k1);
+          if (!request) return reply(404, { status: 'ERROR', reason: linkError(links.get(k1)) });
+          return reply(200, request);
+        }
+
+        const result = await this.redeem(k1, pr);
+        if (result.success) return reply(200, { status: 'OK' });
+        return reply(400, { status: 'ERROR', reason: result.error });
+      };
+    },
+
+    /**
+     * Current state of a link, including its withdrawals.
+     * @param {string} k1
+     * @returns {object|null}
+     */
+    get(k1) {
+      const link = links.get(k1);
+      return link ? view(link) : null;
+    },
+
+    /**
+     * Disable a link. Payouts already in flight still finish.
+     * @param {string} k1
+     * @returns {boolean} Whether the link existed
+     */
+    revoke(k1) {
+      const link = links.get(k1);
+      if (!link) return false;
+      link.usesLeft = 0;
+      return true;
+    },
+
+    /** Number of links that can still be redeemed */
+    get activeLinks() {
+      let count = 0;
+      for (const link of links.values()) {
+        if (isLive(link)) count++;
+      }
+      return count;
+    }
+  };
+}
+
+// ─── Client-side: redeem a withdraw link ───
+
+/**
+ * Redeem an LNURL-withdraw link into a wallet: fetch the withdrawRequest,
+ * create an invoice within its limits and submit it.
+ *
+ * @param {string} lnurl - bech32 LNURL, lnurlw:// URL or plain https URL
+ * @param {NWCWallet|WalletRouter} wallet - Wallet that receives the funds
+ * @param {object} [opts]
+ * @param {number} [opts.amountSats] - Amount to withdraw (or amountMsats; default the maximum)
+ * @param {string} [opts.description] - Invoice description (default the service's)
+ * @param {boolean} [opts.waitForPayment=false] - Wait until the invoice is paid
+ * @param {number} [opts.timeoutMs=60000] - How long to wait when waitForPayment is set
+ * @param {AbortSignal} [opts.signal] - Abort the LNURL requests and the wait
+ * @returns {Promise<{ invoice: string, paymentHash: string, amountSats: number, amountMsats: number,
+ *   paid?: boolean, preimage?: string }>}
+ * @throws {LnurlError}
+ *
+ * @example
+ * const { amountSats } = await withdrawLnurl('lnurl1...', wallet, { waitForPayment: true });
+ */
+async function withdrawLnurl(lnurl, wallet, opts = {}) {
+  const url = decodeLnurl(lnurl);
+  const params = await fetchLnurl(url, 'LNURL-withdraw fetch', opts.signal);
+  if (params.tag !== 'withdrawRequest' || !params.callback || !params.k1) {
+    throw new LnurlError('INVALID_RESPONSE', 'Not an LNURL-withdraw link', { url, tag: params.tag || null });
+  }
+
+  const minMsats = params.minWithdrawable || 0;
+  const maxMsats = params.maxWithdrawable;
+  if (!Number.isSafeInteger(maxMsats) || maxMsats <= 0 || !Number.isSafeInteger(minMsats) || minMsats > maxMsats) {
+    throw new LnurlError('INVALID_RESPONSE', 'LNURL-withdraw limits are invalid', { url, minMsats, maxMsats });
+  }
+
+  const requested = readMsats(opts);
+  // Default to the most whole sats on offer; not every wallet takes msat invoices
+  const wholeMax = maxMsats - (maxMsats % 1000);
+  const amountMsats = requested !== undefined ? requested : (wholeMax >= minMsats && wholeMax > 0 ? wholeMax : maxMsats);
+  if (amountMsats < minMsats || amountMsats > maxMsats) {
+    throw new LnurlError(
+      'AMOUNT_OUT_OF_RANGE',
+      `Amount ${formatMsats(amountMsats)} outside ${formatMsats(minMsats)}–${formatMsats(maxMsats)}`,
+      { url, ...amountFields(amountMsats), ...amountFields(minMsats, 'min'), ...amountFields(maxMsats, 'max') }
+    );
+  }
+
+  const inv = await wallet.createInvoice({
+    ...walletAmount(amountMsats),
+    description: opts.description || params.defaultDescription || 'LNURL withdrawal',
+    signal: opts.signal
+  });
+
+  const reply = await fetchLnurl(
+    withQuery(params.callback, { k1: params.k1, pr: inv.invoice }), 'LNURL-withdraw callback', opts.signal
+  );
+  if (reply.status !== 'OK') {
+    throw new LnurlError('INVALID_RESPONSE', 'LNURL-withdraw callback did not answer OK', { url: params.callback });
+  }
+
+  const result = { invoice: inv.invoice, paymentHash: inv.paymentHash, ...amountFields(amountMsats) };
+  if (opts.waitForPayment) {
+    const payment = await wallet.waitForPayment(inv.paymentHash, {
+      timeoutMs: opts.timeoutMs || 60000, signal: opts.signal
+    });
+    result.paid = payment.paid;
+    result.preimage = payment.preimage || null;
+  }
+  return result;
+}
+
+module.exports = {
+  createWithdrawServer,
+  withdrawLnurl
+};
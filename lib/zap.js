@@ -0,0 +1,195 @@
+'use strict';
+
+/**
+ * Zaps (NIP-57) — Lightning payments attributed on Nostr.
+ *
+ * Sending is wallet.zap(). This module covers the rest:
+ *   - verifyZapReceipt(): check a kind 9735 receipt before crediting it
+ *   - checkZapRequest(): what an LNURL server checks in a kind 9734 request
+ *   - createZapReceipt(): sign the receipt once the invoice is paid
+ *
+ * @example
+ * const result = verifyZapReceipt(receipt, { nostrPubkey: lnurlServerPubkey });
+ * if (result.valid) credit(result.senderPubkey, result.amountSats);
+ */
+
+const crypto = require('crypto');
+const { finalizeEvent, verifyEvent } = require('nostr-tools');
+const { decodeBolt11 } = require('./wallet');
+const { amountFields } = require('./amount');
+
+const HEX_KEY = /^[0-9a-f]{64}$/;
+
+/**
+ * Validate a zap request as an LNURL server must before issuing an invoice
+ * for it (NIP-57 appendix D).
+ *
+ * @param {string} json - The `nostr` callback parameter, exactly as sent
+ * @param {number} amountMsats - The callback's `amount`
+ * @returns {{ valid: boolean, zapRequest?: object, error?: string }}
+ */
+function checkZapRequest(json, amountMsats) {
+  let zapRequest;
+  try {
+    zapRequest = JSON.parse(json);
+  } catch (_) {
+    return { valid: false, error: 'Zap request is not valid JSON' };
+  }
+  if (!zapRequest || zapRequest.kind !== 9734 || !Array.isArray(zapRequest.tags)) {
+    return { valid: false, error: 'Not a kind 9734 zap request' };
+  }
+  if (!verifyEvent(zapRequest)) return { valid: false, error: 'Zap request signature is invalid' };
+
+  const pTags = tagValues(zapRequest, 'p');
+  if (pTags.length !== 1 || !HEX_KEY.test(pTags[0])) {
+    return { valid: false, error: 'Zap request must have exactly one p tag' };
+  }
+  if (tagValues(zapRequest, 'e').length > 1) return { valid: false, error: 'Zap request has more than one e tag' };
+  if (!zapRequest.tags.some(t => t[0] === 'relays' && t.length > 1)) {
+    return { valid: false, error: 'Zap request has no relays' };
+  }
+  const amount = tagValue(zapRequest, 'amount');
+  if (amount !== null && Number(amount) !== amountMsats) {
+    return { valid: false, error: `Zap request amount ${amount} does not match ${amountMsats} msats` };
+  }
+  return { valid: true, zapRequest };
+}
+
+/**
+ * Sign a kind 9735 zap receipt for a paid zap invoice. Publish it to the
+ * relays listed in the zap request.
+ *
+ * @param {object} zap
+ * @param {object} zap.zapRequest - The kind 9734 request the invoice was made for
+ * @param {string} zap.invoice - The paid bolt11 invoice
+ * @param {string} [zap.preimage] - Payment preimage (hex)
+ * @param {number} [zap.paidAt] - Unix seconds the invoice was paid (default now)
+ * @param {string|Uint8Array} secretKey - The LNURL server's nostrPubkey secret
+ * @returns {object} Signed kind 9735 event
+ */
+function createZapReceipt({ zapRequest, invoice, preimage, paidAt }, secretKey) {
+  const tags = [['p', tagValue(zapRequest, 'p')]];
+  const eventId = tagValue(zapRequest, 'e');
+  if (eventId) tags.push(['e', eventId]);
+  const address = tagValue(zapRequest, 'a');
+  if (address) tags.push(['a', address]);
+  tags.push(['P', zapRequest.pubkey]);
+  tags.push(['bolt11', invoice]);
+  tags.push(['description', JSON.stringify(zapRequest)]);
+  if (preimage) tags.push(['preimage', preimage]);
+
+  return finalizeEvent({
+    kind: 9735,
+    created_at: paidAt || Math.floor(Date.now() / 1000),
+    tags,
+    content: ''
+  }, typeof secretKey === 'string' ? Uint8Array.from(Buffer.from(secretKey, 'hex')) : secretKey);
+}
+
+/**
+ * Verify a kind 9735 zap receipt (NIP-57 appendix F).
+ *
+ * Checks the receipt and the embedded zap request are signed, that the
+ * bolt11 invoice commits to the zap request (description hash), that its
+ * amount matches the request's, that both name the same recipient and
+ * note, and that any preimage hashes to the payment hash.
+ *
+ * A receipt only proves the recipient's LNURL server says it was paid;
+ * pass `nostrPubkey` (from the recipient's payRequest) so receipts signed
+ * by anyone else are refused.
+ *
+ * @param {object} receipt - Kind 9735 event
+ * @param {object} [opts]
+ * @param {string} [opts.nostrPubkey] - Expected receipt signer
+ * @param {string} [opts.recipientPubkey] - Expected recipient (p tag)
+ * @param {string} [opts.eventId] - Expected zapped note (e tag)
+ * @param {object} [opts.zapRequest] - The request you sent; the receipt must embed it
+ * @returns {{ valid: boolean, error?: string, amountSats?: number, amountMsats?: number,
+ *   paymentHash?: string, senderPubkey?: string, recipientPubkey?: string, eventId?: string|null,
+ *   comment?: string, zapRequest?: object, paidAt?: number }}
+ */
+function verifyZapReceipt(receipt, opts = {}) {
+  const fail = (error) => ({ valid: false, error });
+
+  if (!receipt || receipt.kind !== 9735 || !Array.isArray(receipt.tags)) return fail('Not a kind 9735 zap receipt');
+  if (!verifyEvent(receipt)) return fail('Receipt signature is invalid');
+  if (opts.nostrPubkey && receipt.pubkey !== opts.nostrPubkey) {
+    return fail('Receipt is not signed by the recipient\'s LNURL server');
+  }
+
+  const bolt11 = tagValue(receipt, 'bolt11');
+  const description = tagValue(receipt, 'description');
+  if (!bolt11 || !description) return fail('Receipt is missing its bolt11 or description tag');
+
+  let invoice;
+  try {
+    invoice = decodeBolt11(bolt11, { strict: true });
+  } catch (err) {
+    return fail(err.message);
+  }
+  if (invoice.amountMsats === null) return fail('Receipt invoice has no amount');
+
+  let zapRequest;
+  try {
+    zapRequest = JSON.parse(description);
+  } catch (_) {
+    return fail('Receipt description is not a zap request');
+  }
+  if (!zapRequest || zapRequest.kind !== 9734 || !Array.isArray(zapRequest.tags) || !verifyEvent(zapRequest)) {
+    return fail('Receipt description is not a signed zap request');
+  }
+  if (opts.zapRequest && zapRequest.id !== opts.zapRequest.id) return fail('Receipt is for a different zap request');
+
+  const descriptionHash = crypto.createHash('sha256').update(description, 'utf8').digest('hex');
+  if (invoice.descriptionHash !== descriptionHash) return fail('Invoice description hash does not match the zap request');
+
+  const requested = tagValue(zapRequest, 'amount');
+  if (requested !== null && Number(requested) !== invoice.amountMsats) {
+    return fail(`Invoice amount ${invoice.amountMsats} msats does not match the ${requested} msats requested`);
+  }
+
+  const recipientPubkey = tagValue(zapRequest, 'p');
+  if (!recipientPubkey || tagValue(receipt, 'p') !== recipientPubkey) return fail('Receipt and zap request name different recipients');
+  if (opts.recipientPubkey && recipientPubkey !== opts.recipientPubkey) return fail('Zap is for a different recipient');
+
+  const eventId = tagValue(zapRequest, 'e');
+  if (tagValue(receipt, 'e') !== eventId) return fail('Receipt and zap request name different notes');
+  if (opts.eventId && eventId !== opts.eventId) return fail('Zap is for a different note');
+
+  const preimage = tagValue(receipt, 'preimage');
+  if (preimage) {
+    const hash = /^[0-9a-f]{64}$/i.test(preimage)
+      ? crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex')
+      : null;
+    if (hash !== invoice.paymentHash) return fail('Receipt preimage does not match the payment hash');
+  }
+
+  return {
+    valid: true,
+    ...amountFields(invoice.amountMsats),
+    paymentHash: invoice.paymentHash,
+    senderPubkey: zapRequest.pubkey,
+    recipientPubkey,
+    eventId,
+    comment: zapRequest.content,
+    zapRequest,
+    paidAt: receipt.created_at
+  };
+}
+
+// ─── Helpers ───
+
+function tagValue(event, name) {
+  const tag = event.tags.find(t => t[0] === name);
+  return tag && tag.length > 1 ? tag[1] : null;
+}
+
+function tagValues(event, name) {
+  return event.tags.filter(t => t[0] === name).map(t => t[1]);
+}
+
+module.exports = {
+  verifyZapReceipt,
+  checkZapRequest,
+  createZapReceipt
+};
@@ -50,6 +50,14 @@ console.log('\n🔐 Auth Module');
   assert(!bad2.valid, 'Rejects unknown k1');
   
   console.log('  Active challenges:', auth.activeChallenges);
+
+  // Challenges are capped; the oldest go first
+  const capped = createAuthServer({ maxChallenges: 2 });
+  const first = capped.createChallenge();
+  capped.createChallenge();
+  capped.createChallenge();
+  assert(capped.activeChallenges === 2, 'Challenge count stays at maxChallenges');
+  assert(capped.verify(first.k1, 'aabb', 'ccdd').error === 'Unknown or expired challenge', 'Oldest challenge dropped past the cap');
 })();
 
 (function testSignAuth() {
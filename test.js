@@ -1,6 +1,14 @@
 'use strict';
 
-const { createWallet, parseNwcUrl, decodeBolt11, resolveLightningAddress, NWCWallet } = require('./lib');
+const {
+  createWallet, parseNwcUrl, decodeBolt11, resolveLightningAddress, NWCWallet, createWalletRouter,
+  createSpendingPolicy, PolicyError, createLedger, createMemoryStore, createRequestScheduler,
+  generateNwcKeypair, createNwcUrl, createWalletAuthRequest, parseWalletAuthUrl,
+  createLocalWalletService, createEscrowManager, createStreamProvider, createStreamClient,
+  createWithdrawServer, withdrawLnurl, createLnurlPayServer, verifyZapReceipt, createZapReceipt,
+  NwcError, NwcTimeoutError, PaymentPendingError, LnurlError, EscrowStateError, StreamBudgetError,
+  AbortError, InvoiceError, ValidationError, encodeLnurl, decodeLnurl, signAuth
+} = require('./lib');
 
 let passed = 0;
 let failed = 0;
@@ -48,6 +56,44 @@ assertThrows(
   'rejects missing relay'
 );
 
+// Provisioning: build connection strings
+const keypair = generateNwcKeypair();
+assert(/^[0-9a-f]{64}$/.test(keypair.secret) && /^[0-9a-f]{64}$/.test(keypair.pubkey), 'generates a client keypair');
+const built = createNwcUrl({
+  walletPubkey: parsed.walletPubkey,
+  relays: ['wss://relay.getalby.com/v1', 'wss://relay.damus.io'],
+  secret: keypair.secret,
+  lud16: 'agent@getalby.com'
+});
+const reparsed = parseNwcUrl(built.nwcUrl);
+assert(reparsed.walletPubkey === parsed.walletPubkey && reparsed.secret === keypair.secret &&
+  built.clientPubkey === keypair.pubkey, 'createNwcUrl round-trips through parseNwcUrl');
+assert(reparsed.relay === 'wss://relay.getalby.com/v1' && reparsed.relays.length === 2 &&
+  reparsed.lud16 === 'agent@getalby.com', 'createNwcUrl: several relays and lud16');
+assert(parseNwcUrl(createNwcUrl({ walletPubkey: parsed.walletPubkey, relays: 'wss://r.example' }).nwcUrl).secret.length === 64,
+  'createNwcUrl generates a secret when none is given');
+assertThrows(() => createNwcUrl({ walletPubkey: 'abc', relays: ['wss://r.example'] }), 'createNwcUrl rejects a bad wallet pubkey');
+assertThrows(() => createNwcUrl({ walletPubkey: parsed.walletPubkey, relays: ['https://r.example'] }), 'createNwcUrl rejects non-websocket relays');
+
+const authRequest = createWalletAuthRequest({
+  relays: ['wss://relay.getalby.com/v1'],
+  name: 'test agent',
+  requestMethods: ['pay_invoice', 'get_balance'],
+  budgetMsats: 21000500,
+  budgetRenewal: 'weekly',
+  expiresAt: new Date(2000000000 * 1000),
+  isolated: true
+});
+const auth = parseWalletAuthUrl(authRequest.url);
+assert(authRequest.url.startsWith(`nostr+walletauth://${authRequest.clientPubkey}?`) &&
+  authRequest.url.includes('request_methods=pay_invoice%20get_balance'), 'walletauth URL: client key and space-separated methods');
+assert(auth.clientPubkey === authRequest.clientPubkey && auth.name === 'test agent' && auth.relays[0] === 'wss://relay.getalby.com/v1' &&
+  auth.requestMethods.join() === 'pay_invoice,get_balance', 'parseWalletAuthUrl reads the request');
+assert(auth.budgetSats === 21000 && auth.budgetRenewal === 'weekly' && auth.expiresAt === 2000000000 && auth.isolated,
+  'walletauth URL: budget in whole sats, renewal, expiry');
+assertThrows(() => createWalletAuthRequest({ relays: ['wss://r.example'], budgetRenewal: 'hourly' }), 'walletauth rejects unknown budget renewal');
+assertThrows(() => parseWalletAuthUrl(built.nwcUrl), 'parseWalletAuthUrl rejects other schemes');
+
 // ─── Bolt11 Decoding ───
 console.log('\n⚡ Bolt11 Amount Decoding');
 
@@ -79,9 +125,14 @@ assert(d6.amountSats === 250000, 'lnbc2500u = 250000 sats');
 const d7 = decodeBolt11('lnbc10m1ptest');
 assert(d7.amountSats === 1000000, 'lnbc10m = 1000000 sats');
 
-// lnbc1500p = 1500 pico-BTC = 0.15 sats ≈ 0 sats (rounds)
+// lnbc1500p = 1500 pico-BTC = 150 msats = 0.15 sats (rounds down)
 const d8 = decodeBolt11('lnbc1500p1ptest');
 assert(d8.amountSats === 0, 'lnbc1500p = 0 sats (sub-sat)');
+assert(d8.amountMsats === 150, 'lnbc1500p = 150 msats exactly');
+assert(decodeBolt11('lnbc15n1ptest').amountMsats === 1500, 'lnbc15n = 1500 msats');
+assert(decodeBolt11('lnbc25m1ptest').amountMsats === 2500000000, 'lnbc25m msats without float error');
+assertThrows(() => decodeBolt11('lnbc1501p1ptest'), 'pico amount that is not whole msats throws');
+assertThrows(() => decodeBolt11('lnbc1.5u1ptest'), 'fractional hrp amount throws');
 
 // lnbc20n = 20 nano-BTC = 2 sats
 const d9 = decodeBolt11('lnbc20n1ptest');
@@ -91,6 +142,8 @@ assert(d9.amountSats === 2, 'lnbc20n = 2 sats');
 console.log('\n🌐 Network Detection');
 assert(decodeBolt11('lnbc50u1ptest').network === 'mainnet', 'lnbc = mainnet');
 assert(decodeBolt11('lntb50u1ptest').network === 'testnet', 'lntb = testnet');
+assert(decodeBolt11('lnbcrt50u1ptest').network === 'regtest', 'lnbcrt = regtest');
+assert(decodeBolt11('lnbcrt50u1ptest').amountSats === 5000, 'lnbcrt amount parsed');
 
 // No amount (zero-amount invoice)
 const d10 = decodeBolt11('lnbc1ptesttesttest');
@@ -101,6 +154,59 @@ console.log('\n🚫 Bolt11 Error Cases');
 assertThrows(() => decodeBolt11(''), 'rejects empty string');
 assertThrows(() => decodeBolt11(null), 'rejects null');
 assertThrows(() => decodeBolt11('notaninvoice'), 'rejects garbage');
+const thrown = (fn) => { try { fn(); } catch (err) { return err; } return null; };
+const malformed = thrown(() => decodeBolt11('lnxy50u1ptest'));
+assert(malformed instanceof InvoiceError && malformed.code === 'INVALID_INVOICE', 'malformed invoice throws InvoiceError INVALID_INVOICE');
+const fractional = thrown(() => decodeBolt11('lnbc1p1ptest'));
+assert(fractional instanceof InvoiceError && fractional.code === 'INVALID_INVOICE', 'sub-msat amount throws InvoiceError INVALID_INVOICE');
+
+// ─── Bolt11 full decode (BOLT11 spec vectors) ───
+console.log('\n🔍 Bolt11 Tagged Fields');
+
+// Spec vector: description hash, P2WPKH fallback, payment secret
+const specFallback = 'lnbc20u1pvjluezhp58yjmdan79s6qqdhdzgynm4zwqd5d7xmw5fk98klysy043l2ahrqspp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqfppqw508d6qejxtdg4y5r3zarvary0c5xw7kxqrrsssp5m6kmam774klwlh4dhmhaatd7al02m0h0m6kmam774klwlh4dhmhs9qypqqqcqpf3cwux5979a8j28d4ydwahx00saa68wq3az7v9jdgzkghtxnkf3z5t7q5suyq2dl9tqwsap8j0wptc82cpyvey9gf6zyylzrm60qtcqsq7egtsq';
+const f1 = decodeBolt11(specFallback);
+assert(f1.amountSats === 2000, 'spec vector amount = 2000 sats');
+assert(f1.timestamp === 1496314658, 'decodes timestamp');
+assert(f1.paymentHash === '0001020304050607080900010203040506070809000102030405060708090102', 'decodes payment hash');
+assert(f1.paymentSecret === 'deadbeef'.repeat(8), 'decodes payment secret');
+assert(f1.descriptionHash === '3925b6f67e2c340036ed12093dd44e0368df1b6ea26c53dbe4811f58fd5db8c1', 'decodes description hash');
+assert(f1.description === null, 'no description when hashed');
+assert(f1.expiry === 3600 && f1.expiresAt === 1496314658 + 3600, 'default expiry 3600s');
+assert(f1.fallbackAddresses[0].address === 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4', 'decodes P2WPKH fallback address');
+assert(f1.features.some(f => f.name === 'payment_secret'), 'decodes feature bits');
+assert(f1.payeeNodeKey === '03e7156ae33b0a208d0744199163177e909e80176e55d97a2f221ede0f934dd9ad', 'recovers payee pubkey from signature');
+assert(f1.signatureValid === true, 'signature valid');
+
+// Route hints, description, explicit expiry and min_final_cltv
+const withHints = 'lnbc20u1p3y0x3hpp5743k2g0fsqqxj7n8qzuhns5gmkk4djeejk3wkp64ppevgekvc0jsdqcve5kzar2v9nr5gpqd4hkuetesp5ez2g297jduwc20t6lmqlsg3man0vf2jfd8ar9fh8fhn2g8yttfkqxqy9gcqcqzys9qrsgqrzjqtx3k77yrrav9hye7zar2rtqlfkytl094dsp0ms5majzth6gt7ca6uhdkxl983uywgqqqqlgqqqvx5qqjqrzjqd98kxkpyw0l9tyy8r8q57k7zpy9zjmh6sez752wj6gcumqnj3yxzhdsmg6qq56utgqqqqqqqqqqqeqqjq7jd56882gtxhrjm03c93aacyfy306m4fq0tskf83c0nmet8zc2lxyyg3saz8x6vwcp26xnrlagf9semau3qm2glysp7sv95693fphvsp54l567';
+const f2 = decodeBolt11(withHints);
+assert(f2.description === 'fiatjaf:  money', 'decodes description');
+assert(f2.expiry === 172800, 'decodes expiry');
+assert(f2.minFinalCltvExpiry === 144, 'decodes min_final_cltv_expiry');
+assert(f2.routeHints.length === 2, 'decodes two route hints');
+assert(f2.routeHints[0][0].pubkey === '02cd1b7bc418fac2dc99f0ba350d60fa6c45fde5ab6017ee14df6425df485fb1dd', 'route hint pubkey');
+assert(f2.routeHints[0][0].feeBaseMsat === 1000 && f2.routeHints[0][0].cltvExpiryDelta === 144, 'route hint fees and cltv delta');
+assert(decodeBolt11(withHints.toUpperCase()).paymentHash === f2.paymentHash, 'accepts uppercase invoice');
+
+// Checksum failures
+const tampered = withHints.slice(0, 40) + (withHints[40] === 'q' ? 'p' : 'q') + withHints.slice(41);
+assert(decodeBolt11(tampered).paymentHash === null, 'bad checksum: tagged fields not trusted');
+assert(decodeBolt11(tampered).signatureValid === false, 'bad checksum: signatureValid false');
+assertThrows(() => decodeBolt11(tampered, { strict: true }), 'strict mode rejects bad checksum');
+assertThrows(() => decodeBolt11('lnbc50u1ptest', { strict: true }), 'strict mode rejects invoice without data part');
+
+// BOLT11 is plain bech32: the same data under a bech32m checksum is invalid
+const bech32 = require('./lib/bech32');
+const asBech32m = (str) => {
+  const { prefix, words } = bech32.decode(str);
+  return bech32.encode(prefix, words, true);
+};
+assert(decodeBolt11(asBech32m(withHints)).paymentHash === null, 'bech32m checksum: tagged fields not trusted');
+assertThrows(() => decodeBolt11(asBech32m(withHints), { strict: true }), 'strict mode rejects bech32m checksum');
+assertThrows(() => bech32.decode(asBech32m(withHints), 'bech32'), 'bech32 decode refuses bech32m when asked for bech32');
+assert(bech32.decode(asBech32m(withHints), 'bech32m').m === true, 'bech32 decode accepts bech32m when asked for it');
+assertThrows(() => decodeLnurl(asBech32m(encodeLnurl('https://example.com/lnurlp/bob'))), 'decodeLnurl rejects bech32m checksum');
 
 // ─── createWallet interface ───
 console.log('\n🔧 createWallet Interface');
@@ -128,6 +234,23 @@ const walletForAddr = createWallet(testNwcUrl);
 assert(typeof walletForAddr.payAddress === 'function', 'wallet has payAddress()');
 walletForAddr.close();
 
+// LUD-10 aes success actions decrypt with the preimage
+const { parseSuccessAction, decodeSuccessAction } = require('./lib/lnurl');
+const aesPreimage = require('crypto').randomBytes(32);
+const aesIv = require('crypto').randomBytes(16);
+const aesCipher = require('crypto').createCipheriv('aes-256-cbc', aesPreimage, aesIv);
+const aesAction = parseSuccessAction({
+  tag: 'aes',
+  description: 'Your code',
+  ciphertext: Buffer.concat([aesCipher.update('voucher-42', 'utf8'), aesCipher.final()]).toString('base64'),
+  iv: aesIv.toString('base64')
+}, 'https://example.com/cb');
+assert(decodeSuccessAction(aesAction, aesPreimage.toString('hex')).plaintext === 'voucher-42', 'aes successAction decrypts with the preimage');
+assert(decodeSuccessAction(aesAction, 'ab'.repeat(32)).plaintext !== 'voucher-42', 'aes successAction needs the right preimage');
+assert(decodeSuccessAction(aesAction, null).plaintext === null, 'aes successAction without a preimage stays null');
+assertThrows(() => parseSuccessAction({ tag: 'message', message: 'x'.repeat(145) }, 'https://example.com/cb'), 'successAction message over 144 chars rejected');
+assertThrows(() => parseSuccessAction({ tag: 'aes', description: 'x', ciphertext: 'AAAA', iv: 'short' }, 'https://example.com/cb'), 'aes successAction with a bad iv rejected');
+
 // payAddress validation
 const walletForAddrTest = createWallet(testNwcUrl);
 
@@ -135,15 +258,80 @@ const walletForAddrTest = createWallet(testNwcUrl);
 const addrTests = Promise.all([
   walletForAddrTest.payAddress('invalid', { amountSats: 10 })
     .then(() => assert(false, 'payAddress rejects invalid address'))
-    .catch(e => assert(e.message.includes('Invalid Lightning address'), 'payAddress rejects invalid address')),
+    .catch(e => assert(e instanceof LnurlError && e.code === 'INVALID_ADDRESS', 'payAddress rejects invalid address')),
   walletForAddrTest.payAddress('user@domain.com', {})
     .then(() => assert(false, 'payAddress requires amountSats'))
     .catch(e => assert(e.message.includes('amountSats'), 'payAddress requires amountSats')),
   walletForAddrTest.payAddress('user@domain.com', { amountSats: -5 })
     .then(() => assert(false, 'payAddress rejects negative amount'))
     .catch(e => assert(e.message.includes('amountSats'), 'payAddress rejects negative amount')),
+  walletForAddrTest.payAddress('user@domain.com', { amountSats: 1.5 })
+    .then(() => assert(false, 'non-integer amountSats throws ValidationError INVALID_AMOUNT'))
+    .catch(e => assert(e instanceof ValidationError && e.code === 'INVALID_AMOUNT', 'non-integer amountSats throws ValidationError INVALID_AMOUNT')),
+  createEscrowManager(walletForAddrTest).create({ amountSats: 10 })
+    .then(() => assert(false, 'escrow create without a worker throws ValidationError'))
+    .catch(e => assert(e instanceof ValidationError && e.code === 'INVALID_ARGUMENT', 'escrow create without a worker throws ValidationError')),
 ]).then(() => walletForAddrTest.close());
 
+// Connection modes
+console.log('\n🔌 Connection Modes');
+const perRequest = createWallet(testNwcUrl);
+assert(perRequest.persistent === false, 'per-request connections by default');
+perRequest.close();
+
+const persistentWallet = createWallet(testNwcUrl, { persistent: true, keepaliveMs: 5000 });
+assert(persistentWallet.persistent === true, 'persistent mode opt-in');
+assert(persistentWallet.keepaliveMs === 5000, 'keepalive interval configurable');
+persistentWallet.close();
+const closedTests = persistentWallet.getBalance()
+  .then(() => assert(false, 'closed wallet rejects requests'))
+  .catch(e => assert(e.message.includes('closed'), 'closed wallet rejects requests'));
+
+// Capability discovery (kind 13194 info event)
+console.log('\n📋 Wallet Capabilities');
+const { parseInfoEvent } = require('./lib/wallet');
+const info = parseInfoEvent({
+  kind: 13194,
+  content: 'pay_invoice get_balance make_invoice lookup_invoice',
+  tags: [['encryption', 'nip44_v2 nip04'], ['notifications', 'payment_received payment_sent']]
+});
+assert(info.methods.length === 4 && info.methods.includes('lookup_invoice'), 'parses supported methods');
+assert(info.encryptions[0] === 'nip44_v2', 'parses encryption schemes');
+assert(info.notifications.includes('payment_sent'), 'parses notification types');
+assert(parseInfoEvent({ kind: 13194, content: 'pay_invoice', tags: [] }).encryptions.join() === 'nip04', 'no encryption tag = NIP-04 only');
+assert(parseInfoEvent(null).methods === null, 'missing info event = methods unknown');
+assert(typeof perRequest.getInfo === 'function' && typeof perRequest.supports === 'function', 'has getInfo() and supports()');
+
+// Payment notifications (kinds 23196 / 23197)
+console.log('\n🔔 Payment Notifications');
+const { normalizeTransaction } = require('./lib/wallet');
+const tx = normalizeTransaction({
+  type: 'incoming',
+  payment_hash: 'ab'.repeat(32),
+  preimage: 'cd'.repeat(32),
+  amount: 21000,
+  fees_paid: 0,
+  settled_at: 1700000000
+});
+assert(tx.amountSats === 21 && tx.amountMsats === 21000, 'normalizes msats amount');
+assert(tx.paymentHash === 'ab'.repeat(32) && tx.settledAt === 1700000000, 'normalizes snake_case fields');
+assert(tx.state === 'settled', 'settled_at implies settled state');
+assert(typeof perRequest.on === 'function' && typeof perRequest.removeListener === 'function', 'wallet is an event emitter');
+
+// Transaction history
+console.log('\n📜 Transaction History');
+const historyWallet = createWallet(testNwcUrl);
+assert(typeof historyWallet.listTransactions === 'function', 'has listTransactions()');
+assert(typeof historyWallet.transactions().next === 'function', 'transactions() is an async iterator');
+const historyTests = Promise.all([
+  historyWallet.listTransactions({ type: 'sideways' })
+    .then(() => assert(false, 'listTransactions rejects bad type'))
+    .catch(e => assert(e.message.includes('incoming'), 'listTransactions rejects bad type')),
+  historyWallet.listTransactions({ from: 'yesterday' })
+    .then(() => assert(false, 'listTransactions rejects bad timestamp'))
+    .catch(e => assert(e.message.includes('unix seconds'), 'listTransactions rejects bad timestamp'))
+]).then(() => historyWallet.close());
+
 // createWallet from env
 console.log('\n🌍 createWallet from env');
 process.env.NWC_URL = testNwcUrl;
@@ -175,6 +363,11 @@ const batchTests = Promise.all([
   walletForBatch.payAddresses([])
     .then(() => assert(false, 'payAddresses rejects empty array'))
     .catch(e => assert(e.message.includes('required'), 'payAddresses rejects empty array')),
+
+  // Single invoice / multi disabled never needs capability discovery
+  walletForBatch.payBatch(['garbage'], { multi: false })
+    .then(r => assert(r.failedCount === 1 && r.results[0].success === false, 'payBatch reports undecodable invoice as failed'))
+    .catch(e => assert(false, 'payBatch reports undecodable invoice as failed: ' + e.message)),
 ]).then(() => {
   // Test that methods exist with correct signatures
   assert(typeof walletForBatch.payBatch === 'function', 'payBatch method exists');
@@ -182,8 +375,1173 @@ const batchTests = Promise.all([
   walletForBatch.close();
 });
 
+// ─── Keysend ───
+console.log('\n🔑 Keysend');
+
+const walletForKeysend = createWallet(testNwcUrl);
+const nodeKey = '03e7156ae33b0a208d0744199163177e909e80176e55d97a2f221ede0f934dd9ad';
+const keysendTests = Promise.all([
+  walletForKeysend.payKeysend('abcd', { amountSats: 10 })
+    .then(() => assert(false, 'payKeysend rejects bad pubkey'))
+    .catch(e => assert(e.message.includes('pubkey'), 'payKeysend rejects bad pubkey')),
+  walletForKeysend.payKeysend(nodeKey, {})
+    .then(() => assert(false, 'payKeysend requires amountSats'))
+    .catch(e => assert(e.message.includes('amountSats'), 'payKeysend requires amountSats')),
+  walletForKeysend.payKeysend(nodeKey, { amountSats: 10, tlvRecords: [{ type: 7629169, value: 'not hex' }] })
+    .then(() => assert(false, 'payKeysend rejects non-hex TLV value'))
+    .catch(e => assert(e.message.includes('TLV'), 'payKeysend rejects non-hex TLV value')),
+  walletForKeysend.payKeysend(nodeKey, { amountSats: 10, preimage: 'abc' })
+    .then(() => assert(false, 'payKeysend rejects short preimage'))
+    .catch(e => assert(e.message.includes('preimage'), 'payKeysend rejects short preimage')),
+  walletForKeysend.payKeysends([])
+    .then(() => assert(false, 'payKeysends rejects empty array'))
+    .catch(e => assert(e.message.includes('required'), 'payKeysends rejects empty array')),
+  walletForKeysend.payKeysends([{ pubkey: 'bad', amountSats: 5 }])
+    .then(r => assert(r.failedCount === 1 && r.results[0].pubkey === 'bad', 'payKeysends reports invalid entry as failed'))
+    .catch(e => assert(false, 'payKeysends reports invalid entry as failed: ' + e.message))
+]).then(() => walletForKeysend.close());
+
+// ─── Spending Policy ───
+console.log('\n🛡️  Spending Policy');
+
+const policyTests = (async () => {
+  const policy = createSpendingPolicy({ maxPerPaymentSats: 1000, hourlyLimitSats: 1500, dailyLimitSats: 5000 });
+  const r1 = await policy.authorize({ type: 'keysend', amountSats: 800, pubkey: nodeKey });
+  assert(policy.usage().hourly.spentSats === 800, 'usage counts reserved spend');
+  assert(policy.usage().hourly.remainingSats === 700, 'usage reports remaining hourly allowance');
+  assert(policy.usage().daily.limitSats === 5000, 'usage reports daily cap');
+
+  try {
+    await policy.authorize({ type: 'keysend', amountSats: 1200 });
+    assert(false, 'rejects payment over per-payment max');
+  } catch (e) {
+    assert(e instanceof PolicyError && e.code === 'MAX_PER_PAYMENT', 'rejects payment over per-payment max');
+  }
+  try {
+    await policy.authorize({ type: 'keysend', amountSats: 800 });
+    assert(false, 'rejects payment over hourly cap');
+  } catch (e) {
+    assert(e.code === 'HOURLY_LIMIT' && e.details.spentSats === 800, 'rejects payment over hourly cap');
+  }
+  r1.release();
+  assert(policy.usage().hourly.spentSats === 0, 'released reservation frees the cap');
+
+  try {
+    await policy.authorize({ type: 'invoice', amountSats: null });
+    assert(false, 'rejects zero-amount invoice when caps are set');
+  } catch (e) {
+    assert(e.code === 'UNKNOWN_AMOUNT', 'rejects zero-amount invoice when caps are set');
+  }
+
+  // Destination lists
+  const lists = createSpendingPolicy({ allowDomains: ['getalby.com', '*.trusted.dev'], denyPubkeys: [nodeKey] });
+  await lists.authorize({ type: 'address', domain: 'api.trusted.dev', amountSats: 1 });
+  assert(true, 'allows wildcard subdomain');
+  for (const [payment, code, label] of [
+    [{ type: 'address', domain: 'evil.com', amountSats: 1 }, 'DESTINATION_NOT_ALLOWED', 'rejects domain not on allowlist'],
+    [{ type: 'keysend', pubkey: nodeKey, amountSats: 1 }, 'DESTINATION_DENIED', 'rejects denied pubkey']
+  ]) {
+    try {
+      await lists.authorize(payment);
+      assert(false, label);
+    } catch (e) {
+      assert(e.code === code, label);
+    }
+  }
+
+  // Approval hook
+  const asked = [];
+  const approval = createSpendingPolicy({
+    approvalThresholdSats: 100,
+    approve: async (p) => { asked.push(p.amountSats); return p.amountSats < 500; }
+  });
+  await approval.authorize({ type: 'keysend', amountSats: 50 });
+  await approval.authorize({ type: 'keysend', amountSats: 200 });
+  try {
+    await approval.authorize({ type: 'keysend', amountSats: 900 });
+    assert(false, 'approval hook can deny');
+  } catch (e) {
+    assert(e.code === 'APPROVAL_DENIED', 'approval hook can deny');
+  }
+  assert(asked.join() === '200,900', 'approval hook only asked above threshold');
+
+  // Enforced by the wallet before any NWC request. payInvoice refuses
+  // expired invoices first, so use a fresh one over the cap.
+  const minter = await createLocalWalletService({ network: 'mainnet' });
+  const { invoice: overCap } = minter.createInvoice({ amountSats: 2500 });
+  await minter.close();
+  const guarded = createWallet(testNwcUrl, { policy: { maxPerPaymentSats: 1000, denyDomains: ['getalby.com'] } });
+  assert(guarded.policy.usage().maxPerPaymentSats === 1000, 'wallet exposes policy usage');
+  await guarded.payInvoice(overCap)
+    .then(() => assert(false, 'payInvoice enforces policy'))
+    .catch(e => assert(e.code === 'MAX_PER_PAYMENT', 'payInvoice enforces policy'));
+  await guarded.payAddress('alice@getalby.com', { amountSats: 10 })
+    .then(() => assert(false, 'payAddress enforces domain denylist'))
+    .catch(e => assert(e.code === 'DESTINATION_DENIED', 'payAddress enforces domain denylist'));
+  const batch = await guarded.payBatch([overCap], { multi: false });
+  assert(batch.failedCount === 1 && batch.results[0].error.includes('per-payment limit'), 'payBatch reports policy rejection per invoice');
+  guarded.close();
+})().catch(e => assert(false, 'policy tests: ' + e.message));
+
+// ─── Request Scheduler ───
+console.log('\n🚦 Request Scheduler');
+
+const schedulerTests = (async () => {
+  const { requestPriority } = require('./lib/scheduler');
+  assert(requestPriority('pay_invoice') === 'high' && requestPriority('lookup_invoice') === 'low' &&
+    requestPriority('get_balance') === 'normal', 'payments before routine calls, polling last');
+
+  const sleep = ms => new Promise(r => setTimeout(r, ms));
+  const order = [];
+  let running = 0;
+  let peak = 0;
+  const task = (label, ms = 5) => async () => {
+    running++;
+    peak = Math.max(peak, running);
+    order.push(label);
+    await sleep(ms);
+    running--;
+    return label;
+  };
+
+  const serial = createRequestScheduler({ maxInFlight: 1 });
+  const done = Promise.all([
+    serial.schedule(task('first', 20)),
+    serial.schedule(task('poll'), { priority: 'low' }),
+    serial.schedule(task('balance')),
+    serial.schedule(task('pay'), { priority: 'high' })
+  ]);
+  assert(serial.inFlight === 1 && serial.queued === 3, 'queues past maxInFlight');
+  await done;
+  assert(order.join() === 'first,pay,balance,poll' && peak === 1, 'starts queued requests by priority');
+  assertThrows(() => serial.schedule(task('x'), { priority: 'urgent' }), 'rejects unknown priority');
+
+  const paced = createRequestScheduler({ requestsPerSecond: 2 });
+  const starts = [];
+  const t0 = Date.now();
+  await Promise.all([1, 2, 3].map(() => paced.schedule(async () => starts.push(Date.now() - t0))));
+  assert(starts[1] < 500 && starts[2] >= 950, 'holds requests past requestsPerSecond for the next second');
+
+  const limited = createRequestScheduler({ backoffMs: 20, rateLimitRetries: 2 });
+  let calls = 0;
+  const flaky = async () => {
+    if (++calls < 3) throw new NwcError('RATE_LIMITED', 'slow down');
+    return 'ok';
+  };
+  const began = Date.now();
+  assert(await limited.schedule(flaky) === 'ok' && calls === 3 && Date.now() - began >= 60,
+    'retries RATE_LIMITED with doubling backoff');
+  assert(limited.backoffMs === 0, 'backoff resets after a success');
+  calls = -10;
+  await limited.schedule(flaky)
+    .then(() => assert(false, 'gives up after rateLimitRetries'))
+    .catch(e => assert(e.code === 'RATE_LIMITED' && calls === -7, 'gives up after rateLimitRetries'));
+  await limited.schedule(async () => { throw new NwcError('INTERNAL', 'boom'); })
+    .then(() => assert(false, 'other errors pass straight through'))
+    .catch(e => assert(e.code === 'INTERNAL', 'other errors pass straight through'));
+
+  const busy = createRequestScheduler({ maxInFlight: 1 });
+  const ctl = new AbortController();
+  const started = busy.schedule(task('busy', 20));
+  const waiting = busy.schedule(task('dropped'), { signal: ctl.signal });
+  ctl.abort();
+  await waiting
+    .then(() => assert(false, 'abort takes a queued request out'))
+    .catch(e => assert(e instanceof AbortError && e.code === 'ABORTED' && busy.queued === 0, 'abort takes a queued request out'));
+  await started;
+  assert(!order.includes('dropped'), 'aborted request never starts');
+
+  const backingOff = createRequestScheduler({ backoffMs: 60000 });
+  const stalled = backingOff.schedule(async () => { throw new NwcError('RATE_LIMITED', 'slow down'); });
+  await new Promise(r => setImmediate(r));
+  const closedAt = Date.now();
+  backingOff.close();
+  await stalled
+    .then(() => assert(false, 'close rejects requests waiting out a backoff'))
+    .catch(e => assert(e.code === 'CLOSED' && backingOff.queued === 0 && Date.now() - closedAt < 1000,
+      'close rejects requests waiting out a backoff'));
+  await backingOff.schedule(task('late'))
+    .then(() => assert(false, 'closed scheduler refuses new requests'))
+    .catch(e => assert(e.code === 'CLOSED' && !order.includes('late'), 'closed scheduler refuses new requests'));
+
+  // Nothing else keeps this process alive: the rate limit wait must
+  const child = await new Promise((resolve) => {
+    require('child_process').execFile(process.execPath, ['-e', `
+      const { createRequestScheduler } = require(${JSON.stringify(__dirname + '/lib/scheduler')});
+      const limited = createRequestScheduler({ requestsPerSecond: 1 });
+      let settled = 0;
+      for (let i = 0; i < 3; i++) limited.schedule(async () => i).then(() => console.log('settled', ++settled));
+    `], { timeout: 10000 }, (err, stdout) => resolve({ err, stdout }));
+  });
+  assert(!child.err && child.stdout.trim().split('\n').pop() === 'settled 3', 'queued requests keep the process alive until they run');
+})().catch(e => assert(false, 'scheduler tests: ' + e.message));
+
+// ─── Local Wallet Service ───
+console.log('\n🧪 Local Wallet Service');
+
+const localTests = (async () => {
+  const service = await createLocalWalletService({ balanceSats: 1000 });
+  const bobConn = service.createConnection();
+  const alice = createWallet(service.nwcUrl);
+  const bob = createWallet(bobConn.nwcUrl, { persistent: true });
+
+  try {
+    assert((await alice.getBalance()).balanceSats === 1000, 'local: starting balance');
+    const info = await alice.getInfo();
+    assert(info.methods.includes('make_invoice') && info.encryption === 'nip44_v2', 'local: advertises methods and NIP-44');
+
+    const inv = await bob.createInvoice({ amountSats: 150, description: 'local test' });
+    const d = decodeBolt11(inv.invoice, { strict: true });
+    assert(d.network === 'regtest' && d.amountSats === 150 && d.signatureValid, 'local: issues signed regtest invoices');
+    assert(d.paymentHash === inv.paymentHash && d.payeeNodeKey === service.nodePubkey, 'local: invoice hash and payee match');
+
+    const waiting = bob.waitForPayment(inv.paymentHash, { timeoutMs: 5000 });
+    const paid = await alice.payInvoice(inv.invoice);
+    const seen = await waiting;
+    assert(seen.paid && seen.preimage === paid.preimage, 'local: payee sees the payment');
+    assert(service.getBalance() === 850 && bobConn.balanceSats === 150, 'local: balances move');
+
+    const history = await bob.listTransactions();
+    assert(history.transactions.length === 1 && history.transactions[0].type === 'incoming', 'local: list_transactions');
+    const sent = await alice.listTransactions({ type: 'outgoing' });
+    assert(sent.transactions[0].paymentHash === inv.paymentHash, 'local: outgoing history');
+
+    await alice.payInvoice(inv.invoice)
+      .then(() => assert(false, 'local: cannot pay twice'))
+      .catch(e => assert(e.message.includes('PAYMENT_FAILED'), 'local: cannot pay twice'));
+    const big = await bob.createInvoice({ amountSats: 5000 });
+    await alice.payInvoice(big.invoice)
+      .then(() => assert(false, 'local: insufficient balance'))
+      .catch(e => assert(e.message.includes('INSUFFICIENT_BALANCE'), 'local: insufficient balance'));
+
+    const lifecycle = [];
+    const record = (type) => (e) => lifecycle.push({ type, ...e });
+    const observers = Object.fromEntries(['request', 'response', 'error', 'timeout'].map(t => [t, record(t)]));
+    for (const [type, fn] of Object.entries(observers)) alice.on(type, fn);
+    await alice.getBalance();
+    service.injectFailure('get_balance', { code: 'RATE_LIMITED' });
+    await alice.getBalance()
+      .then(() => assert(false, 'local: injected error'))
+      .catch(e => assert(e instanceof NwcError && e.code === 'RATE_LIMITED' && e.retryable, 'local: injected error'));
+    service.injectFailure('get_balance', { drop: true });
+    await alice.getBalance({ timeoutMs: 300 })
+      .then(() => assert(false, 'local: dropped response times out'))
+      .catch(e => assert(e instanceof NwcTimeoutError && e.details.method === 'get_balance', 'local: dropped response times out'));
+    for (const [type, fn] of Object.entries(observers)) alice.removeListener(type, fn);
+    assert(lifecycle.map(e => e.type).join() === 'request,response,request,error,request,timeout', 'events: request lifecycle');
+    assert(lifecycle[1].method === 'get_balance' && lifecycle[1].relay === service.relayUrl && lifecycle[1].id === lifecycle[0].id &&
+      lifecycle[1].durationMs >= 0, 'events: response carries method, relay and duration');
+    assert(lifecycle[3].error.code === 'RATE_LIMITED' && lifecycle[5].durationMs >= 300, 'events: error and timeout carry the error');
+    const sanitizedKeysend = [];
+    alice.once('request', e => sanitizedKeysend.push(e.params));
+    await alice.payKeysend('02' + 'ab'.repeat(32), { amountSats: 1, preimage: 'cd'.repeat(32) }).catch(() => {});
+    assert(sanitizedKeysend[0].preimage === '[redacted]' && sanitizedKeysend[0].amount === 1000, 'events: params are sanitized');
+
+    const lost = await bob.createInvoice({ amountSats: 10 });
+    service.injectFailure('pay_invoice', { execute: true, drop: true });
+    await alice.payInvoice(lost.invoice, { timeoutMs: 300 }).catch(() => {});
+    assert(bobConn.balanceSats === 160, 'local: execute + drop settles without a response');
+
+    // Payment guard: never pay twice, never a bare timeout
+    const retried = await bob.createInvoice({ amountSats: 10 });
+    service.injectFailure('pay_invoice', { drop: true });
+    const retry = await alice.payInvoice(retried.invoice, { timeoutMs: 300, retries: 1, safe: true });
+    assert(retry.status === 'settled' && bobConn.balanceSats === 170, 'guard: retries after lookup shows no payment');
+
+    const racing = await bob.createInvoice({ amountSats: 10 });
+    const before = service.requests.filter(r => r.method === 'pay_invoice').length;
+    const [r1, r2] = await Promise.all([alice.payInvoice(racing.invoice), alice.payInvoice(racing.invoice)]);
+    const sentCount = service.requests.filter(r => r.method === 'pay_invoice').length - before;
+    assert(sentCount === 1 && r1.preimage === r2.preimage && bobConn.balanceSats === 180, 'guard: concurrent calls share one payment');
+
+    const unknown = await bob.createInvoice({ amountSats: 10 });
+    service.injectFailure('pay_invoice', { execute: true, drop: true });
+    service.injectFailure('lookup_invoice', { drop: true });
+    const pending = await alice.payInvoice(unknown.invoice, { timeoutMs: 300, retries: 2, safe: true });
+    assert(pending.status === 'pending' && pending.paymentHash === unknown.paymentHash, 'guard: unknown outcome is pending');
+    const again = await alice.payInvoice(unknown.invoice, { timeoutMs: 300 });
+    assert(again.preimage && bobConn.balanceSats === 190, 'guard: later call looks up instead of paying again');
+
+    const lostAgain = await bob.createInvoice({ amountSats: 10 });
+    service.injectFailure('pay_invoice', { drop: true });
+    service.injectFailure('lookup_invoice', { drop: true });
+    await alice.payInvoice(lostAgain.invoice, { timeoutMs: 300 })
+      .then(() => assert(false, 'guard: pending throws without safe'))
+      .catch(e => assert(e instanceof PaymentPendingError && e.details.paymentHash === lostAgain.paymentHash, 'guard: pending throws without safe'));
+    const batchLost = await bob.createInvoice({ amountSats: 10 });
+    const batch = await alice.payBatch([lostAgain.invoice, batchLost.invoice], { multi: false });
+    assert(batch.successCount === 2 && bobConn.balanceSats === 210, 'guard: payBatch goes through the guard');
+
+    // multi_pay_invoice: the same guard, checked before the batch goes out
+    const lastMulti = () => service.requests.filter(r => r.method === 'multi_pay_invoice').pop();
+    const multiLost = await bob.createInvoice({ amountSats: 10 });
+    service.injectFailure('pay_invoice', { execute: true, drop: true });
+    service.injectFailure('lookup_invoice', { drop: true });
+    const timedOut = await alice.payInvoice(multiLost.invoice, { timeoutMs: 300, safe: true });
+    const multiFresh = await bob.createInvoice({ amountSats: 10 });
+    const multi = await alice.payBatch([multiLost.invoice, multiFresh.invoice]);
+    assert(timedOut.status === 'pending' && lastMulti().params.invoices.map(i => i.invoice).join() === multiFresh.invoice,
+      'guard: multi-pay looks up a timed-out invoice instead of resending it');
+    assert(multi.successCount === 2 && multi.results[0].preimage && bobConn.balanceSats === 230, 'guard: multi-pay settles the looked-up invoice once');
+
+    const sharedInv = await bob.createInvoice({ amountSats: 10 });
+    const otherInv = await bob.createInvoice({ amountSats: 10 });
+    service.injectDelay('pay_invoice', 200);
+    const single = alice.payInvoice(sharedInv.invoice);
+    await new Promise(r => setTimeout(r, 50));
+    const joined = await alice.payBatch([sharedInv.invoice, otherInv.invoice]);
+    assert(lastMulti().params.invoices.map(i => i.invoice).join() === otherInv.invoice &&
+      joined.results[0].preimage === (await single).preimage && bobConn.balanceSats === 250,
+      'guard: multi-pay shares a payment already in flight');
+
+    // Pre-payment validation
+    const rejects = async (promise, code, label) => promise
+      .then(() => assert(false, label))
+      .catch(e => assert(e.code === code, label));
+    await rejects(alice.payInvoice(specFallback), 'INVOICE_EXPIRED', 'validate: expired invoice');
+    await rejects(alice.payInvoice('lnbc1garbage'), 'INVALID_INVOICE', 'validate: undecodable invoice');
+    const mainnet = await createLocalWalletService({ network: 'mainnet' });
+    await rejects(alice.payInvoice(mainnet.createInvoice({ amountSats: 5 }).invoice), 'WRONG_NETWORK', 'validate: network from get_info');
+    const forgetful = createWallet(service.createConnection({ balanceSats: 20 }).nwcUrl);
+    service.injectFailure('get_info', { code: 'INTERNAL' });
+    await forgetful.payInvoice((await bob.createInvoice({ amountSats: 1 })).invoice);
+    await rejects(forgetful.payInvoice(mainnet.createInvoice({ amountSats: 5 }).invoice), 'WRONG_NETWORK',
+      'validate: a failed get_info is asked again');
+    forgetful.close();
+    await mainnet.close();
+    const twenty = service.createInvoice({ amountSats: 20 }, bobConn.nwcUrl).invoice;
+    await rejects(alice.payInvoice(twenty, { expectedAmountSats: 10 }), 'AMOUNT_MISMATCH', 'validate: expectedAmountSats');
+    await rejects(alice.payInvoice(twenty, { maxAmountSats: 19 }), 'AMOUNT_TOO_LARGE', 'validate: maxAmountSats');
+    const open = service.createInvoice({}, bobConn.nwcUrl).invoice;
+    await rejects(alice.payInvoice(open), 'AMOUNT_REQUIRED', 'validate: zero-amount needs amountSats');
+    const balanceBefore = bobConn.balanceSats;
+    await alice.payInvoice(open, { amountSats: 7 });
+    assert(bobConn.balanceSats === balanceBefore + 7, 'validate: zero-amount pays the explicit amount');
+
+    service.injectDelay('get_balance', 200);
+    const start = Date.now();
+    await alice.getBalance();
+    assert(Date.now() - start >= 200, 'local: injected delay');
+
+    // Escrow end to end: alice funds, escrow pays bob's invoice on release
+    const escrowConn = service.createConnection();
+    const escrowWallet = createWallet(escrowConn.nwcUrl);
+    const mgr = createEscrowManager(escrowWallet);
+    const workerBefore = bobConn.balanceSats;
+    const workerInv = await bob.createInvoice({ amountSats: 100 });
+    const escrow = await mgr.create({ amountSats: 100, workerInvoice: workerInv.invoice });
+    await alice.payInvoice(escrow.invoice);
+    await mgr.fund(escrow.id, { timeoutMs: 5000 });
+    mgr.deliver(escrow.id, { hash: 'work' });
+    // First release loses its response and its lookup: stays put, no double pay on retry
+    service.injectFailure('pay_invoice', { execute: true, drop: true });
+    service.injectFailure('lookup_invoice', { drop: true });
+    const escrowPay = escrowWallet.payInvoice.bind(escrowWallet);
+    escrowWallet.payInvoice = (inv, o) => escrowPay(inv, { ...o, timeoutMs: 300 });
+    await mgr.release(escrow.id)
+      .then(() => assert(false, 'escrow: pending release throws'))
+      .catch(e => assert(e.code === 'PAYMENT_PENDING' && e.details.escrowId === escrow.id && mgr.get(escrow.id).state === 'delivered', 'escrow: pending release throws'));
+    const released = await mgr.release(escrow.id);
+    assert(released.state === 'released' && bobConn.balanceSats === workerBefore + 100 && escrowConn.balanceSats === 0, 'local: escrow flow');
+    assertThrows(() => mgr.deliver(escrow.id, {}), 'escrow: deliver after release throws');
+    try { mgr.deliver(escrow.id, {}); } catch (e) {
+      assert(e instanceof EscrowStateError && e.code === 'INVALID_STATE' && e.details.state === 'released', 'escrow: EscrowStateError carries state');
+    }
+    mgr.close();
+    escrowWallet.close();
+
+    // Stream end to end over a local HTTP server
+    const http = require('http');
+    const providerBefore = bobConn.balanceSats;
+    const streamLedger = createLedger({ store: createMemoryStore() });
+    const provider = createStreamProvider(bob, { satsPerBatch: 2, tokensPerBatch: 2, ledger: streamLedger });
+    const server = http.createServer((req, res) => {
+      provider.handleRequest(req, res, async function* () {
+        for (const t of ['a', 'b', 'c', 'd', 'e', 'f']) yield t;
+      });
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    const streamLogs = [];
+    const client = createStreamClient(alice, { maxSats: 10, logger: { error: (...args) => streamLogs.push(args.join(' ')) } });
+    let text = '';
+    for await (const chunk of client.stream(`http://127.0.0.1:${server.address().port}/`)) text += chunk;
+    const stingy = createStreamClient(alice, { maxSats: 1 });
+    try {
+      for await (const chunk of stingy.stream(`http://127.0.0.1:${server.address().port}/`)) void chunk;
+      assert(false, 'stream: budget exhausted throws');
+    } catch (e) {
+      assert(e instanceof StreamBudgetError && e.details.budgetSats === 1 && e.details.invoiceSats === 2, 'stream: budget exhausted throws');
+    }
+    await new Promise(r => setTimeout(r, 100));
+    assert(provider.activeSessions === 0, 'stream: a client hanging up ends its session');
+    server.closeAllConnections();
+    server.close();
+    assert(text === 'abcdef' && bobConn.balanceSats === providerBefore + 4, 'local: stream flow pays per batch');
+    const charges = await streamLedger.entries({ type: 'stream_charge' });
+    assert(charges.length === 2 && charges.every(c => c.amountSats === 2 && c.direction === 'in' && c.purpose === 'stream'),
+      'ledger: stream provider records batch charges');
+    assert(streamLogs.length > 0 && streamLogs.every(l => l.startsWith('Preimage POST')), 'stream: problems go to the logger');
+
+    // A provider that advertises one price and invoices another
+    const overpriced = await bob.createInvoice({ amountSats: 50 });
+    const pricey = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.end(`event: invoice\ndata: ${JSON.stringify({ invoice: overpriced.invoice, sats: 1, msats: 1000, batchIndex: 1 })}\n\n` +
+        'event: done\ndata: {}\n\n');
+    });
+    await new Promise(r => pricey.listen(0, '127.0.0.1', r));
+    const liarLogs = [];
+    const wary = createStreamClient(alice, { maxSats: 10, logger: { error: (...args) => liarLogs.push(args.join(' ')) } });
+    for await (const chunk of wary.stream(`http://127.0.0.1:${pricey.address().port}/`)) void chunk;
+    pricey.close();
+    assert(liarLogs.some(l => l.includes('expected 1 sats')) &&
+      (await bob.lookupInvoice(overpriced.paymentHash)).state !== 'settled', 'stream: an invoice above the advertised price is not paid');
+
+    // Millisatoshi amounts end to end
+    const carolConn = service.createConnection();
+    const carol = createWallet(carolConn.nwcUrl);
+    const subSat = await carol.createInvoice({ amountMsats: 1500 });
+    assert(subSat.amountMsats === 1500 && subSat.amountSats === 1, 'msats: createInvoice takes amountMsats');
+    assert(decodeBolt11(subSat.invoice).amountMsats === 1500, 'msats: invoice carries the exact amount');
+    await alice.payInvoice(subSat.invoice, { maxAmountMsats: 1499 })
+      .then(() => assert(false, 'msats: maxAmountMsats'))
+      .catch(e => assert(e.code === 'AMOUNT_TOO_LARGE', 'msats: maxAmountMsats'));
+    const subPaid = await alice.payInvoice(subSat.invoice, { expectedAmountMsats: 1500 });
+    assert(subPaid.amountMsats === 1500 && carolConn.balanceMsats === 1500, 'msats: pays sub-sat invoices exactly');
+    const carolBalance = await carol.getBalance();
+    assert(carolBalance.balanceMsats === 1500 && carolBalance.balanceSats === 1, 'msats: getBalance reports exact msats');
+    await carol.createInvoice({ amountSats: 1.5 })
+      .then(() => assert(false, 'msats: fractional sats rejected'))
+      .catch(e => assert(e.message.includes('amountMsats'), 'msats: fractional sats rejected'));
+    const msatPolicy = createSpendingPolicy({ maxPerPaymentMsats: 2500 });
+    await msatPolicy.authorize({ type: 'keysend', amountMsats: 2400 });
+    await msatPolicy.authorize({ type: 'keysend', amountSats: 3 })
+      .then(() => assert(false, 'msats: policy caps compare exactly'))
+      .catch(e => assert(e.code === 'MAX_PER_PAYMENT' && e.details.limitMsats === 2500, 'msats: policy caps compare exactly'));
+    carol.close();
+
+    // LNURL-withdraw end to end: alice issues links, dave redeems them
+    const daveConn = service.createConnection();
+    const dave = createWallet(daveConn.nwcUrl);
+    const withdrawals = [];
+    let issuer;
+    const withdrawHttp = http.createServer((req, res) => issuer.middleware()(req, res));
+    await new Promise(r => withdrawHttp.listen(0, '127.0.0.1', r));
+    issuer = createWithdrawServer(alice, {
+      callbackUrl: `http://127.0.0.1:${withdrawHttp.address().port}/withdraw`,
+      onWithdraw: (k1, w) => withdrawals.push(w)
+    });
+
+    const voucher = issuer.createLink({ amountSats: 30 });
+    assert(voucher.lnurl.startsWith('lnurl1') && voucher.minSats === 30 && voucher.maxSats === 30, 'withdraw: fixed link encodes an LNURL');
+    const w1 = await withdrawLnurl(voucher.lnurl, dave, { waitForPayment: true, timeoutMs: 5000 });
+    assert(w1.amountSats === 30 && w1.paid && daveConn.balanceSats === 30, 'withdraw: redeems into the recipient wallet');
+    assert(issuer.get(voucher.k1).usesLeft === 0 && issuer.activeLinks === 0, 'withdraw: single-use link is used up');
+    await withdrawLnurl(voucher.lnurl, dave)
+      .then(() => assert(false, 'withdraw: second redeem refused'))
+      .catch(e => assert(e instanceof LnurlError && e.code === 'SERVICE_ERROR', 'withdraw: second redeem refused'));
+
+    const ranged = issuer.createLink({ minSats: 5, maxSats: 20, uses: 2 });
+    await withdrawLnurl(ranged.url, dave, { amountSats: 25 })
+      .then(() => assert(false, 'withdraw: out of range refused'))
+      .catch(e => assert(e.code === 'AMOUNT_OUT_OF_RANGE' && e.details.maxSats === 20, 'withdraw: out of range refused'));
+    await withdrawLnurl(ranged.url, dave, { amountSats: 7, waitForPayment: true, timeoutMs: 5000 });
+    await withdrawLnurl(ranged.url, dave, { waitForPayment: true, timeoutMs: 5000 });
+    assert(daveConn.balanceSats === 57 && issuer.get(ranged.k1).withdrawals.length === 2, 'withdraw: limited-use link pays each use');
+
+    const tooBig = await dave.createInvoice({ amountSats: 50 });
+    const refused = await issuer.redeem(issuer.createLink({ maxSats: 10 }).k1, tooBig.invoice);
+    assert(!refused.success && refused.error.includes('outside'), 'withdraw: server refuses invoices over the link');
+    assert(withdrawals.length === 3 && withdrawals[0].amountSats === 30, 'withdraw: onWithdraw reports each payout');
+    withdrawHttp.closeAllConnections();
+    withdrawHttp.close();
+
+    // LNURL-pay server: dave receives at a Lightning address
+    const issued = [];
+    const payServer = createLnurlPayServer(dave, {
+      username: 'dave',
+      domain: 'agents.example',
+      minSats: 5,
+      maxSats: 100,
+      commentAllowed: 20,
+      successAction: { tag: 'message', message: 'Thanks, agent!' },
+      onInvoice: (i) => issued.push(i)
+    });
+    const payHttp = http.createServer(payServer.middleware());
+    await new Promise(r => payHttp.listen(0, '127.0.0.1', r));
+    const payBase = `http://127.0.0.1:${payHttp.address().port}`;
+    const payMeta = await (await fetch(`${payBase}/.well-known/lnurlp/dave`)).json();
+    assert(payMeta.tag === 'payRequest' && payMeta.minSendable === 5000 && payMeta.maxSendable === 100000 && payMeta.commentAllowed === 20,
+      'lnurlp: serves payRequest metadata');
+    assert(JSON.parse(payMeta.metadata).some(([t, v]) => t === 'text/identifier' && v === 'dave@agents.example'), 'lnurlp: metadata names the address');
+    const callbackPath = new URL(payMeta.callback).pathname;
+    const payCb = await (await fetch(`${payBase}${callbackPath}?amount=12000&comment=thanks`)).json();
+    const payInv = decodeBolt11(payCb.pr, { strict: true });
+    const metaHash = require('crypto').createHash('sha256').update(payMeta.metadata).digest('hex');
+    assert(payInv.amountSats === 12 && payInv.descriptionHash === metaHash, 'lnurlp: invoice commits to the metadata hash');
+    assert(issued.length === 1 && issued[0].comment === 'thanks' && issued[0].amountMsats === 12000, 'lnurlp: onInvoice sees amount and comment');
+    const daveBefore = daveConn.balanceSats;
+    await alice.payInvoice(payCb.pr);
+    assert(daveConn.balanceSats === daveBefore + 12, 'lnurlp: paying the invoice credits the wallet');
+    const lowRes = await fetch(`${payBase}${callbackPath}?amount=1000`);
+    assert(lowRes.status === 400 && (await lowRes.json()).status === 'ERROR', 'lnurlp: rejects amounts below minSendable');
+    assert((await payServer.callback({ amountMsats: 6000, comment: 'x'.repeat(21) })).status === 'ERROR', 'lnurlp: rejects long comments');
+    assert((await fetch(`${payBase}/.well-known/lnurlp/eve`)).status === 404, 'lnurlp: unknown user is 404');
+
+    // Paying it by address: route https://agents.example to the local server,
+    // and https://liar.example to canned responses
+    const realFetch = globalThis.fetch;
+    const liar = {};
+    globalThis.fetch = async (url, init) => {
+      const u = String(url);
+      if (u.startsWith('https://liar.example/')) {
+        return new Response(JSON.stringify(u.includes('/.well-known/') ? liar.meta : liar.callback));
+      }
+      return realFetch(u.replace('https://agents.example', payBase), init);
+    };
+    try {
+      const byAddress = await alice.payAddress('dave@agents.example', { amountSats: 9, comment: 'hi' });
+      assert(byAddress.amountSats === 9 && byAddress.successAction.message === 'Thanks, agent!', 'lnurlp: payAddress returns the successAction');
+      service.injectFailure('pay_invoice', { execute: true, drop: true });
+      service.injectFailure('lookup_invoice', { drop: true });
+      const addrBatch = await alice.payAddresses([
+        { address: 'dave@agents.example', amountSats: 6 },
+        { address: 'dave@agents.example', amountSats: 7 },
+        { address: 'dave@agents.example', amountSats: 1 }
+      ], { timeoutMs: 300, concurrency: 1 });
+      assert(addrBatch.results.map(r => r.status).join() === 'pending,settled,failed' && addrBatch.results[0].paymentHash,
+        'payAddresses: each result carries its status');
+      assert(addrBatch.successCount === 1 && addrBatch.pendingCount === 1 && addrBatch.failedCount === 1 && addrBatch.totalSats === 7,
+        'payAddresses: pending payments are not counted as failed');
+      const addrLedger = createLedger({ store: createMemoryStore() });
+      const addrPayer = createWallet(service.createConnection({ balanceSats: 50 }).nwcUrl, { ledger: addrLedger });
+      service.injectFailure('pay_invoice', { drop: true });
+      const tagged = await addrPayer.payAddresses([
+        { address: 'dave@agents.example', amountSats: 5 },
+        { address: 'dave@agents.example', amountSats: 6 }
+      ], { purpose: 'payroll', tags: ['agents'], timeoutMs: 300, retries: 1, concurrency: 1 });
+      const payroll = await addrLedger.entries({ purpose: 'payroll' });
+      assert(tagged.successCount === 2 && tagged.pendingCount === 0, 'payAddresses: passes retries to each payment');
+      assert(payroll.length === 2 && payroll.every(e => e.tags[0] === 'agents' && e.counterparty === 'dave@agents.example'),
+        'payAddresses: passes ledger fields to each payment');
+      await addrPayer.payAddresses([{ address: 'dave@agents.example', amountSats: 5 }], { ledger: false });
+      assert((await addrLedger.entries()).length === 2, 'payAddresses: ledger: false leaves the batch out');
+      addrPayer.close();
+
+      // A refund that loses its response stays put, and its retry pays the same invoice
+      const refundConn = service.createConnection();
+      const refundWallet = createWallet(refundConn.nwcUrl);
+      const refunds = createEscrowManager(refundWallet);
+      const toRefund = await refunds.create({ amountSats: 8, workerAddress: 'dave@agents.example' });
+      await alice.payInvoice(toRefund.invoice);
+      await refunds.fund(toRefund.id, { timeoutMs: 5000 });
+      const refundPay = refundWallet.payAddress.bind(refundWallet);
+      refundWallet.payAddress = (address, o) => refundPay(address, { ...o, timeoutMs: 300 });
+      service.injectFailure('pay_invoice', { execute: true, drop: true });
+      service.injectFailure('lookup_invoice', { drop: true });
+      const refundIssued = issued.length;
+      const refundBefore = daveConn.balanceSats;
+      await refunds.refund(toRefund.id, 'dave@agents.example', 'no-show')
+        .then(() => assert(false, 'escrow: pending refund throws'))
+        .catch(e => assert(e.code === 'PAYMENT_PENDING' && e.details.escrowId === toRefund.id && refunds.get(toRefund.id).state === 'funded',
+          'escrow: pending refund throws'));
+      const refundedEscrow = await refunds.refund(toRefund.id, 'dave@agents.example', 'no-show');
+      assert(refundedEscrow.state === 'refunded' && issued.length === refundIssued + 1 && daveConn.balanceSats === refundBefore + 8,
+        'escrow: retrying a pending refund does not pay twice');
+      refunds.close();
+      refundWallet.close();
+
+      const wrongAmount = await dave.createInvoice({ amountSats: 50 });
+      liar.meta = { ...payMeta, callback: 'https://liar.example/cb' };
+      liar.callback = { pr: wrongAmount.invoice, routes: [] };
+      await resolveLightningAddress('x@liar.example', 10)
+        .then(() => assert(false, 'lnurlp: refuses an invoice for another amount'))
+        .catch(e => assert(e.code === 'INVALID_RESPONSE' && e.details.invoiceMsats === 50000, 'lnurlp: refuses an invoice for another amount'));
+      liar.meta = { ...payMeta, callback: 'https://liar.example/cb', metadata: '[["text/plain","something else"]]' };
+      liar.callback = await payServer.callback({ amountMsats: 10000 });
+      await resolveLightningAddress('x@liar.example', 10)
+        .then(() => assert(false, 'lnurlp: refuses a description hash that misses the metadata'))
+        .catch(e => assert(e.code === 'INVALID_RESPONSE' && e.message.includes('description hash'), 'lnurlp: refuses a description hash that misses the metadata'));
+      // payAddress also refuses invoices payInvoice would: expired, or for another network
+      const metaHashed = { amountSats: 10, descriptionHash: metaHash };
+      const otherNet = await createLocalWalletService({ network: 'mainnet' });
+      const mainnetPayee = createWallet(otherNet.nwcUrl);
+      liar.meta = { ...payMeta, callback: 'https://liar.example/cb' };
+      liar.callback = { pr: (await mainnetPayee.createInvoice(metaHashed)).invoice };
+      mainnetPayee.close();
+      await otherNet.close();
+      await alice.payAddress('x@liar.example', { amountSats: 10 })
+        .then(() => assert(false, 'lnurlp: payAddress refuses an invoice for another network'))
+        .catch(e => assert(e.code === 'WRONG_NETWORK', 'lnurlp: payAddress refuses an invoice for another network'));
+      const expiring = await dave.createInvoice({ ...metaHashed, expiry: 1 });
+      liar.callback = { pr: expiring.invoice };
+      await new Promise(r => setTimeout(r, decodeBolt11(expiring.invoice).expiresAt * 1000 - Date.now() + 50));
+      const expiredBefore = daveConn.balanceSats;
+      await alice.payAddress('x@liar.example', { amountSats: 10 })
+        .then(() => assert(false, 'lnurlp: payAddress refuses an expired invoice'))
+        .catch(e => assert(e.code === 'INVOICE_EXPIRED' && daveConn.balanceSats === expiredBefore, 'lnurlp: payAddress refuses an expired invoice'));
+      liar.callback = { ...(await payServer.callback({ amountMsats: 10000 })), successAction: { tag: 'url', description: 'x', url: 'https://evil.example/' } };
+      await resolveLightningAddress('x@liar.example', 10)
+        .then(() => assert(false, 'lnurlp: refuses url actions off the callback domain'))
+        .catch(e => assert(e.code === 'INVALID_RESPONSE' && e.message.includes('successAction'), 'lnurlp: refuses url actions off the callback domain'));
+
+      // LUD-18 payer identity and LUD-12 comment negotiation
+      const idInvoices = [];
+      const idServer = createLnurlPayServer(dave, {
+        username: 'dave',
+        domain: 'ids.example',
+        payerData: { name: { mandatory: true }, auth: { mandatory: false } },
+        onInvoice: (i) => idInvoices.push(i)
+      });
+      const idHttp = http.createServer(idServer.middleware());
+      await new Promise(r => idHttp.listen(0, '127.0.0.1', r));
+      const idBase = `http://127.0.0.1:${idHttp.address().port}`;
+      const routed = globalThis.fetch;
+      globalThis.fetch = (url, init) => routed(String(url).replace('https://ids.example', idBase), init);
+      const warned = [];
+      alice.on('warning', (w) => warned.push(w));
+      try {
+        const authKey = require('crypto').randomBytes(32).toString('hex');
+        const withId = await alice.payAddress('dave@ids.example', {
+          amountSats: 3,
+          comment: 'dropped',
+          payerData: { name: 'alice-agent', email: 'not@requested.example', authKey }
+        });
+        assert(idInvoices[0].payerData.name === 'alice-agent' && idInvoices[0].payerData.auth.key === withId.payerData.auth.key,
+          'payerData: receiver sees name and verified auth key');
+        assert(withId.payerData.email === undefined, 'payerData: only requested fields are sent');
+        assert(!withId.commentSent && withId.warnings[0].code === 'COMMENT_NOT_ALLOWED' && warned.length === 1,
+          'comment: dropped comment is reported as a warning');
+        await alice.payAddress('dave@ids.example', { amountSats: 3, comment: 'nope', commentDropped: 'error', payerData: { name: 'a' } })
+          .then(() => assert(false, 'comment: commentDropped error throws'))
+          .catch(e => assert(e instanceof LnurlError && e.code === 'COMMENT_NOT_ALLOWED', 'comment: commentDropped error throws'));
+        const idBefore = daveConn.balanceSats;
+        await alice.payAddress('dave@ids.example', { amountSats: 3 })
+          .then(() => assert(false, 'payerData: mandatory fields enforced before paying'))
+          .catch(e => assert(e.code === 'PAYER_DATA_REQUIRED' && e.details.missing[0] === 'name' && daveConn.balanceSats === idBefore,
+            'payerData: mandatory fields enforced before paying'));
+        const replay = await idServer.callback({ amountMsats: 3000, payerData: JSON.stringify({ name: 'x', auth: withId.payerData.auth }) });
+        assert(replay.status === 'ERROR' && replay.reason.includes('already used'), 'payerData: auth k1 is single use');
+
+        // Every payRequest() hands out a k1; past the cap the oldest are dropped
+        const capped = createLnurlPayServer(dave, {
+          username: 'dave', domain: 'ids.example', payerData: { auth: { mandatory: true } }, maxAuthChallenges: 2
+        });
+        const signedBy = (k1) => JSON.stringify({ auth: { k1, ...signAuth(k1, authKey) } });
+        const oldestK1 = capped.payRequest().payerData.auth.k1;
+        for (let i = 0; i < 5; i++) capped.payRequest();
+        const newestK1 = capped.payRequest().payerData.auth.k1;
+        const evicted = await capped.callback({ amountMsats: 3000, payerData: signedBy(oldestK1) });
+        const kept = await capped.callback({ amountMsats: 3000, payerData: signedBy(newestK1) });
+        assert(evicted.status === 'ERROR' && evicted.reason.includes('Unknown or expired') && kept.pr,
+          'payerData: outstanding auth k1s are capped');
+      } finally {
+        globalThis.fetch = routed;
+        idHttp.closeAllConnections();
+        idHttp.close();
+      }
+
+      // NIP-57 zaps: profile lookup on the local relay, zap request, receipt
+      const { finalizeEvent, getPublicKey } = require('nostr-tools');
+      const { Relay } = require('nostr-tools/relay');
+      const daveNostrKey = require('crypto').randomBytes(32);
+      const daveNostr = getPublicKey(daveNostrKey);
+      const aliceNostrKey = require('crypto').randomBytes(32).toString('hex');
+      const profileRelay = await Relay.connect(service.relayUrl);
+      await profileRelay.publish(finalizeEvent({
+        kind: 0, created_at: Math.floor(Date.now() / 1000), tags: [], content: JSON.stringify({ name: 'dave', lud16: 'dave@zaps.example' })
+      }, daveNostrKey));
+      profileRelay.close();
+
+      const zapInvoices = [];
+      const zapServer = createLnurlPayServer(dave, {
+        username: 'dave',
+        domain: 'zaps.example',
+        nostrSecretKey: require('crypto').randomBytes(32).toString('hex'),
+        onInvoice: (i) => zapInvoices.push(i)
+      });
+      const zapHttp = http.createServer(zapServer.middleware());
+      await new Promise(r => zapHttp.listen(0, '127.0.0.1', r));
+      const zapBase = `http://127.0.0.1:${zapHttp.address().port}`;
+      const routedZaps = globalThis.fetch;
+      globalThis.fetch = (url, init) => routedZaps(String(url).replace('https://zaps.example', zapBase), init);
+      try {
+        const noteId = 'ee'.repeat(32);
+        const zapBefore = daveConn.balanceSats;
+        const zapped = await alice.zap({
+          recipientPubkey: daveNostr, eventId: noteId, amountSats: 4, relays: [service.relayUrl], comment: 'nice note', secretKey: aliceNostrKey
+        });
+        assert(zapped.address === 'dave@zaps.example' && daveConn.balanceSats === zapBefore + 4, 'zap: finds lud16 in the profile and pays');
+        const zr = zapInvoices[0].zapRequest;
+        assert(zr.kind === 9734 && zr.id === zapped.zapRequest.id && zapInvoices[0].comment === 'nice note', 'zap: server receives the signed zap request');
+        assert(zr.tags.some(t => t[0] === 'e' && t[1] === noteId) && zr.tags.some(t => t[0] === 'amount' && t[1] === '4000'), 'zap: request tags note and amount');
+
+        const receipt = zapServer.createZapReceipt({ zapRequest: zr, invoice: zapped.invoice, preimage: zapped.preimage });
+        const verified = verifyZapReceipt(receipt, { nostrPubkey: zapped.nostrPubkey, zapRequest: zapped.zapRequest });
+        assert(verified.valid && verified.amountSats === 4 && verified.senderPubkey === getPublicKey(Buffer.from(aliceNostrKey, 'hex')),
+          'zap: receipt verifies with amount and sender');
+        assert(verified.eventId === noteId && verified.recipientPubkey === daveNostr, 'zap: receipt names note and recipient');
+        const forged = createZapReceipt({ zapRequest: zr, invoice: zapped.invoice }, require('crypto').randomBytes(32));
+        assert(!verifyZapReceipt(forged, { nostrPubkey: zapped.nostrPubkey }).valid, 'zap: receipt from another signer refused');
+        const swapped = zapServer.createZapReceipt({ zapRequest: zr, invoice: (await dave.createInvoice({ amountSats: 4 })).invoice });
+        assert(verifyZapReceipt(swapped).error.includes('description hash'), 'zap: receipt with an unrelated invoice refused');
+        const wrongPreimage = zapServer.createZapReceipt({ zapRequest: zr, invoice: zapped.invoice, preimage: 'ab'.repeat(32) });
+        assert(!verifyZapReceipt(wrongPreimage).valid, 'zap: receipt with a wrong preimage refused');
+
+        const zapBook = createWallet(service.nwcUrl, { ledger: { store: createMemoryStore() } });
+        const bookedZap = await zapBook.zap({ recipientPubkey: daveNostr, amountSats: 4, relays: [service.relayUrl], lud16: 'dave@zaps.example' });
+        const zapEntries = await zapBook.ledger.entries();
+        assert(zapEntries.length === 1 && zapEntries[0].status === 'settled' && zapEntries[0].paymentHash === bookedZap.paymentHash &&
+          zapEntries[0].counterparty === 'dave@zaps.example', 'zap: payments are recorded in the ledger');
+        zapBook.close();
+
+        await alice.zap({ recipientPubkey: daveNostr, amountSats: 4, relays: [service.relayUrl], lud16: 'dave@agents.example' })
+          .then(() => assert(false, 'zap: addresses without allowsNostr refused'))
+          .catch(e => assert(e.code === 'ZAPS_NOT_SUPPORTED', 'zap: addresses without allowsNostr refused'));
+        await alice.zap({ recipientPubkey: 'ab'.repeat(32), amountSats: 4, relays: [service.relayUrl], profileTimeoutMs: 500 })
+          .then(() => assert(false, 'zap: recipient without a profile refused'))
+          .catch(e => assert(e.code === 'INVALID_ADDRESS', 'zap: recipient without a profile refused'));
+      } finally {
+        globalThis.fetch = routedZaps;
+        zapHttp.closeAllConnections();
+        zapHttp.close();
+      }
+    } finally {
+      globalThis.fetch = realFetch;
+    }
+    payHttp.closeAllConnections();
+    payHttp.close();
+    dave.close();
+
+    // Wallet router: a hot wallet, a reserve and one that can't be reached
+    const hotConn = service.createConnection({ balanceSats: 20 });
+    const reserveConn = service.createConnection({ balanceSats: 500 });
+    const hot = createWallet(hotConn.nwcUrl);
+    const reserve = createWallet(reserveConn.nwcUrl);
+    const offline = createWallet(hotConn.nwcUrl.replace(/relay=[^&]+/, 'relay=' + encodeURIComponent('ws://127.0.0.1:1')));
+    const router = createWalletRouter([offline, hot, reserve]);
+    const failovers = [];
+    router.on('failover', f => failovers.push(f));
+    const routedErrors = [];
+    router.on('error', e => routedErrors.push(e));
+    assertThrows(() => createWalletRouter([hot], 'cheapest'), 'router: unknown strategy refused');
+
+    const received = new Promise(r => router.once('payment_received', r));
+    const routedInv = await router.createInvoice({ amountSats: 10 });
+    assert(routedInv.walletIndex === 1 && failovers[0].walletIndex === 0 && failovers[0].error.code === 'CONNECT_FAILED',
+      'router: invoice fails over past an unreachable wallet');
+    assert(routedErrors[0].walletIndex === 0 && routedErrors[0].method === 'make_invoice', 'router: forwards request events');
+    const routedWait = router.waitForPayment(routedInv.paymentHash, { timeoutMs: 5000 });
+    await alice.payInvoice(routedInv.invoice);
+    assert((await routedWait).paid && hotConn.balanceSats === 30, 'router: waits on the wallet that issued the invoice');
+    const note = await Promise.race([received, new Promise(r => setTimeout(r, 2000))]);
+    assert(note && note.paymentHash === routedInv.paymentHash && note.walletIndex === 1, 'router: forwards notifications with walletIndex');
+
+    const bobInv = await bob.createInvoice({ amountSats: 100 });
+    const bobBefore = bobConn.balanceSats;
+    const routedPay = await router.payInvoice(bobInv.invoice);
+    assert(routedPay.walletIndex === 2 && routedPay.preimage && bobConn.balanceSats === bobBefore + 100 && reserveConn.balanceSats === 400,
+      'router: payment fails over past unreachable and short wallets');
+    assert(failovers.slice(1).map(f => f.error.code).join() === 'CONNECT_FAILED,INSUFFICIENT_BALANCE', 'router: failover events say why');
+
+    const total = await router.getBalance();
+    assert(total.balanceSats === 430 && total.wallets[0].error && total.wallets[2].balanceSats === 400, 'router: balance totals with a breakdown');
+    const merged = await router.listTransactions({ limit: 2 });
+    assert(merged.transactions.map(tx => tx.walletIndex).sort().join() === '1,2' && merged.unavailable[0].index === 0,
+      'router: history merged across wallets');
+
+    const byBalance = createWalletRouter([hot, reserve], 'balance');
+    const big50 = await bob.createInvoice({ amountSats: 50 });
+    const small5 = await bob.createInvoice({ amountSats: 5 });
+    assert((await byBalance.payInvoice(big50.invoice)).walletIndex === 1 && (await byBalance.payInvoice(small5.invoice)).walletIndex === 0,
+      'router: balance strategy pays from a wallet that covers the amount');
+
+    const roundRobin = createWalletRouter([hot, reserve], 'round-robin');
+    const spread = [];
+    for (let i = 0; i < 3; i++) spread.push((await roundRobin.createInvoice({ amountSats: 1 })).walletIndex);
+    assert(spread.join() === '0,1,0', 'router: round-robin spreads invoices');
+
+    const contexts = [];
+    const custom = createWalletRouter([hot, reserve], (ctx) => {
+      contexts.push(ctx);
+      return ctx.amountMsats > 10000 ? reserve : [hot, reserve];
+    });
+    const custom20 = await bob.createInvoice({ amountSats: 20 });
+    assert((await custom.payInvoice(custom20.invoice)).walletIndex === 1 && contexts[0].operation === 'pay' &&
+      contexts[0].amountMsats === 20000, 'router: custom selector picks the wallet');
+
+    // A pending payment stays with its wallet instead of paying twice
+    const stuckInv = await bob.createInvoice({ amountSats: 3 });
+    const stuckBefore = bobConn.balanceSats;
+    service.injectFailure('pay_invoice', { execute: true, drop: true });
+    service.injectFailure('lookup_invoice', { drop: true });
+    const stuck = await router.payInvoice(stuckInv.invoice, { safe: true, timeoutMs: 300 });
+    assert(stuck.status === 'pending' && stuck.walletIndex === 1, 'router: unknown outcome is not failed over');
+    const unstuck = await router.payInvoice(stuckInv.invoice, { safe: true });
+    assert(unstuck.status === 'settled' && unstuck.walletIndex === 1 && bobConn.balanceSats === stuckBefore + 3,
+      'router: pending payment is resolved on the same wallet');
+
+    // Callers sharing a routed payment keep their own signal and limits
+    const sharedRouted = await bob.createInvoice({ amountSats: 6 });
+    service.injectDelay('pay_invoice', 300);
+    const routedCtl = new AbortController();
+    const leaving = byBalance.payInvoice(sharedRouted.invoice, { safe: true, signal: routedCtl.signal });
+    const staying = byBalance.payInvoice(sharedRouted.invoice, { safe: true });
+    await byBalance.payInvoice(sharedRouted.invoice, { maxAmountSats: 5 })
+      .then(() => assert(false, "router: a joining caller's amount limit holds"))
+      .catch(e => assert(e.code === 'AMOUNT_TOO_LARGE', "router: a joining caller's amount limit holds"));
+    const joinedCtl = new AbortController();
+    const joining = byBalance.payInvoice(sharedRouted.invoice, { signal: joinedCtl.signal }).then(() => null, e => e);
+    setTimeout(() => {
+      routedCtl.abort();
+      joinedCtl.abort();
+    }, 100);
+    const [left, stayed] = await Promise.all([leaving, staying]);
+    const joinError = await joining;
+    assert(joinError instanceof AbortError && joinError.details.pending, 'router: a joining caller can abort');
+    assert(left.status === 'pending' && left.error instanceof AbortError && stayed.status === 'settled' &&
+      service.requests.filter(r => r.params.invoice === sharedRouted.invoice).length === 1,
+      "router: one caller's abort leaves a shared payment to the others");
+
+    // A hash the router didn't issue is watched everywhere until one answers
+    const direct = await reserve.createInvoice({ amountSats: 4 });
+    const lateLookups = [];
+    let decidedAt = Infinity;
+    const onHotRequest = (r) => {
+      if (r.method === 'lookup_invoice' && Date.now() > decidedAt) lateLookups.push(r);
+    };
+    hot.on('request', onHotRequest);
+    const watched = byBalance.waitForPayment(direct.paymentHash, { timeoutMs: 600, pollIntervalMs: 50 });
+    await alice.payInvoice(direct.invoice);
+    assert((await watched).paid, 'router: waits on every wallet for a hash it did not issue');
+    decidedAt = Date.now();
+    await new Promise(r => setTimeout(r, 900));
+    hot.removeListener('request', onHotRequest);
+    assert(lateLookups.length === 0, 'router: the losing waits stop once one wallet answers');
+    assert((await byBalance.lookupInvoice(direct.paymentHash)).state === 'settled', 'router: lookupInvoice finds the issuing wallet');
+
+    // Anything that takes a wallet takes a router
+    const routedEscrow = createEscrowManager(roundRobin);
+    const workInv = await bob.createInvoice({ amountSats: 25 });
+    const job = await routedEscrow.create({ amountSats: 25, workerInvoice: workInv.invoice });
+    await alice.payInvoice(job.invoice);
+    await routedEscrow.fund(job.id, { timeoutMs: 5000 });
+    routedEscrow.deliver(job.id, { hash: 'routed' });
+    assert((await routedEscrow.release(job.id)).state === 'released', 'router: escrow runs on a router');
+    router.close();
+
+    // Ledger: a wallet that books everything to a JSONL file
+    const fs = require('fs');
+    const ledgerPath = require('path').join(require('os').tmpdir(), `lightning-agent-ledger-${process.pid}.jsonl`);
+    const bookedConn = service.createConnection({ balanceSats: 200 });
+    const booked = createWallet(bookedConn.nwcUrl, { ledger: ledgerPath });
+    try {
+      const work = await bob.createInvoice({ amountSats: 50 });
+      await booked.payInvoice(work.invoice, { counterparty: 'bob', purpose: 'translation', tags: ['work'] });
+      const tooMuch = await bob.createInvoice({ amountSats: 900 });
+      const refusedPay = await booked.payInvoice(tooMuch.invoice, { counterparty: 'bob', safe: true });
+      const tip = await booked.createInvoice({ amountSats: 7, counterparty: 'alice', tags: ['work', 'tips'] });
+      await alice.payInvoice(tip.invoice);
+      await booked.waitForPayment(tip.paymentHash, { timeoutMs: 5000 });
+      await booked.waitForPayment(tip.paymentHash, { timeoutMs: 5000 });
+
+      const entries = await booked.ledger.entries();
+      assert(entries.map(e => `${e.type}:${e.status}`).join() === 'payment:settled,payment:failed,invoice:open,receipt:settled',
+        'ledger: records payments, invoices and receipts once');
+      assert(refusedPay.status === 'failed' && entries[1].error.includes('INSUFFICIENT_BALANCE'), 'ledger: failed payments keep the error');
+      assert(entries[0].paymentHash === work.paymentHash && entries[0].destination === service.nodePubkey && entries[0].purpose === 'translation',
+        'ledger: payment entries carry hash, destination and purpose');
+
+      const byCounterparty = await booked.ledger.balances();
+      assert(byCounterparty.bob.sentSats === 50 && byCounterparty.bob.count === 1 && byCounterparty.alice.receivedSats === 7 &&
+        byCounterparty.alice.netSats === 7, 'ledger: balances per counterparty count settled money only');
+      const byTag = await booked.ledger.balances({ by: 'tag' });
+      assert(byTag.work.netSats === -43 && byTag.tips.receivedSats === 7, 'ledger: balances per tag');
+      const later = await booked.ledger.balances({ from: Date.now() + 1000 });
+      assert(Object.keys(later).length === 0, 'ledger: time filter');
+
+      const csv = (await booked.ledger.toCSV({ counterparty: 'bob' })).trim().split('\n');
+      assert(csv.length === 3 && csv[0].startsWith('id,at,type') && csv[1].includes(',translation,work,'), 'ledger: CSV export');
+
+      const reopened = createLedger({ path: ledgerPath });
+      assert((await reopened.entries()).length === 4, 'ledger: JSONL file is the record');
+
+      const escrowBook = createEscrowManager(booked);
+      const booking = await escrowBook.create({ amountSats: 5, workerInvoice: (await bob.createInvoice({ amountSats: 5 })).invoice, clientPubkey: 'alice' });
+      await alice.payInvoice(booking.invoice);
+      await escrowBook.fund(booking.id, { timeoutMs: 5000 });
+      await escrowBook.release(booking.id);
+      const escrowEntries = await booked.ledger.entries({ purpose: 'escrow' });
+      assert(escrowEntries.filter(e => e.type === 'escrow').map(e => e.status).join() === 'created,funded,released' &&
+        escrowEntries.every(e => e.metadata.escrowId === booking.id), 'ledger: escrow transitions and payments');
+      escrowBook.close();
+
+      // Batches and keysends are booked too
+      const batchPay = [await bob.createInvoice({ amountSats: 2 }), await bob.createInvoice({ amountSats: 3 })];
+      const multiBooked = await booked.payBatch(batchPay.map(i => i.invoice), { counterparty: 'bob', purpose: 'batch' });
+      const batchEntries = await booked.ledger.entries({ purpose: 'batch' });
+      assert(multiBooked.successCount === 2 && batchEntries.length === 2 &&
+        batchEntries.every(e => e.status === 'settled' && e.counterparty === 'bob' && e.destination === service.nodePubkey) &&
+        batchEntries.map(e => e.paymentHash).sort().join() === batchPay.map(i => i.paymentHash).sort().join(),
+        'ledger: multi-pay batches record each payment');
+      const keysendTo = '02' + 'ab'.repeat(32);
+      await booked.payKeysend(keysendTo, { amountSats: 1, purpose: 'keysend' }).catch(() => {});
+      const keysendEntries = await booked.ledger.entries({ purpose: 'keysend' });
+      assert(keysendEntries.length === 1 && keysendEntries[0].status === 'failed' && keysendEntries[0].destination === keysendTo &&
+        keysendEntries[0].amountMsats === 1000, 'ledger: keysends are recorded');
+
+      const broken = createWallet(bookedConn.nwcUrl, { ledger: { store: { append() { throw new Error('disk full'); }, read: () => [] } } });
+      const warnings = [];
+      broken.on('warning', w => warnings.push(w));
+      const still = await broken.createInvoice({ amountSats: 1 });
+      assert(still.invoice && warnings[0] === 'Ledger write failed: disk full', 'ledger: write failures warn instead of throwing');
+      broken.close();
+    } finally {
+      booked.close();
+      fs.rmSync(ledgerPath, { force: true });
+    }
+
+    // A keysend the wallet service never answers may still arrive
+    const keysender = await createLocalWalletService({ methods: ['get_info', 'pay_keysend'] });
+    const slowSender = createWallet(keysender.createConnection({ balanceSats: 100 }).nwcUrl);
+    try {
+      keysender.injectDelay('pay_keysend', 600);
+      const slowKeysends = await slowSender.payKeysends([{ pubkey: '02' + 'ab'.repeat(32), amountSats: 1 }], { timeoutMs: 200 });
+      assert(slowKeysends.results[0].status === 'pending' && slowKeysends.pendingCount === 1 && slowKeysends.failedCount === 0,
+        'payKeysends: a timed-out keysend is pending, not failed');
+    } finally {
+      slowSender.close();
+      await keysender.close();
+    }
+
+    // Scheduler: a wallet that paces its requests
+    const pacedConn = service.createConnection({ balanceSats: 100 });
+    const paced = createWallet(pacedConn.nwcUrl, { scheduler: { maxInFlight: 1, backoffMs: 20 } });
+    try {
+      const sent = [];
+      let open = 0;
+      let peak = 0;
+      paced.on('request', (r) => { sent.push(r.method); peak = Math.max(peak, ++open); });
+      paced.on('response', () => open--);
+      paced.on('error', () => open--);
+
+      service.injectFailure('get_balance', { code: 'RATE_LIMITED', times: 2 });
+      assert((await paced.getBalance()).balanceSats === 100 && sent.length === 3, 'scheduler: wallet retries RATE_LIMITED');
+
+      const invoices = await Promise.all([1, 2, 3].map(() => bob.createInvoice({ amountSats: 1 }).then(i => i.invoice)));
+      const paid = await paced.payBatch(invoices, { multi: false, concurrency: 3 });
+      assert(paid.successCount === 3 && peak === 1, 'scheduler: payBatch stays within maxInFlight');
+    } finally {
+      paced.close();
+    }
+    await paced.scheduler.schedule(async () => 'late')
+      .then(() => assert(false, 'scheduler: closing the wallet closes its own scheduler'))
+      .catch(e => assert(e.code === 'CLOSED', 'scheduler: closing the wallet closes its own scheduler'));
+    const shared = createRequestScheduler();
+    createWallet(pacedConn.nwcUrl, { scheduler: shared }).close();
+    assert(await shared.schedule(async () => 'ok') === 'ok', 'scheduler: a shared scheduler outlives the wallet');
+
+    // Hold invoices: funds locked in the payment until settled or cancelled
+    const payerConn = service.createConnection({ balanceSats: 300 });
+    const payer = createWallet(payerConn.nwcUrl);
+    const holderConn = service.createConnection();
+    const holder = createWallet(holderConn.nwcUrl, { persistent: true });
+    try {
+      const secret = require('crypto').randomBytes(32).toString('hex');
+      const lockHash = require('crypto').createHash('sha256').update(Buffer.from(secret, 'hex')).digest('hex');
+      const accepted = [];
+      holder.on('hold_invoice_accepted', tx => accepted.push(tx));
+      const hold = await holder.createHoldInvoice({ amountSats: 40, paymentHash: lockHash, description: 'locked' });
+      assert(hold.paymentHash === lockHash && decodeBolt11(hold.invoice).amountSats === 40, 'hold: invoice for the given payment hash');
+      assert((await holder.waitForHeld(lockHash, { timeoutMs: 200 })).state === 'pending', 'hold: unpaid invoice is pending');
+
+      const paying = payer.payInvoice(hold.invoice, { safe: true });
+      const held = await holder.waitForHeld(lockHash, { timeoutMs: 5000 });
+      assert(held.held && held.amountSats === 40 && held.settleDeadline > 0, 'hold: waitForHeld sees the payment held');
+      assert(payerConn.balanceSats === 260 && holderConn.balanceSats === 0, 'hold: funds left the payer but not yet the holder');
+      await new Promise(r => setTimeout(r, 50));
+      assert(accepted.length === 1 && accepted[0].state === 'accepted', 'hold: hold_invoice_accepted notification');
+
+      assert((await holder.settleHoldInvoice(secret)).paymentHash === lockHash, 'hold: settleHoldInvoice');
+      const settledPay = await paying;
+      assert(settledPay.status === 'settled' && settledPay.preimage === secret && holderConn.balanceSats === 40,
+        'hold: settling pays the holder and reveals the preimage');
+
+      const cancelHash = require('crypto').createHash('sha256').update(require('crypto').randomBytes(32)).digest('hex');
+      const refundable = await holder.createHoldInvoice({ amountSats: 25, paymentHash: cancelHash });
+      const cancelledPaying = payer.payInvoice(refundable.invoice, { safe: true });
+      await holder.waitForHeld(cancelHash, { timeoutMs: 5000 });
+      await holder.cancelHoldInvoice(cancelHash);
+      const cancelledPay = await cancelledPaying;
+      assert(cancelledPay.status === 'failed' && payerConn.balanceSats === 260, 'hold: cancelling returns the funds to the payer');
+      assert((await holder.waitForHeld(cancelHash, { timeoutMs: 200 })).state === 'failed', 'hold: cancelled invoice is failed');
+      await holder.createHoldInvoice({ amountSats: 1, paymentHash: 'nope' })
+        .then(() => assert(false, 'hold: createHoldInvoice validates the hash'))
+        .catch(e => assert(e.message.includes('paymentHash'), 'hold: createHoldInvoice validates the hash'));
+      await holder.settleHoldInvoice('00'.repeat(32))
+        .then(() => assert(false, 'hold: unknown preimage is refused'))
+        .catch(e => assert(e instanceof NwcError && e.code === 'NOT_FOUND', 'hold: unknown preimage is refused'));
+
+      // Escrow that never takes custody
+      const workerConn = service.createConnection();
+      const holdEscrow = createEscrowManager(holder, { hold: true });
+      const job = await holdEscrow.create({
+        amountSats: 30,
+        workerInvoice: service.createInvoice({ amountSats: 30 }, workerConn.nwcUrl).invoice
+      });
+      const clientPay = payer.payInvoice(job.invoice, { safe: true });
+      await holdEscrow.fund(job.id, { timeoutMs: 5000 });
+      assert(holderConn.balanceSats === 40 && payerConn.balanceSats === 230, 'hold escrow: funded while the funds stay locked');
+      service.injectFailure('settle_hold_invoice', { code: 'INTERNAL' });
+      service.injectFailure('lookup_invoice', { code: 'OTHER' });
+      await holdEscrow.release(job.id)
+        .then(() => assert(false, 'hold escrow: a failed settle check reaches the caller'))
+        .catch(e => assert(e.code === 'OTHER' && holdEscrow.get(job.id).state === 'funded' && !holdEscrow.get(job.id).holdSettledAt,
+          'hold escrow: a failed settle check reaches the caller'));
+      const released = await holdEscrow.release(job.id);
+      assert(released.state === 'released' && released.holdSettledAt && workerConn.balanceSats === 30 &&
+        (await clientPay).status === 'settled', 'hold escrow: release settles and pays the worker');
+
+      const refunded = await holdEscrow.create({ amountSats: 20, workerAddress: 'worker@example.com' });
+      const refundedPay = payer.payInvoice(refunded.invoice, { safe: true });
+      await holdEscrow.fund(refunded.id, { timeoutMs: 5000 });
+      const back = await holdEscrow.refund(refunded.id, null, 'changed my mind');
+      assert(back.state === 'refunded' && back.holdCancelledAt && (await refundedPay).status === 'failed' &&
+        payerConn.balanceSats === 230, 'hold escrow: refund cancels the held payment');
+      assert(!('preimage' in back) && !JSON.stringify(holdEscrow.list()).includes(secret), 'hold escrow: preimage stays private');
+      holdEscrow.close();
+    } finally {
+      payer.close();
+      holder.close();
+    }
+
+    // Provisioning: a client-initiated connection, approved by the wallet owner
+    const request = createWalletAuthRequest({
+      relays: [service.relayUrl],
+      name: 'scoped agent',
+      requestMethods: ['get_balance', 'pay_invoice'],
+      budgetSats: 15,
+      budgetRenewal: 'daily',
+      expiresAt: Math.floor(Date.now() / 1000) + 3600
+    });
+    const approval = request.waitForConnection({ timeoutMs: 5000 });
+    const approved = service.approveWalletAuth(request.url, { balanceSats: 50 });
+    const link = await approval;
+    assert(link.connected && link.walletPubkey === approved.walletPubkey && link.walletPubkey !== service.pubkey &&
+      link.methods.join() === 'get_balance,pay_invoice', 'walletauth: client learns its scoped connection');
+    const scoped = createWallet(link.nwcUrl);
+    try {
+      assert((await scoped.getBalance()).balanceSats === 50, 'walletauth: connection works');
+      await scoped.payInvoice((await bob.createInvoice({ amountSats: 10 })).invoice);
+      await scoped.payInvoice((await bob.createInvoice({ amountSats: 10 })).invoice)
+        .then(() => assert(false, 'walletauth: budget is enforced'))
+        .catch(e => assert(e instanceof NwcError && e.code === 'QUOTA_EXCEEDED' && approved.balanceSats === 40,
+          'walletauth: budget is enforced'));
+      await scoped.createInvoice({ amountSats: 1 })
+        .then(() => assert(false, 'walletauth: only the requested methods are advertised'))
+        .catch(e => assert(e instanceof NwcError && e.code === 'NOT_IMPLEMENTED', 'walletauth: only the requested methods are advertised'));
+    } finally {
+      scoped.close();
+    }
+    const ignored = await createWalletAuthRequest({ relays: [service.relayUrl] }).waitForConnection({ timeoutMs: 200 });
+    assert(!ignored.connected && ignored.nwcUrl === null, 'walletauth: unapproved request times out');
+
+    // Announcements anyone could have sent: from another key, or from before the request
+    const { finalizeEvent, getPublicKey } = require('nostr-tools');
+    const { Relay } = require('nostr-tools/relay');
+    const announce = async (key, clientPubkey, createdAt = Math.floor(Date.now() / 1000)) => {
+      const infoRelay = await Relay.connect(service.relayUrl);
+      await infoRelay.publish(finalizeEvent({
+        kind: 13194, created_at: createdAt, tags: [['p', clientPubkey]], content: 'get_balance pay_invoice'
+      }, key));
+      infoRelay.close();
+    };
+    const walletKey = require('crypto').randomBytes(32);
+    const pinned = createWalletAuthRequest({ relays: [service.relayUrl], walletPubkey: getPublicKey(walletKey) });
+    await announce(require('crypto').randomBytes(32), pinned.clientPubkey);
+    const pinnedWait = pinned.waitForConnection({ timeoutMs: 5000 });
+    await new Promise(r => setTimeout(r, 100));
+    await announce(walletKey, pinned.clientPubkey);
+    const pinnedLink = await pinnedWait;
+    assert(pinnedLink.connected && pinnedLink.walletPubkey === getPublicKey(walletKey),
+      'walletauth: a pinned request ignores announcements from other keys');
+    const staleClient = generateNwcKeypair();
+    await announce(require('crypto').randomBytes(32), staleClient.pubkey, Math.floor(Date.now() / 1000) - 600);
+    const stale = await createWalletAuthRequest({ relays: [service.relayUrl], secret: staleClient.secret })
+      .waitForConnection({ timeoutMs: 300 });
+    assert(!stale.connected, 'walletauth: announcements from before the request are ignored');
+    assertThrows(() => createWalletAuthRequest({ relays: [service.relayUrl], walletPubkey: 'abc' }),
+      'walletauth: rejects a bad walletPubkey');
+
+    // AbortSignal: stop waiting, clean up, and never lose track of a payment
+    const abortAfter = (ms) => {
+      const ctl = new AbortController();
+      setTimeout(() => ctl.abort(), ms);
+      return ctl.signal;
+    };
+    service.injectDelay('get_balance', 2000);
+    let began = Date.now();
+    await alice.getBalance({ signal: abortAfter(50) })
+      .then(() => assert(false, 'abort: request in flight'))
+      .catch(e => assert(e instanceof AbortError && Date.now() - began < 1000, 'abort: request in flight'));
+    await alice.getBalance({ signal: AbortSignal.abort(new Error('shutting down')) })
+      .then(() => assert(false, 'abort: already-aborted signal'))
+      .catch(e => assert(e instanceof AbortError && e.message === 'Operation aborted: shutting down' &&
+        e.cause.message === 'shutting down', 'abort: already-aborted signal carries its reason'));
+
+    const abandoned = await bob.createInvoice({ amountSats: 10 });
+    const abandonedFrom = bobConn.balanceSats;
+    service.injectFailure('pay_invoice', { execute: true, drop: true });
+    await alice.payInvoice(abandoned.invoice, { signal: abortAfter(100) })
+      .then(() => assert(false, 'abort: payment in flight stays pending'))
+      .catch(e => assert(e instanceof AbortError && e.details.pending && e.details.paymentHash === abandoned.paymentHash,
+        'abort: payment in flight stays pending'));
+    const paysBefore = service.requests.filter(r => r.method === 'pay_invoice').length;
+    const checked = await alice.payInvoice(abandoned.invoice);
+    assert(checked.preimage && bobConn.balanceSats === abandonedFrom + 10 &&
+      service.requests.filter(r => r.method === 'pay_invoice').length === paysBefore, 'abort: aborted payment is looked up, not resent');
+
+    const unpaid = await bob.createInvoice({ amountSats: 10 });
+    began = Date.now();
+    await bob.waitForPayment(unpaid.paymentHash, { timeoutMs: 5000, signal: abortAfter(50) })
+      .then(() => assert(false, 'abort: waitForPayment'))
+      .catch(e => assert(e instanceof AbortError && Date.now() - began < 1000, 'abort: waitForPayment'));
+
+    const cutShort = await Promise.all([1, 2, 3].map(() => bob.createInvoice({ amountSats: 1 }).then(i => i.invoice)));
+    service.injectDelay('pay_invoice', 300);
+    await alice.payBatch(cutShort, { multi: false, concurrency: 1, signal: abortAfter(100) })
+      .then(() => assert(false, 'abort: payBatch'))
+      .catch(e => assert(e instanceof AbortError && e.details.batch.results.length === 1 &&
+        e.details.batch.pendingCount === 1, 'abort: payBatch starts no more payments'));
+
+    // Callers sharing a payment each answer to their own signal
+    const splitInv = await bob.createInvoice({ amountSats: 5 });
+    service.injectDelay('pay_invoice', 300);
+    const [quitter, stayer] = await Promise.all([
+      alice.payInvoice(splitInv.invoice, { safe: true, signal: abortAfter(100) }),
+      alice.payInvoice(splitInv.invoice, { safe: true })
+    ]);
+    assert(quitter.status === 'pending' && quitter.error instanceof AbortError && stayer.status === 'settled' &&
+      service.requests.filter(r => r.params.invoice === splitInv.invoice).length === 1, "abort: one caller's abort leaves a shared payment to the others");
+
+    const joinedInv = await bob.createInvoice({ amountSats: 5 });
+    service.injectDelay('pay_invoice', 300);
+    const owner = alice.payInvoice(joinedInv.invoice, { safe: true });
+    began = Date.now();
+    await alice.payInvoice(joinedInv.invoice, { signal: abortAfter(50) })
+      .then(() => assert(false, 'abort: a caller joining a payment can still abort'))
+      .catch(e => assert(e instanceof AbortError && e.details.pending && Date.now() - began < 250,
+        'abort: a caller joining a payment can still abort'));
+    assert((await owner).status === 'settled', 'abort: the joined payment carries on');
+  } finally {
+    alice.close();
+    bob.close();
+    await service.close();
+  }
+})().catch(e => assert(false, 'local service tests: ' + e.message));
+
 // ─── Summary (wait for async tests) ───
-Promise.all([addrTests, batchTests]).then(() => {
+Promise.all([addrTests, batchTests, closedTests, historyTests, keysendTests, policyTests, schedulerTests, localTests]).then(() => {
   console.log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━`);
   console.log(`Results: ${passed} passed, ${failed} failed`);
   if (failed > 0) {